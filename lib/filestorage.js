@@ -0,0 +1,398 @@
+/**
+ * wg-scanner - File-backed storage delegate
+ *
+ * A StorageDelegate which persists fingerprints in local files, for small deployments
+ * and command line tools which do not have a database. Fingerprints are kept in memory,
+ * and persisted in 2 files:
+ * - the index file (filename) is a compacted snapshot of all the fingerprints, one JSON
+ *   fingerprint per line (NDJSON), sorted by long file name
+ * - the journal file (filename + ".log") is an append-only NDJSON log of the inserts and
+ *   updates since the last compaction
+ *
+ * The journal is merged into the index (compaction) when it reaches a given number of
+ * entries, and when the delegate is closed. The index is written to a temporary file
+ * first, and then renamed, so that it's never left half-written.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const fs = require('fs');
+const uuid = require('uuid');
+const extend = require('extend');
+const utils = require('wg-utils');
+const Log = require('wg-log').Log;
+const Exception = require('wg-log').Exception;
+
+const log = Log.getLogger('wg-scanner');
+
+// Fingerprint attributes which hold dates, and need to be revived when read from JSON
+const DATE_ATTRIBUTES = ['mtime', 'vanishedAt', 'verifiedAt'];
+
+
+/**
+ * Create a file-backed storage delegate. Files are loaded on first access
+ *
+ * @param {string} filename - is the full name of the index file. The journal is filename + ".log"
+ * @param options - is the storage options
+ *                    - compactThreshold: the number of journal entries after which the journal is merged
+ *                      into the index (default 10000)
+ */
+function FileStorageDelegate(filename, options) {
+  options = options || {};
+  this._filename = filename;
+  this._journal = filename + ".log";
+  this._compactThreshold = options.compactThreshold || 10000;
+  this._loaded = false;
+  this._byUuid = {};              // fingerprints by uuid
+  this._byLongFilename = {};      // fingerprints by long file name
+  this._bySize = {};              // uuids of fingerprints, by file size (to find fingerprints by content)
+  this._sorted = [];              // long file names, in alphabetical order
+  this._journalLength = 0;        // number of entries in the journal
+  this._queue = [];               // pending file operations, which are executed one at a time
+  this._running = false;
+}
+
+// Copy a fingerprint, so that callers cannot modify the stored fingerprints
+function copy(fingerprint) {
+  return fingerprint ? extend(true, {}, fingerprint) : fingerprint;
+}
+
+// Revive the date attributes of a fingerprint read from JSON
+function revive(fingerprint) {
+  DATE_ATTRIBUTES.forEach(function(name) {
+    var value = fingerprint[name];
+    if (value !== null && value !== undefined && !(value instanceof Date)) fingerprint[name] = new Date(value);
+  });
+  return fingerprint;
+}
+
+// Get the index of the first long file name which is greater or equal to a given name
+FileStorageDelegate.prototype._search = function(longFilename) {
+  var sorted = this._sorted;
+  var low = 0;
+  var high = sorted.length;
+  while (low < high) {
+    var mid = (low + high) >>> 1;
+    if (sorted[mid] < longFilename) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// Get the range of the sorted long file names which are in a folder (or its subfolders)
+// They are all between "folder/" (included) and "folder0" (excluded), as '0' follows '/'
+FileStorageDelegate.prototype._folderRange = function(folder) {
+  if (utils.endsWith(folder, '/')) folder = folder.substr(0, folder.length - 1);
+  return { start: this._search(folder + '/'), end: this._search(folder + '0') };
+}
+
+// Add a fingerprint to the in-memory indexes
+FileStorageDelegate.prototype._add = function(fingerprint) {
+  var that = this;
+  that._byUuid[fingerprint.uuid] = fingerprint;
+  that._byLongFilename[fingerprint.longFilename] = fingerprint;
+  that._sorted.splice(that._search(fingerprint.longFilename), 0, fingerprint.longFilename);
+  var sameSize = that._bySize[fingerprint.size] = that._bySize[fingerprint.size] || [];
+  sameSize.push(fingerprint.uuid);
+}
+
+// Remove a fingerprint from the in-memory indexes
+FileStorageDelegate.prototype._remove = function(fingerprint) {
+  var that = this;
+  delete that._byUuid[fingerprint.uuid];
+  if (that._byLongFilename[fingerprint.longFilename] === fingerprint) {
+    delete that._byLongFilename[fingerprint.longFilename];
+    var index = that._search(fingerprint.longFilename);
+    if (that._sorted[index] === fingerprint.longFilename) that._sorted.splice(index, 1);
+  }
+  var sameSize = that._bySize[fingerprint.size] || [];
+  var i = sameSize.indexOf(fingerprint.uuid);
+  if (i !== -1) sameSize.splice(i, 1);
+  if (sameSize.length === 0) delete that._bySize[fingerprint.size];
+}
+
+// Apply an insert or an update to the in-memory indexes
+FileStorageDelegate.prototype._apply = function(entry) {
+  var that = this;
+  if (entry.op === "insert") {
+    var existing = that._byUuid[entry.fingerprint.uuid];
+    if (existing) that._remove(existing);
+    return that._add(revive(entry.fingerprint));
+  }
+  if (entry.op === "update") {
+    var fingerprint = that._byUuid[entry.fingerprint.uuid];
+    if (!fingerprint) return;
+    that._remove(fingerprint);
+    return that._add(revive(extend(fingerprint, entry.fingerprint)));
+  }
+}
+
+// Execute a file operation, after all the previous ones are finished
+// @param fn        is the operation, which takes a callback as its only parameter
+// @param callback  is the return function, which is passed the operation results
+FileStorageDelegate.prototype._enqueue = function(fn, callback) {
+  var that = this;
+  that._queue.push({ fn: fn, callback: callback });
+  if (that._running) return;
+  that._running = true;
+  var next = function() {
+    var job = that._queue.shift();
+    if (!job) { that._running = false; return; }
+    return job.fn(function() {
+      job.callback.apply(undefined, arguments);
+      return next();
+    });
+  };
+  return next();
+}
+
+// Read a NDJSON file. A truncated last line (interrupted write) is ignored
+// @param filename  is the file name
+// @param callback  is the return function
+//                      err is the error object
+//                      entries is the list of parsed lines
+function readLines(filename, callback) {
+  return fs.readFile(filename, 'utf8', function(err, data) {
+    if (err) {
+      if (err.code === 'ENOENT') return callback(null, []);
+      return callback(err);
+    }
+    var lines = data.split('\n');
+    var entries = [];
+    for (var i=0; i<lines.length; i++) {
+      if (lines[i].length === 0) continue;
+      try { entries.push(JSON.parse(lines[i])); }
+      catch (err) {
+        if (i === lines.length - 1) {
+          log.info({ filename:filename }, "Ignoring truncated last line");
+          continue;
+        }
+        return callback(new Exception({ filename:filename, line:i+1, err:err }, "Invalid storage file"));
+      }
+    }
+    return callback(null, entries);
+  });
+}
+
+// Loads the index and journal files, on first access
+FileStorageDelegate.prototype._load = function(callback) {
+  var that = this;
+  if (that._loaded) return callback();
+  return that._enqueue(function(callback) {
+    if (that._loaded) return callback();
+    return readLines(that._filename, function(err, fingerprints) {
+      if (err) return callback(err);
+      return readLines(that._journal, function(err, entries) {
+        if (err) return callback(err);
+        fingerprints.forEach(function(fingerprint) { that._apply({ op: "insert", fingerprint: fingerprint }); });
+        entries.forEach(function(entry) { that._apply(entry); });
+        that._journalLength = entries.length;
+        that._loaded = true;
+        log.debug({ filename:that._filename, fingerprints:that._sorted.length, journal:entries.length }, "Storage loaded");
+        return callback();
+      });
+    });
+  }, callback);
+}
+
+// Append an entry to the journal, and compact the storage if the journal is too long
+FileStorageDelegate.prototype._append = function(entry, callback) {
+  var that = this;
+  return that._enqueue(function(callback) {
+    return fs.appendFile(that._journal, JSON.stringify(entry) + '\n', callback);
+  }, function(err) {
+    if (err) return callback(err);
+    that._journalLength = that._journalLength + 1;
+    if (that._journalLength < that._compactThreshold) return callback();
+    return that.compact(callback);
+  });
+}
+
+/**
+ * Merge the journal into the index file
+ *
+ * @param callback - is the return function
+ *                      err is the error object
+ */
+FileStorageDelegate.prototype.compact = function(callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    return that._enqueue(function(callback) {
+      var tmp = that._filename + ".tmp";
+      var data = that._sorted.map(function(longFilename) { return JSON.stringify(that._byLongFilename[longFilename]) + '\n'; }).join('');
+      return fs.writeFile(tmp, data, function(err) {
+        if (err) return callback(err);
+        return fs.rename(tmp, that._filename, function(err) {
+          if (err) return callback(err);
+          return fs.unlink(that._journal, function(err) {
+            if (err && err.code !== 'ENOENT') return callback(err);
+            that._journalLength = 0;
+            return callback();
+          });
+        });
+      });
+    }, callback);
+  });
+}
+
+/**
+ * Close the storage. The journal is merged into the index file, and the fingerprints are released from memory.
+ * The storage can still be used after being closed: files will be loaded again
+ *
+ * @param callback - is the return function
+ *                      err is the error object
+ */
+FileStorageDelegate.prototype.close = function(callback) {
+  var that = this;
+  if (!that._loaded) return callback();
+  return that.compact(function(err) {
+    if (err) return callback(err);
+    that._loaded = false;
+    that._byUuid = {};
+    that._byLongFilename = {};
+    that._bySize = {};
+    that._sorted = [];
+    return callback();
+  });
+}
+
+
+/** ================================================================================
+  * StorageDelegate interface
+  * ================================================================================ */
+
+FileStorageDelegate.prototype.getFingerPrint = function(longFilename, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    return callback(null, copy(that._byLongFilename[longFilename]));
+  });
+}
+
+FileStorageDelegate.prototype.getFingerPrints = function(folder, offset, limit, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    var range = that._folderRange(folder);
+    var start = Math.min(range.start + offset, range.end);
+    var end = Math.min(start + limit, range.end);
+    var result = [];
+    for (var i=start; i<end; i++) result.push(copy(that._byLongFilename[that._sorted[i]]));
+    return callback(null, result);
+  });
+}
+
+FileStorageDelegate.prototype.getFingerPrintsAfter = function(folder, after, limit, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    var range = that._folderRange(folder);
+    var start = range.start;
+    if (after !== undefined && after !== null) {
+      var index = that._search(after);
+      if (that._sorted[index] === after) index = index + 1;
+      start = Math.min(Math.max(start, index), range.end);
+    }
+    var end = Math.min(start + limit, range.end);
+    var result = [];
+    for (var i=start; i<end; i++) result.push(copy(that._byLongFilename[that._sorted[i]]));
+    return callback(null, result);
+  });
+}
+
+FileStorageDelegate.prototype.countFingerPrints = function(folder, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    var range = that._folderRange(folder);
+    return callback(null, range.end - range.start);
+  });
+}
+
+FileStorageDelegate.prototype.insertFingerprint = function(newFingerPrint, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    if (that._byLongFilename[newFingerPrint.longFilename] || that._byUuid[newFingerPrint.uuid])
+      return callback(new Exception({ longFilename:newFingerPrint.longFilename }, "Fingerprint already exists"));
+    newFingerPrint.uuid = newFingerPrint.uuid || uuid.v4();
+    var fingerprint = copy(newFingerPrint);
+    that._add(fingerprint);
+    return that._append({ op: "insert", fingerprint: fingerprint }, function(err) {
+      if (err) return callback(err);
+      return callback(null, copy(fingerprint));
+    });
+  });
+}
+
+FileStorageDelegate.prototype.updateFingerprint = function(newFingerPrint, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    var fingerprint = that._byUuid[newFingerPrint.uuid];
+    if (!fingerprint) return callback(new Exception({ uuid:newFingerPrint.uuid }, "Fingerprint not found"));
+    var changes = copy(newFingerPrint);
+    that._apply({ op: "update", fingerprint: changes });
+    return that._append({ op: "update", fingerprint: changes }, function(err) {
+      if (err) return callback(err);
+      return callback(null, copy(fingerprint));
+    });
+  });
+}
+
+FileStorageDelegate.prototype.preLoadFingerprints = function(longFilename, count, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    var start = that._search(longFilename);
+    var end = Math.min(start + count, that._sorted.length);
+    var result = [];
+    for (var i=start; i<end; i++) result.push(copy(that._byLongFilename[that._sorted[i]]));
+    return callback(null, result);
+  });
+}
+
+FileStorageDelegate.prototype.getVanishedAt = function() {
+  return new Date();
+}
+
+FileStorageDelegate.prototype.getFingerPrintsByHash = function(criteria, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    var result = (that._bySize[criteria.size] || []).map(function(uuid) { return that._byUuid[uuid]; }).filter(function(fingerprint) {
+      if (criteria.md5 !== undefined && fingerprint.md5 !== criteria.md5) return false;
+      if (criteria.quickHash !== undefined && fingerprint.quickHash !== criteria.quickHash) return false;
+      return true;
+    });
+    return callback(null, result.map(copy));
+  });
+}
+
+FileStorageDelegate.prototype.getDuplicateFingerPrints = function(folder, callback) {
+  var that = this;
+  return that._load(function(err) {
+    if (err) return callback(err);
+    var range = that._folderRange(folder);
+    var groups = {};
+    var keys = [];
+    for (var i=range.start; i<range.end; i++) {
+      var fingerprint = that._byLongFilename[that._sorted[i]];
+      if (!fingerprint.md5 || (fingerprint.vanishedAt !== null && fingerprint.vanishedAt !== undefined)) continue;
+      var key = fingerprint.md5 + ":" + fingerprint.size;
+      if (!groups[key]) { groups[key] = []; keys.push(key); }
+      groups[key].push(copy(fingerprint));
+    }
+    var result = keys.map(function(key) { return groups[key]; }).filter(function(group) { return group.length > 1; });
+    return callback(null, result);
+  });
+}
+
+
+
+/**
+ * Public interface
+ */
+module.exports = {
+  FileStorageDelegate: FileStorageDelegate
+};
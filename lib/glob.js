@@ -0,0 +1,200 @@
+/**
+ * wg-scanner - Glob patterns
+ *
+ * Glob patterns are used to include or exclude files and folders from a scope. Their syntax
+ * and semantics are the ones of .gitignore files:
+ * - "*" matches any sequence of characters except "/", and "?" any character except "/"
+ * - "**" matches any number of folders ("**\/cache", "photos/**\/*.jpg", "tmp/**")
+ * - "[abc]", "[a-z]" and "[!abc]" match a character in (or not in) a set
+ * - "{jpg,png}" matches any of the alternatives
+ * - "\" escapes the next character
+ * - patterns without a "/" match a file or folder name at any depth ("*.jpg", ".DS_Store")
+ * - other patterns are anchored to their base folder ("/2016", "albums/*.jpg")
+ * - a trailing "/" only matches folders ("cache/")
+ * - a leading "!" negates the pattern: it re-includes a path excluded by a previous pattern
+ *
+ * Paths are relative to the scope root, and matching is case-insensitive. A pattern only applies to the
+ * paths within its base folder: the scope root for the scope patterns, or the folder of the ignore file
+ * (.scanignore) they were read from. When several patterns match a path, the last one wins. A path
+ * within an excluded folder is always excluded.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+
+// Escape a character which has a special meaning in regular expressions
+function escape(c) {
+  return c.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+}
+
+// Convert a glob pattern (without the negation and trailing slash) to a regular expression source
+function toRegExp(pattern, glob) {
+  var re = '';
+  var groups = 0;     // depth of {} alternatives
+  for (var i=0; i<glob.length; i++) {
+    var c = glob[i];
+    if (c === '\\' && i+1 < glob.length) {
+      i = i + 1;
+      re = re + escape(glob[i]);
+    }
+    else if (c === '*' && glob[i+1] === '*' && (i === 0 || glob[i-1] === '/') && (i+2 === glob.length || glob[i+2] === '/')) {
+      if (i+2 === glob.length) re = re + '.*';      // trailing "/**": everything in the folder
+      else re = re + '(?:.*/)?';                    // "**/": zero or more folders
+      i = i + 2;
+    }
+    else if (c === '*') {
+      while (glob[i+1] === '*') i = i + 1;          // "**" within a name behaves like "*"
+      re = re + '[^/]*';
+    }
+    else if (c === '?') {
+      re = re + '[^/]';
+    }
+    else if (c === '[') {
+      // "]" right after "[" or "[!" is part of the set
+      var j = i + 1;
+      if (glob[j] === '!' || glob[j] === '^') j = j + 1;
+      if (glob[j] === ']') j = j + 1;
+      var end = glob.indexOf(']', j);
+      if (end === -1) {
+        re = re + escape(c);
+      }
+      else {
+        var set = glob.substring(i + 1, end);
+        var negated = set[0] === '!' || set[0] === '^';
+        if (negated) set = set.substr(1);
+        set = set.replace(/[\\\]^]/g, '\\$&');
+        re = re + (negated ? '[^/' + set + ']' : '[' + set + ']');
+        i = end;
+      }
+    }
+    else if (c === '{') {
+      groups = groups + 1;
+      re = re + '(?:';
+    }
+    else if (c === ',' && groups > 0) {
+      re = re + '|';
+    }
+    else if (c === '}' && groups > 0) {
+      groups = groups - 1;
+      re = re + ')';
+    }
+    else {
+      re = re + escape(c);
+    }
+  }
+  if (groups > 0) throw new Exception({ pattern:pattern }, "Invalid glob pattern: unbalanced braces");
+  return re;
+}
+
+/**
+ * Compile a glob pattern into a rule
+ *
+ * @param {string} pattern - is the glob pattern
+ * @param {string} source - is an optional description of where the pattern comes from, for diagnostics
+ * @param {string} base - is the optional base folder of the pattern, relative to the scope root. Defaults to the root
+ * @return a rule {pattern, source, base, negated, dirOnly, regexp}
+ */
+function compile(pattern, source, base) {
+  var glob = pattern;
+  var negated = false;
+  if (glob[0] === '!') {
+    negated = true;
+    glob = glob.substr(1);
+  }
+  var dirOnly = false;
+  if (glob.length > 1 && glob[glob.length - 1] === '/' && glob[glob.length - 2] !== '\\') {
+    dirOnly = true;
+    glob = glob.substr(0, glob.length - 1);
+  }
+  var anchored = glob.indexOf('/') !== -1;
+  if (glob[0] === '/') glob = glob.substr(1);
+  if (glob.length === 0) throw new Exception({ pattern:pattern }, "Invalid glob pattern: empty pattern");
+  var re = toRegExp(pattern, glob);
+  if (!anchored) re = '(?:.*/)?' + re;
+  return {
+    pattern:  pattern,
+    source:   source,
+    base:     base || "",
+    negated:  negated,
+    dirOnly:  dirOnly,
+    regexp:   new RegExp('^' + re + '$', 'i')
+  };
+}
+
+/**
+ * Find the last rule matching a path
+ *
+ * @param rules - is the list of rules (as returned by compile)
+ * @param {string} path - is the path, relative to the scope root
+ * @param {boolean} isDirectory - indicates if the path is a folder
+ * @return the last matching rule, or undefined if no rule matches
+ */
+function match(rules, path, isDirectory) {
+  for (var i=rules.length-1; i>=0; i--) {
+    var rule = rules[i];
+    if (rule.dirOnly && !isDirectory) continue;
+    var relative = path;
+    if (rule.base.length > 0) {
+      if (path.substr(0, rule.base.length + 1) !== rule.base + '/') continue;
+      relative = path.substr(rule.base.length + 1);
+    }
+    if (rule.regexp.test(relative)) return rule;
+  }
+  return undefined;
+}
+
+/**
+ * Parse the content of an ignore file, with the .gitignore syntax: one pattern per line, blank lines and
+ * lines starting with "#" are ignored. Like git does, invalid patterns are ignored
+ *
+ * @param {string} content - is the content of the ignore file
+ * @param {string} filename - is the name of the ignore file, used as the rules source
+ * @param {string} base - is the folder of the ignore file, relative to the scope root
+ * @return the list of rules
+ */
+function parse(content, filename, base) {
+  var rules = [];
+  var lines = content.split(/\r?\n/);
+  for (var i=0; i<lines.length; i++) {
+    var line = lines[i].replace(/(^|[^\\])\s+$/, '$1');
+    if (line.length === 0 || line[0] === '#') continue;
+    try { rules.push(compile(line, filename + ":" + (i+1), base)); }
+    catch (err) { continue; }
+  }
+  return rules;
+}
+
+/**
+ * Checks if a path is excluded by a list of exclusion rules. A path is excluded if the last
+ * matching rule is not negated, or if one of its parent folders is excluded
+ *
+ * @param rules - is the list of rules (as returned by compile)
+ * @param {string} path - is the path, relative to the scope root
+ * @param {boolean} isDirectory - indicates if the path is a folder
+ * @return the rule which excludes the path, or undefined if the path is not excluded
+ */
+function isExcluded(rules, path, isDirectory) {
+  if (rules.length === 0) return undefined;
+  var index = path.indexOf('/');
+  while (index !== -1) {
+    var rule = match(rules, path.substr(0, index), true);
+    if (rule && !rule.negated) return rule;
+    index = path.indexOf('/', index + 1);
+  }
+  var rule = match(rules, path, isDirectory);
+  if (rule && !rule.negated) return rule;
+  return undefined;
+}
+
+
+
+/**
+ * Public interface
+ */
+module.exports = {
+  compile:      compile,
+  parse:        parse,
+  match:        match,
+  isExcluded:   isExcluded
+};
@@ -0,0 +1,190 @@
+/**
+ * wg-scanner - Hash algorithms
+ *
+ * Registry of the hash algorithms which can be used to fingerprint files (scanOptions.hashes).
+ * A hash algorithm is registered with a factory function which returns a hash object
+ * with the same interface as node's crypto Hash objects:
+ * - update(buffer) is called for each chunk of the file
+ * - digest() is called at the end and returns the hash, as a string
+ *
+ * Builtin algorithms are the md5, sha1, sha256 and sha512 cryptographic hashes, and fnv1a64,
+ * a fast non-cryptographic hash suitable for finding duplicates.
+ *
+ * For very large files, a "quick hash" can be computed instead, from the file size and
+ * a few sampled blocks (head, middle and tail) of the file.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+
+/** ================================================================================
+  * FNV-1a 64 bits
+  * Computed on two 32 bits halves, as javascript numbers cannot hold 64 bits integers
+  * ================================================================================ */
+
+function Fnv1a64() {
+  this._hi = 0xcbf29ce4;      // offset basis is 0xcbf29ce484222325
+  this._lo = 0x84222325;
+}
+
+Fnv1a64.prototype.update = function(buffer) {
+  var hi = this._hi;
+  var lo = this._lo;
+  for (var i=0; i<buffer.length; i++) {
+    lo = (lo ^ buffer[i]) >>> 0;
+    // Multiply by the FNV prime, which is 2^40 + 0x1b3
+    var low = lo * 0x1b3;
+    hi = (hi * 0x1b3 + Math.floor(low / 0x100000000) + (lo << 8)) >>> 0;
+    lo = low >>> 0;
+  }
+  this._hi = hi;
+  this._lo = lo;
+  return this;
+}
+
+Fnv1a64.prototype.digest = function() {
+  return ("00000000" + this._hi.toString(16)).slice(-8) + ("00000000" + this._lo.toString(16)).slice(-8);
+}
+
+
+/** ================================================================================
+  * Registry
+  * ================================================================================ */
+
+// Hash factories, by name
+var _factories = {};
+
+// Names of the builtin algorithms. They are available in worker threads
+const BUILTINS = ['md5', 'sha1', 'sha256', 'sha512', 'fnv1a64'];
+
+['md5', 'sha1', 'sha256', 'sha512'].forEach(function(name) {
+  _factories[name] = function() {
+    var hash = crypto.createHash(name);
+    return { update: function(buffer) { hash.update(buffer); }, digest: function() { return hash.digest('hex'); } };
+  };
+});
+_factories.fnv1a64 = function() { return new Fnv1a64(); };
+
+/**
+ * Register a hash algorithm (or replace an existing one)
+ *
+ * @param {string} name - is the algorithm name, as used in scanOptions.hashes and in the fingerprint's hashes map
+ * @param {function} factory - is a function returning a new hash object ({update, digest})
+ */
+function registerHash(name, factory) {
+  _factories[name] = factory;
+}
+
+/**
+ * Get the list of registered hash algorithms
+ * @return {string[]} the algorithm names
+ */
+function getHashNames() {
+  return Object.keys(_factories);
+}
+
+/**
+ * Check if a hash algorithm is a builtin one (and can therefore be computed in a worker thread)
+ * @param {string} name - is the algorithm name
+ * @return {boolean}
+ */
+function isBuiltin(name) {
+  return BUILTINS.indexOf(name) !== -1 && _factories[name] !== undefined;
+}
+
+/**
+ * Compute several hashes of a file, reading the file only once
+ *
+ * @param {string} longFilename - is the fully-qualified name of the file
+ * @param {string[]} names - is the list of hash algorithms
+ * @param callback - is the return function
+ *                      err is the error object
+ *                      hashes is the map of hashes, by algorithm name
+ */
+function hashFile(longFilename, names, callback) {
+  var hashes;
+  try {
+    hashes = names.map(function(name) {
+      var factory = _factories[name];
+      if (!factory) throw new Error("Unknown hash algorithm: " + name);
+      return factory();
+    });
+  }
+  catch (err) {
+    return callback(err);
+  }
+  var called = false;
+  function done(err, result) {
+    if (called) return;
+    called = true;
+    return callback(err, result);
+  }
+  var stream = fs.createReadStream(longFilename);
+  stream.on('error', function(err) {
+    return done(err);
+  });
+  stream.on('data', function(data) {
+    for (var i=0; i<hashes.length; i++) hashes[i].update(data);
+  });
+  stream.on('end', function() {
+    var result = {};
+    for (var i=0; i<names.length; i++) result[names[i]] = hashes[i].digest();
+    return done(null, result);
+  });
+}
+
+/**
+ * Compute the quick hash of a file: the MD5 of the file size and of 3 sampled blocks (head, middle and tail).
+ * Files smaller than 3 blocks are hashed entirely
+ *
+ * @param {string} longFilename - is the fully-qualified name of the file
+ * @param {number} size - is the file size, in bytes
+ * @param {number} blockSize - is the size of the sampled blocks, in bytes
+ * @param callback - is the return function
+ *                      err is the error object
+ *                      quickHash is the hex-encoded quick hash
+ */
+function quickHashFile(longFilename, size, blockSize, callback) {
+  var blocks = [];
+  if (size <= 3*blockSize) blocks.push({ offset: 0, length: size });
+  else {
+    blocks.push({ offset: 0, length: blockSize });
+    blocks.push({ offset: Math.floor((size - blockSize) / 2), length: blockSize });
+    blocks.push({ offset: size - blockSize, length: blockSize });
+  }
+  var hash = crypto.createHash('md5');
+  hash.update("" + size + ":");
+  return fs.open(longFilename, 'r', function(err, fd) {
+    if (err) return callback(err);
+    var readNext = function() {
+      var block = blocks.shift();
+      if (!block) {
+        return fs.close(fd, function(err) {
+          if (err) return callback(err);
+          return callback(null, hash.digest('hex'));
+        });
+      }
+      var buffer = Buffer.alloc(block.length);
+      return fs.read(fd, buffer, 0, block.length, block.offset, function(err, bytesRead) {
+        if (err) return fs.close(fd, function() { return callback(err); });
+        hash.update(buffer.slice(0, bytesRead));
+        return readNext();
+      });
+    };
+    return readNext();
+  });
+}
+
+
+/**
+ * Public interface
+ */
+module.exports = {
+  registerHash:   registerHash,
+  getHashNames:   getHashNames,
+  isBuiltin:      isBuiltin,
+  hashFile:       hashFile,
+  quickHashFile:  quickHashFile
+};
@@ -0,0 +1,115 @@
+/**
+ * wg-scanner - Hash worker pool
+ *
+ * Computes file hashes in worker threads, so that hashing large files does not
+ * block the event loop. Workers are created on demand, up to the pool size, and
+ * each worker hashes one file at a time.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const path = require('path');
+const Worker = require('worker_threads').Worker;
+const Log = require('wg-log').Log;
+
+const log = Log.getLogger('wg-scanner');
+
+
+/**
+ * Create a pool of hash workers
+ *
+ * @param {integer} size - is the maximum number of worker threads
+ */
+function HashPool(size) {
+  this._size = size;
+  this._workers = [];       // all workers
+  this._idle = [];          // workers waiting for a job
+  this._pending = [];       // jobs waiting for a worker
+  this._closed = false;
+}
+
+/**
+ * Compute the hashes of a file. Only builtin hash algorithms can be computed in worker threads
+ *
+ * @param {string} longFilename - is the fully-qualified name of the file
+ * @param {string[]} names - is the list of hash algorithms
+ * @param callback - is the return function
+ *                      err is the error object
+ *                      hashes is the map of hashes, by algorithm name
+ */
+HashPool.prototype.hash = function(longFilename, names, callback) {
+  var that = this;
+  that._pending.push({ longFilename: longFilename, names: names, callback: callback });
+  return that._dispatch();
+}
+
+// Assign pending jobs to available workers
+HashPool.prototype._dispatch = function() {
+  var that = this;
+  while (that._pending.length > 0 && !that._closed) {
+    var worker = that._idle.shift();
+    if (!worker && that._workers.length < that._size) worker = that._createWorker();
+    if (!worker) return;
+    var job = that._pending.shift();
+    worker._job = job;
+    worker.postMessage({ longFilename: job.longFilename, names: job.names });
+  }
+}
+
+// Create a new worker thread
+HashPool.prototype._createWorker = function() {
+  var that = this;
+  var worker = new Worker(path.join(__dirname, 'hashworker.js'));
+  that._workers.push(worker);
+  worker.on('message', function(message) {
+    var job = worker._job;
+    worker._job = undefined;
+    that._idle.push(worker);
+    that._dispatch();
+    if (message.err) {
+      var err = new Error(message.err.message);
+      err.code = message.err.code;
+      return job.callback(err);
+    }
+    return job.callback(null, message.hashes);
+  });
+  worker.on('error', function(err) {
+    log.error({ err:err, message:err.message }, "Hash worker failed");
+    that._workers.splice(that._workers.indexOf(worker), 1);
+    var job = worker._job;
+    worker._job = undefined;
+    that._dispatch();
+    if (job) return job.callback(err);
+  });
+  return worker;
+}
+
+/**
+ * Stop all the workers. Jobs which did not start are failed
+ *
+ * @param callback - is the return function
+ */
+HashPool.prototype.close = function(callback) {
+  var that = this;
+  that._closed = true;
+  var pending = that._pending;
+  that._pending = [];
+  pending.forEach(function(job) {
+    job.callback(new Error("Hash pool closed"));
+  });
+  var workers = that._workers;
+  that._workers = [];
+  that._idle = [];
+  return Promise.all(workers.map(function(worker) { return worker.terminate(); })).then(function() {
+    return callback();
+  }, function(err) {
+    return callback(err);
+  });
+}
+
+
+/**
+ * Public interface
+ */
+module.exports = {
+  HashPool: HashPool
+};
@@ -0,0 +1,17 @@
+/**
+ * wg-scanner - Hash worker
+ *
+ * Worker thread script used by the HashPool. Receives { longFilename, names } messages,
+ * and replies with { hashes } or { err }.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const parentPort = require('worker_threads').parentPort;
+const hashes = require('./hashes.js');
+
+parentPort.on('message', function(message) {
+  return hashes.hashFile(message.longFilename, message.names, function(err, result) {
+    if (err) return parentPort.postMessage({ err: { message: err.message, code: err.code } });
+    return parentPort.postMessage({ hashes: result });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * wg-scanner - Exclusion presets
+ *
+ * Presets are named lists of exclusion glob patterns (see glob.js) for the files and folders created by
+ * operating systems, NAS and applications, which are usually not worth scanning.
+ *
+ * Presets are versioned: patterns are never changed within a version, so that the scope of a scan does
+ * not change silently when the module is upgraded. A preset is referred to by its name (latest version)
+ * or by its name and version ("macos@1").
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const Exception = require('wg-log').Exception;
+
+
+/** ================================================================================
+  * Presets, by name. Each preset is a list of versions, the last one being the latest
+  * ================================================================================ */
+
+const PRESETS = {
+
+  'macos': [
+    { version: 1, patterns: [
+      ".DS_Store", "._*", ".localized", "Icon\r",
+      ".Spotlight-V100/", ".Trashes/", ".fseventsd/", ".TemporaryItems/", ".DocumentRevisions-V100/", ".AppleDouble/", ".AppleDB/"
+    ]}
+  ],
+
+  'windows': [
+    { version: 1, patterns: [
+      "Thumbs.db", "ehthumbs.db", "desktop.ini", "*.lnk",
+      "$RECYCLE.BIN/", "System Volume Information/"
+    ]}
+  ],
+
+  'synology': [
+    { version: 1, patterns: [
+      "@eaDir/", "#recycle/", "#snapshot/", "@tmp/", "@SynoResource", "@SynoEAStream"
+    ]}
+  ],
+
+  'photo-libraries': [
+    { version: 1, patterns: [
+      "iPhoto Library/", "*.photolibrary/", "*.photoslibrary/", "*.migratedphotolibrary/",
+      "*.aplibrary/", "Photo Booth Library/", "*.lrdata/", "Picasa.ini", ".picasa.ini", ".picasaoriginals/"
+    ]}
+  ],
+
+  'dev': [
+    { version: 1, patterns: [
+      "node_modules/", "bower_components/", ".git/", ".svn/", ".hg/", "CVS/",
+      "__pycache__/", "*.pyc", ".idea/", ".gradle/", ".tox/", ".venv/"
+    ]}
+  ]
+
+};
+
+/**
+ * Get a preset
+ *
+ * @param {string} name - is the preset name, optionally followed by "@" and a version number ("macos", "macos@1")
+ * @return the preset {name, version, source, patterns}, where source identifies the preset and version ("macos@1")
+ */
+function get(name) {
+  var parts = name.split('@');
+  var versions = PRESETS[parts[0]];
+  if (!versions) throw new Exception({ preset:name }, "Unknown exclusion preset");
+  var preset = versions[versions.length - 1];
+  if (parts.length > 1) {
+    preset = versions.filter(function(preset) { return String(preset.version) === parts[1]; })[0];
+    if (!preset) throw new Exception({ preset:name }, "Unknown exclusion preset version");
+  }
+  return {
+    name:     parts[0],
+    version:  preset.version,
+    source:   "preset:" + parts[0] + "@" + preset.version,
+    patterns: preset.patterns.slice(0)
+  };
+}
+
+/**
+ * Get the names of the available presets
+ * @return {string[]} the list of preset names
+ */
+function getNames() {
+  return Object.keys(PRESETS);
+}
+
+
+
+/**
+ * Public interface
+ */
+module.exports = {
+  get:          get,
+  getNames:     getNames
+};
@@ -28,10 +28,15 @@
  * detected the removal, or reset to NULL if the file has been restored.
  * Handlers implement the ReverseScanHandler interface.
  *
+ * In watch mode, the folders of a scope are watched for changes (see watcher.js), and the
+ * changed files are scanned as they are reported, in addition to periodic full scans.
+ *
  */
  // (C) Alexandre Morin 2015 - 2016
 
 const fs = require('fs');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
 const fse = require('fs-extra');
 const utils = require('wg-utils');
 const extend = require('extend');
@@ -39,6 +44,12 @@ const Log = require('wg-log').Log;
 const Exception = require('wg-log').Exception;
 const moment = require('moment');
 const LinkedHashMap = require('wg-collections').LinkedHashMap;
+const HashPool = require('./hashpool.js').HashPool;
+const hashes = require('./hashes.js');
+const glob = require('./glob.js');
+const presets = require('./presets.js');
+const FileStorageDelegate = require('./filestorage.js').FileStorageDelegate;
+const FolderWatcher = require('./watcher.js').FolderWatcher;
 
 const log = Log.getLogger('wg-scanner');
 
@@ -57,8 +68,90 @@ const log = Log.getLogger('wg-scanner');
  * @property {number} mtime - The modification time of the file on the file system referential (from lstat command)
  * @property {number} size - The file size, in bytes
  * @property {string} md5 - The md5 checksum of the file
+ * @property {Object} hashes - The hashes of the file, by algorithm name (see scanOptions.hashes). Includes md5
+ * @property {string} hashKind - "full" if md5 and hashes are set, "quick" if only the quick hash was computed (see HashKind)
+ * @property {string} quickHash - The quick hash of the file (size and sampled blocks), for files larger than scanOptions.quickHash.minSize
+ * @property {number} inode - The inode number of the file (from lstat command). Used to detect moved files
+ * @property {string} realFilename - The resolved real path of the file, if it's reached through symbolic links (see DirectoryScope.followSymlinks)
  * @property {string} vanishedAt - Non null if the file vanished from the file system. Represents the date+time at which the file was found vanished
+ * @property {string} verifiedAt - The date+time at which the file content was last verified against its hashes (see VerifyHandler)
+ */
+
+
+
+/** ================================================================================
+  * Callbacks and promises
+  *
+  * Delegates, handlers and scopes can be written either in callback style (the last
+  * parameter is a node-style callback) or in promise style (the function returns a
+  * promise, or is an async function). The scanners always go through invoke() so
+  * that both styles are accepted.
+  * ================================================================================ */
+
+/**
+ * Call a function which is either callback or promise based, and get the result through a callback
+ *
+ * @param target - is the object on which to call the function (this)
+ * @param {function} fn - is the function to call
+ * @param {Array} args - is the list of arguments, not including the callback
+ * @param {string[]} keys - optional. If the function is promise based and resolves to an object,
+ *                          the object is spread into several callback parameters, in this order
+ * @param callback - is the return function
+ */
+function invoke(target, fn, args, keys, callback) {
+  if (callback === undefined) { callback = keys; keys = undefined; }
+  var called = false;
+  function done() {
+    if (called) return;
+    called = true;
+    callback.apply(undefined, arguments);
+  }
+  var result;
+  try {
+    result = fn.apply(target, args.concat([function() { done.apply(undefined, arguments); }]));
+  }
+  catch (err) {
+    if (called) throw err;    // thrown by the callback itself, not by fn
+    return done(err);
+  }
+  // Note that invoke never returns the promise itself: callback-based functions of this module
+  // return whatever invoke returns, and must not be mistaken for promise-based functions
+  if (result && typeof result.then === 'function') {
+    result.then(function(value) {
+      if (!keys) return done(null, value);
+      if (value === null || value === undefined) return done(null);
+      var values = [null];
+      for (var i=0; i<keys.length; i++) values.push(value[keys[i]]);
+      return done.apply(undefined, values);
+    }, function(err) {
+      return done(err || new Exception({}, "Promise rejected without a reason"));
+    });
+  }
+}
+
+/**
+ * Call a callback-based function and return a promise. This is used to provide a promise
+ * interface to the functions of this module when they are called without a callback.
+ *
+ * @param target - is the object on which to call the function (this)
+ * @param {function} fn - is the function to call
+ * @param {Array} args - is the list of arguments, not including the callback
+ * @param {string[]} keys - optional. If the function returns several values through its callback,
+ *                          they are returned as an object with those keys
+ * @return a promise
  */
+function promised(target, fn, args, keys) {
+  return new Promise(function(resolve, reject) {
+    fn.apply(target, args.concat([function(err) {
+      if (err) return reject(err);
+      if (!keys) return resolve(arguments[1]);
+      if (arguments[1] === null || arguments[1] === undefined) return resolve(undefined);
+      var value = {};
+      for (var i=0; i<keys.length; i++) value[keys[i]] = arguments[i+1];
+      return resolve(value);
+    }]));
+  });
+}
 
 
 /** ================================================================================
@@ -66,7 +159,17 @@ const log = Log.getLogger('wg-scanner');
   * ================================================================================ */
 
 /**
- * Create the delegate object to handle progress information
+ * Status of a scan (or of a scan phase) when it ends
+ */
+const ScanStatus = {
+  COMPLETED:  "completed",    // scan went through all files/fingerprints
+  ABORTED:    "aborted",      // scan was interrupted through the scanOptions.signal AbortSignal
+  FAILED:     "failed"        // scan failed with an error (only passed to scanEnded, the scan returns the error)
+};
+
+/**
+ * Create the delegate object to handle progress information. Progress delegates are
+ * notified through the scan events (see adaptProgressDelegate)
  */
 function ProgressDelegate() {
 }
@@ -83,8 +186,10 @@ ProgressDelegate.prototype.scanStarted = function(scope, handlers, scanOptions)
 
 /**
  * Called when the scan ends
+ *
+ * @param {string} status - is the scan status (see ScanStatus)
  */
-ProgressDelegate.prototype.scanEnded = function() {
+ProgressDelegate.prototype.scanEnded = function(status) {
 }
 
 /**
@@ -100,14 +205,17 @@ ProgressDelegate.prototype.forwardScanStarted = function() {
  * @param {number} processed - the number of files processed so far
  * @param {number} inserted - the number of fingerprints inserted so far
  * @param {number} updated - the number of fingerprints updated so far
+ * @param {number} moved - the number of fingerprints of moved or renamed files so far
  */
-ProgressDelegate.prototype.forwardScanProgress = function(scanned, processed, inserted, updated) {
+ProgressDelegate.prototype.forwardScanProgress = function(scanned, processed, inserted, updated, moved) {
 }
 
 /**
  * Called when the forward scan ends
+ *
+ * @param {string} status - is the forward scan status (see ScanStatus)
  */
-ProgressDelegate.prototype.forwardScanEnded = function() {
+ProgressDelegate.prototype.forwardScanEnded = function(status) {
 }
 
 /**
@@ -129,8 +237,154 @@ ProgressDelegate.prototype.reverseScanProgress = function(fingerprints, scanned,
 
 /**
  * Called when the reverse scan ends
+ *
+ * @param {string} status - is the reverse scan status (see ScanStatus)
+ */
+ProgressDelegate.prototype.reverseScanEnded = function(status) {
+}
+
+
+/** ================================================================================
+  * Scan events
+  *
+  * Scanners emit events on an EventEmitter (scanOptions.events) as they go. Events are
+  * emitted with a single object parameter, which always holds the scanner counters
+  * ("counters"). File and fingerprint events also hold the fingerprint, and the file
+  * metadata ("stats", null if the file does not exist).
+  * Fingerprint writes may be batched (see BatchWriter): events are emitted once the write
+  * is queued, and the uuid of inserted fingerprints may not be known yet.
+  * ================================================================================ */
+
+/**
+ * Scan event names
+ */
+const ScanEvent = {
+  SCAN_STARTED:             "scan:started",             // {scope, handlers, scanOptions, counters}
+  SCAN_ENDED:               "scan:ended",               // {status, err, counters}. err is only set if the scan failed
+  FORWARD_STARTED:          "forward:started",          // {counters}
+  FORWARD_PROGRESS:         "forward:progress",         // {counters}
+  FORWARD_ENDED:            "forward:ended",            // {status, counters}
+  REVERSE_STARTED:          "reverse:started",          // {counters}
+  REVERSE_PROGRESS:         "reverse:progress",         // {counters}
+  REVERSE_ENDED:            "reverse:ended",            // {status, counters}
+  FILE_INSERTED:            "file:inserted",            // {fingerprint, stats, counters}
+  FILE_UPDATED:             "file:updated",             // {fingerprint, previous, moved, stats, counters}
+  FILE_UNCHANGED:           "file:unchanged",           // {fingerprint, stats, counters}
+  FINGERPRINT_VANISHED:     "fingerprint:vanished",     // {fingerprint, stats, counters}
+  FINGERPRINT_REAPPEARED:   "fingerprint:reappeared",   // {fingerprint, stats, counters}
+  FINGERPRINT_CORRUPTED:    "fingerprint:corrupted",    // {fingerprint, stats, expected, actual, counters} (see VerifyHandler)
+  HANDLER_ERROR:            "handler:error"             // {fingerprint, stats, handler, err, counters}
+};
+
+/**
+ * Forward the scan events to a progress delegate
+ *
+ * @param {EventEmitter} events - is the event emitter of the scan
+ * @param {ProgressDelegate} progressDelegate - is the progress delegate. Functions it does not implement are not called,
+ *                                              and the corresponding events are not listened to
+ * @return {function} a function which stops forwarding the events
+ */
+function adaptProgressDelegate(events, progressDelegate) {
+  var listeners = {};
+  var listen = function(name, fn, getArgs) {
+    if (!progressDelegate || typeof progressDelegate[fn] !== 'function') return;
+    listeners[name] = function(event) { progressDelegate[fn].apply(progressDelegate, getArgs(event)); };
+  };
+  listen(ScanEvent.SCAN_STARTED, 'scanStarted', function(event) { return [event.scope, event.handlers, event.scanOptions]; });
+  listen(ScanEvent.SCAN_ENDED, 'scanEnded', function(event) { return [event.status]; });
+  listen(ScanEvent.FORWARD_STARTED, 'forwardScanStarted', function(event) { return []; });
+  listen(ScanEvent.FORWARD_PROGRESS, 'forwardScanProgress', function(event) {
+    var counters = event.counters;
+    return [counters.scanned, counters.processed, counters.inserted, counters.updated, counters.moved];
+  });
+  listen(ScanEvent.FORWARD_ENDED, 'forwardScanEnded', function(event) { return [event.status]; });
+  listen(ScanEvent.REVERSE_STARTED, 'reverseScanStarted', function(event) { return []; });
+  listen(ScanEvent.REVERSE_PROGRESS, 'reverseScanProgress', function(event) {
+    var counters = event.counters;
+    return [counters.fingerprints, counters.scanned, counters.processed, counters.errors];
+  });
+  listen(ScanEvent.REVERSE_ENDED, 'reverseScanEnded', function(event) { return [event.status]; });
+  Object.keys(listeners).forEach(function(name) { events.on(name, listeners[name]); });
+  return function() {
+    Object.keys(listeners).forEach(function(name) { events.removeListener(name, listeners[name]); });
+  };
+}
+
+
+/** ================================================================================
+  * Change sets
+  *
+  * In dry-run mode (scanOptions.dryRun), the scanners do not write to the storage
+  * delegate. The changes they would have made are collected from the scan events
+  * into a change set, which is returned with the scan results.
+  * ================================================================================ */
+
+/**
+ * Create an empty change set
+ */
+function ChangeSet() {
+  this._new = [];           // new files {longFilename, size, mtime, md5}
+  this._modified = [];      // modified files {uuid, longFilename, oldMtime, newMtime, oldMd5, newMd5}
+  this._moved = [];         // moved or renamed files {uuid, from, to}
+  this._vanished = [];      // fingerprints which would be marked as vanished {uuid, longFilename}
+  this._reappeared = [];    // vanished fingerprints whose file is back {uuid, longFilename}
+  this._movedUuids = {};    // uuids of the moved fingerprints
+}
+
+/**
+ * Collect the changes from scan events
+ * @param {EventEmitter} events - is the event emitter of the scan
+ * @return {function} a function which stops collecting the changes
+ */
+ChangeSet.prototype.listen = function(events) {
+  var that = this;
+  var listeners = {};
+  listeners[ScanEvent.FILE_INSERTED] = function(event) {
+    var fingerprint = event.fingerprint;
+    that._new.push({ longFilename: fingerprint.longFilename, size: fingerprint.size, mtime: fingerprint.mtime, md5: fingerprint.md5 });
+  };
+  listeners[ScanEvent.FILE_UPDATED] = function(event) {
+    var fingerprint = event.fingerprint;
+    var previous = event.previous;
+    if (event.moved) {
+      that._movedUuids[fingerprint.uuid] = true;
+      return that._moved.push({ uuid: fingerprint.uuid, from: previous.longFilename, to: fingerprint.longFilename });
+    }
+    that._modified.push({
+      uuid:         fingerprint.uuid,
+      longFilename: fingerprint.longFilename,
+      oldMtime:     previous.mtime,
+      newMtime:     fingerprint.mtime,
+      oldMd5:       previous.md5,
+      newMd5:       fingerprint.md5
+    });
+  };
+  listeners[ScanEvent.FINGERPRINT_VANISHED] = function(event) {
+    // The storage is not updated, so the fingerprints of moved files still have their old location
+    if (that._movedUuids[event.fingerprint.uuid]) return;
+    that._vanished.push({ uuid: event.fingerprint.uuid, longFilename: event.fingerprint.longFilename });
+  };
+  listeners[ScanEvent.FINGERPRINT_REAPPEARED] = function(event) {
+    that._reappeared.push({ uuid: event.fingerprint.uuid, longFilename: event.fingerprint.longFilename });
+  };
+  Object.keys(listeners).forEach(function(name) { events.on(name, listeners[name]); });
+  return function() {
+    Object.keys(listeners).forEach(function(name) { events.removeListener(name, listeners[name]); });
+  };
+}
+
+/**
+ * Get the changes
+ * @return a JSON-serializable object {new, modified, moved, vanished, reappeared}
  */
-ProgressDelegate.prototype.reverseScanEnded = function() {
+ChangeSet.prototype.toJSON = function() {
+  return {
+    new:        this._new.slice(0),
+    modified:   this._modified.slice(0),
+    moved:      this._moved.slice(0),
+    vanished:   this._vanished.slice(0),
+    reappeared: this._reappeared.slice(0)
+  };
 }
 
 
@@ -141,6 +395,9 @@ ProgressDelegate.prototype.reverseScanEnded = function() {
 
 /**
  * Create the delegate object to handle the database (long-term storage) access
+ *
+ * All functions except getVanishedAt are asynchronous. They can either take a node-style
+ * callback as their last parameter, or return a promise (async functions).
  */
 function StorageDelegate() {
 }
@@ -171,6 +428,25 @@ StorageDelegate.getFingerPrints = function(folder, offset, limit, callback) {
   return callback(new Exception({folder:folder, offset:offset, limit:limit}, "Unimplemented  function StorageDelegate.getFingerPrints"));
 }
 
+/**
+ * Optional. Get the list of fingerprints for a folder, using keyset pagination: fingerprints are sorted by
+ * long file name, and a page starts right after the last fingerprint of the previous page. Unlike offsets,
+ * this is not affected by fingerprints inserted or deleted during the scan. If implemented, it's preferred
+ * to getFingerPrints by the reverse scan.
+ *
+ * @param {string} folder - is the fully-qualified name of the file system folder
+ * @param {string} after - is the long file name of the last fingerprint of the previous page. Fingerprints
+ *                         with a long file name strictly greater are returned. Undefined for the first page
+ * @param {integer} limit - is the maximum number of items returned
+ * @return {Fingerprint[]} the list of fingerprints for this folder, sorted by long file name
+ *
+ * Like getFingerPrints, if it returns less than the expected (limit) number, then the scanners will consider
+ * that there are no more fingerprints for the folder.
+ */
+StorageDelegate.getFingerPrintsAfter = function(folder, after, limit, callback) {
+  return callback(new Exception({folder:folder, after:after, limit:limit}, "Unimplemented  function StorageDelegate.getFingerPrintsAfter"));
+}
+
 /**
  * Count the number of fingerprints for a folder, used to indicate progress
  *
@@ -218,7 +494,7 @@ StorageDelegate.preLoadFingerprints = function(longFilename, count, callback) {
 }
 
 /**
- * Get the current date+time representation for the vanished attribute.
+ * Get the current date+time representation for the vanishedAt (and verifiedAt) attributes.
  * This cannot be computed by the scanner, because it is dependent of the long-term storage referential.
  * For instance, we'll use the "current_timestamp" of a database
  */
@@ -226,197 +502,1115 @@ StorageDelegate.getVanishedAt = function() {
   return undefined;
 }
 
+/**
+ * Optional. Get the fingerprints with a given content, vanished or not. This is used to detect moved or
+ * renamed files: when a new file is found, the scanner looks for a fingerprint with the same content
+ * whose file does not exist anymore, and updates it instead of inserting a new fingerprint.
+ * If not implemented, moved files are inserted as new fingerprints.
+ *
+ * @param criteria - is the content to look for: {size, md5} or {size, quickHash} for files which only have a quick hash
+ * @return {Fingerprint[]} the list of matching fingerprints
+ */
+StorageDelegate.getFingerPrintsByHash = function(criteria, callback) {
+  return callback(new Exception({criteria:criteria}, "Unimplemented  function StorageDelegate.getFingerPrintsByHash"));
+}
 
+/**
+ * Optional. Get the duplicate fingerprints of a folder (or its subfolders), for duplicate detection.
+ * Non-vanished fingerprints are grouped by content (md5 and size). Fingerprints without md5 (quick hashes)
+ * are ignored. If not implemented, findDuplicates reads all the fingerprints of the scope instead.
+ *
+ * @param {string} folder - is the fully-qualified name of the file system folder
+ * @return {Fingerprint[][]} the list of groups of fingerprints which have the same md5 and size.
+ *                           Each group has at least 2 fingerprints
+ */
+StorageDelegate.getDuplicateFingerPrints = function(folder, callback) {
+  return callback(new Exception({folder:folder}, "Unimplemented  function StorageDelegate.getDuplicateFingerPrints"));
+}
 
-/** ================================================================================
-  * Handler interface for reverse scanners
-  * ================================================================================ */
+/**
+ * Optional. Store several new fingerprints at once. If not implemented, insertFingerprint is called for each fingerprint
+ *
+ * @param {Fingerprint[]} newFingerPrints - is the list of new fingerprints (see insertFingerprint)
+ */
+StorageDelegate.insertFingerprints = function(newFingerPrints, callback) {
+  return callback(new Exception({count:newFingerPrints.length}, "Unimplemented  function StorageDelegate.insertFingerprints"));
+}
 
 /**
- * Creates the handler. Keep a reference to the (reverse) scanner that will use this handler
- * @param {ReverseScanner} reverseScanner - the scanner
+ * Optional. Update several fingerprints at once, in order. If not implemented, updateFingerprint is called for each fingerprint
+ *
+ * @param {Fingerprint[]} newFingerPrints - is the list of new or partial fingerprints (see updateFingerprint)
  */
-ReverseScanHandler = function(reverseScanner) {
-  this._reverseScanner = reverseScanner;
+StorageDelegate.updateFingerprints = function(newFingerPrints, callback) {
+  return callback(new Exception({count:newFingerPrints.length}, "Unimplemented  function StorageDelegate.updateFingerprints"));
 }
 
 /**
- * Handlers are given a name for logging purposes
- * @return {string} the handler name
+ * Optional. Start a batch (for instance a database transaction). The inserts and updates which follow, up to the
+ * next commitBatch call, belong to the batch. Batches are never nested
  */
-ReverseScanHandler.prototype.getName = function() { return "ReverseScanHandler"; };
+StorageDelegate.beginBatch = function(callback) {
+  return callback(new Exception({}, "Unimplemented  function StorageDelegate.beginBatch"));
+}
 
 /**
- * Process next fingerprint. Handlers will be called for each fingerprint.
- * Their responsibility is to determine if there's a change or something to (re)compute
- * and if so to update the fingerprint in the long term storage
- * @param {Fingerprint} fingerprint - is the fingerprint to process
- * @param stats - is the corresponding information of the file on the file system.
- *                It can be null or undefined if the file was removed from the file system
- * @param {boolean} isInScope - is a boolean indicating if the file is within the scope
- *                              or the current scan or not
- * @param scanOptions - is the scan options (as passed to the scan function)
- * @return {boolean} indicating the the handler processed the file or not. Used to compute scan statistics
+ * Optional. Commit the current batch (see beginBatch). Must be implemented if beginBatch is
  */
-ReverseScanHandler.prototype.processNext = function(fingerprint, stats, isInScope, callback) {
-  return callback();
+StorageDelegate.commitBatch = function(callback) {
+  return callback(new Exception({}, "Unimplemented  function StorageDelegate.commitBatch"));
 }
 
+/**
+ * Optional. Roll back the current batch (see beginBatch), after an insert or update failed.
+ * If not implemented, the batch is committed instead, and only the fingerprints which were
+ * not written are written again
+ */
+StorageDelegate.rollbackBatch = function(callback) {
+  return callback(new Exception({}, "Unimplemented  function StorageDelegate.rollbackBatch"));
+}
 
 
 
 /** ================================================================================
-  * Scanning scope for a single file
+  * Checkpoints
+  *
+  * A checkpoint store persists the state of a scan, so that an interrupted scan can be
+  * resumed (scanOptions.resume) instead of being restarted from scratch.
+  * A checkpoint is a JSON-serializable object
+  *   { phase: "forward"|"reverse", forward: { state, stats }, reverse: { state, stats } }
+  * where state is the scope state (as returned by getScanState/getReverseScanState) and
+  * stats are the scanner counters at the time of the checkpoint.
   * ================================================================================ */
 
-// Creates a scanning scope for a single file
-// @param longFilename    an array of the file names to scan
-function FilesScope(longFilenames) {
-  this._longFilenames = longFilenames;      // list of long filenames to include in the scope
-  // forward-scan working variables
-  this._remaining = [];     // remaining files to scan
-  // reverse-scan working variables
+/**
+ * Create the delegate object to persist checkpoints. Like storage delegates, functions
+ * can either take a node-style callback as their last parameter, or return a promise.
+ */
+function CheckpointStore() {
 }
 
-/** 
- * Get a name for the scanner
+/**
+ * Load a checkpoint
+ *
+ * @param {string} key - is the checkpoint key (scanOptions.checkpointKey, or the scope name)
+ * @return the checkpoint, or null/undefined if there's none
  */
-FilesScope.prototype.getName = function() {
-  return "File:" + this._longFilenames[0];
+CheckpointStore.loadCheckpoint = function(key, callback) {
+  return callback(new Exception({key:key}, "Unimplemented  function CheckpointStore.loadCheckpoint"));
 }
 
-// Starts (or restarts) a forward-scan
-// @param callaback       return function
-//                            err is the error code/message
-FilesScope.prototype.startScan = function(callback) {
-  this._remaining = [];
-  this._remaining = this._longFilenames.slice(0);
-  return callback();
+/**
+ * Save (overwrite) a checkpoint
+ *
+ * @param {string} key - is the checkpoint key (scanOptions.checkpointKey, or the scope name)
+ * @param checkpoint - is the checkpoint to save
+ */
+CheckpointStore.saveCheckpoint = function(key, checkpoint, callback) {
+  return callback(new Exception({key:key}, "Unimplemented  function CheckpointStore.saveCheckpoint"));
 }
 
-// Get the next file to scan (forward-scan)
-// @param callaback       return function
-//                            err is the error code/message
-//                            longFilename is the fullname of the scanned file
-//                            shortFilename is the short name of the scanned file
-//                            stats is the file metadata
-FilesScope.prototype.nextFile = function(callback) {
+/**
+ * Remove a checkpoint. Called when a scan completes
+ *
+ * @param {string} key - is the checkpoint key (scanOptions.checkpointKey, or the scope name)
+ */
+CheckpointStore.clearCheckpoint = function(key, callback) {
+  return callback(new Exception({key:key}, "Unimplemented  function CheckpointStore.clearCheckpoint"));
+}
+
+/**
+ * Checkpoint store persisting checkpoints in a local JSON file
+ * The file is written to a temporary file first, and then renamed, so that it's never left half-written
+ *
+ * @param {string} filename - is the full name of the JSON file
+ */
+function FileCheckpointStore(filename) {
+  this._filename = filename;
+}
+
+FileCheckpointStore.prototype._read = function(callback) {
   var that = this;
-  if (that._remaining.length === 0) return callback(); // finished
-  var longFilename = that._remaining.shift();
-  return fs.lstat(longFilename, function(err, stats) {
+  return fs.readFile(that._filename, 'utf8', function(err, data) {
     if (err) {
-      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT')) return that.nextFile(callback);
+      if (err.code === 'ENOENT') return callback(null, {});
       return callback(err);
     }
-    if (!stats || !stats.isFile()) return that.nextFile(callback); // not found
-    var shortFilename = utils.getShortFilename(longFilename);
-    return callback(null, longFilename, shortFilename, stats);
+    var checkpoints;
+    try { checkpoints = JSON.parse(data); }
+    catch (err) { return callback(new Exception({ filename:that._filename, err:err }, "Invalid checkpoint file")); }
+    return callback(null, checkpoints);
   });
 }
 
-FilesScope.prototype.startReverseScan = function(delegate, callback) {
+FileCheckpointStore.prototype._write = function(checkpoints, callback) {
   var that = this;
-  that._delegate = delegate;
-  this._remaining = this._longFilenames.slice(0);
-  return callback(undefined, this._remaining);
+  var tmp = that._filename + ".tmp";
+  return fs.writeFile(tmp, JSON.stringify(checkpoints), function(err) {
+    if (err) return callback(err);
+    return fs.rename(tmp, that._filename, callback);
+  });
 }
 
-/**
- * Get the next fingerprint (revert-scan)
- * @param callaback       return function
- *                            err is the error code/message
- *                            fingerprint is the fingerprint. Will be undefined when the scan is finished
- *                            stats is the file metadata (if file was found) for this fingerprint
- *                            isInScope indicates whether the fingerprint is in the scope of the scanner or not
- */
-FilesScope.prototype.nextFingerprint = function(callback) {
-  var that = this;
-  if (that._remaining.length === 0) return callback(); // finished
-  var longFilename = that._remaining.shift();
-  return that._delegate.getFingerPrint(longFilename, function(err, fingerprint) {
+FileCheckpointStore.prototype.loadCheckpoint = function(key, callback) {
+  return this._read(function(err, checkpoints) {
     if (err) return callback(err);
-    if (!fingerprint) return that.nextFingerprint(callback);
-    return fs.lstat(fingerprint.longFilename, function(err, stats) {
-      if (err) {
-        if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT')) stats = null;
-        else return callback(err);
-      }
-      return callback(null, fingerprint, stats, true);
-    });
+    return callback(null, checkpoints[key]);
   });
 }
 
+FileCheckpointStore.prototype.saveCheckpoint = function(key, checkpoint, callback) {
+  var that = this;
+  return that._read(function(err, checkpoints) {
+    if (err) return callback(err);
+    checkpoints[key] = checkpoint;
+    return that._write(checkpoints, callback);
+  });
+}
 
+FileCheckpointStore.prototype.clearCheckpoint = function(key, callback) {
+  var that = this;
+  return that._read(function(err, checkpoints) {
+    if (err) return callback(err);
+    if (!checkpoints.hasOwnProperty(key)) return callback();
+    delete checkpoints[key];
+    return that._write(checkpoints, callback);
+  });
+}
 
-
-
-/** ================================================================================
-  * Scanning scope for a folder hierarchy
-  * Filtering capabilities
-  * - exclude file or directory name matching a name or a simple pattern (*.xxx)
-  * - include only files matching a pattern
-  * - include only file within a size range
-  * ================================================================================ */
-
-/** 
- * Creates a scanning scope for a folder hierarchy
- * @param folder      is the full name of the root folder
+/**
+ * Checkpoint of a running scan. This is used by the scanners to periodically save their state
+ *
+ * @param {CheckpointStore} store - is the checkpoint store. Can be undefined, in which case checkpoints are not saved
+ * @param {string} key - is the checkpoint key (scanOptions.checkpointKey, or the scope name)
+ * @param {integer} interval - is the number of files/fingerprints between two checkpoints
  */
-function DirectoryScope(folder) {
-  this._folder = folder;            // root folder
-  this._exclusions = [];            // list of file names/patterns to exclude (shortnames, lower-case)
-  this._fileInclusions = [];        // list of file names/patterns to include (shortnames, lower-case)
-  this._minFileSize = undefined;    // minimum file size (optional)
-  this._maxFileSize = undefined;    // maximum file size (optional)
-  // forward-scan working variables
-  this._stack = [];                 // remaining files/folders to scan
-  // reverse-scan working variables
-  this._delegate = undefined;       // database
-  this._offset = 0;                 // offset for queries
-  this._totalRecords = undefined;   // total number of records
-  this._processed = undefined;      // number of processed records
-  this._fingerprints = [];          // remaining fingerprints
-  this._reverseScanFinished = false;// set when reverse scan is finished 
+function Checkpoint(store, key, interval) {
+  this._store = store;
+  this._key = key;
+  this._interval = interval || 1000;
+  this._count = 0;
+  this._data = { phase: "forward", forward: undefined, reverse: undefined };
 }
 
-/** 
- * Get a name for the scanner
+/**
+ * Load the last saved checkpoint, if any, in order to resume the scan
  */
-DirectoryScope.prototype.getName = function() {
-  return "Dir:" + this._folder;
+Checkpoint.prototype.load = function(callback) {
+  var that = this;
+  if (!that._store) return callback();
+  return invoke(that._store, that._store.loadCheckpoint, [that._key], function(err, data) {
+    if (err) return callback(err);
+    if (data) {
+      log.info({ key:that._key, phase:data.phase }, "Resuming scan from checkpoint");
+      that._data = data;
+    }
+    return callback();
+  });
 }
 
-/** 
- * Exclude a list of files / folders
- * @param filenames       list of filenames or patterns to exclude (shortname, lower-case)
- * @return                the Scope itself, to allow chaining
+/**
+ * Get the current phase ("forward" or "reverse")
  */
-DirectoryScope.prototype.exclude = function(filenames) {
-  if (filenames !== null && filenames !== undefined) {
-    for (var i=0; i<filenames.length; i++)
-      this._exclusions.push(filenames[i].toLowerCase());
-  }
-  return this;
+Checkpoint.prototype.getPhase = function() {
+  return this._data.phase;
 }
 
 /**
- * Include a list of files (only for files, not folders)
- * @param filenames       list of filenames or patterns to include (shortname, lower-case)
- * @return                the Scope itself, to allow chaining
+ * Get the saved state of a phase
+ * @param {string} phase - is "forward" or "reverse"
+ * @return {state, stats} or undefined if the phase was not started
  */
-DirectoryScope.prototype.includeFiles = function(filenames) {
-  if (filenames !== null && filenames !== undefined) {
-    for (var i=0; i<filenames.length; i++)
-      this._fileInclusions.push(filenames[i].toLowerCase());
-  }
-  return this;
+Checkpoint.prototype.get = function(phase) {
+  return this._data[phase];
 }
 
 /**
- * Exclude small files
- * @param minFileSize     All files strictly smaller than this value will be excluded from scope
- * @return                the Scope itself, to allow chaining
+ * Save the state of a phase
+ * @param {string} phase - is "forward" or "reverse"
+ * @param state - is the scope state
+ * @param stats - is the scanner counters
+ */
+Checkpoint.prototype.save = function(phase, state, stats, callback) {
+  var that = this;
+  that._data.phase = phase;
+  that._data[phase] = { state: state, stats: stats };
+  return that._write(callback);
+}
+
+// Write the checkpoint to the store
+Checkpoint.prototype._write = function(callback) {
+  var that = this;
+  if (!that._store) return callback();
+  log.debug({ key:that._key, phase:that._data.phase }, "Saving checkpoint");
+  return invoke(that._store, that._store.saveCheckpoint, [that._key, extend(true, {}, that._data)], function(err) {
+    return callback(err);
+  });
+}
+
+/**
+ * Called after each file/fingerprint
+ * @return {boolean} true if a checkpoint should be saved ("interval" calls since the last one)
+ */
+Checkpoint.prototype.isDue = function() {
+  this._count = this._count + 1;
+  return !!this._store && (this._count % this._interval) === 0;
+}
+
+/**
+ * Called when the forward scan completes: following checkpoints will be for the reverse scan
+ * @param stats - is the forward scan counters
+ */
+Checkpoint.prototype.forwardScanEnded = function(stats, callback) {
+  var that = this;
+  that._data.phase = "reverse";
+  that._data.forward = { state: null, stats: stats };
+  that._data.reverse = undefined;
+  return that._write(callback);
+}
+
+/**
+ * Called when the scan completes. The checkpoint is removed
+ */
+Checkpoint.prototype.clear = function(callback) {
+  var that = this;
+  if (!that._store) return callback();
+  return invoke(that._store, that._store.clearCheckpoint, [that._key], function(err) {
+    return callback(err);
+  });
+}
+
+
+
+/** ================================================================================
+  * Batch writer
+  *
+  * Writes fingerprints to the storage delegate. When the delegate supports bulk operations
+  * (insertFingerprints, updateFingerprints) or batches (beginBatch, commitBatch), inserts and
+  * updates are queued, and written in a single batch once there are "batchSize" of them
+  * (scanOptions.batchSize, 1000 by default) or once the oldest one has been waiting for
+  * "batchInterval" ms (scanOptions.batchInterval, 1000 by default). Otherwise, they are written
+  * immediately with the unitary insertFingerprint and updateFingerprint functions.
+  *
+  * Queued writes are not visible to the delegate until they are flushed: the scanners flush
+  * the queue before saving a checkpoint, and at the end of each phase.
+  *
+  * A batch is always ended: when a write fails, it's rolled back (rollbackBatch) or, if the
+  * delegate cannot roll back, committed. The fingerprints which were not written stay queued.
+  * Bulk functions are expected to write all the fingerprints they are given, or none.
+  * Unless the error policy is "failFast" (scanOptions.errorPolicy), a failed batch is written
+  * again (retry policies), and then one fingerprint at a time, outside of any batch, so that
+  * only the fingerprints which cannot be written are skipped.
+  *
+  * In dry-run mode (scanOptions.dryRun), nothing is written.
+  * ================================================================================ */
+
+/**
+ * Creates the batch writer
+ * @param {StorageDelegate} delegate - is the storage delegate
+ * @param scanOptions - is the scan options
+ * @param {function} onSkipped - is called with the fingerprint and the error, for every fingerprint which
+ *                               cannot be written and is skipped (see scanOptions.errorPolicy)
+ */
+function BatchWriter(delegate, scanOptions, onSkipped) {
+  this._delegate = delegate;
+  this._errorPolicy = getErrorPolicy(scanOptions) || getErrorPolicy({});
+  this._onSkipped = onSkipped || function() {};
+  this._batched = !!(delegate.insertFingerprints || delegate.updateFingerprints || delegate.beginBatch);
+  this._batchSize = Math.max(1, scanOptions.batchSize || 1000);
+  this._batchInterval = scanOptions.batchInterval === undefined ? 1000 : scanOptions.batchInterval;
+  this._dryRun = !!scanOptions.dryRun;
+  this._inserts = [];           // queued fingerprints to insert
+  this._updates = [];           // queued fingerprints to update
+  this._since = undefined;      // time at which the oldest queued write was queued
+  this._timer = undefined;      // flushes the queue once the oldest write has been waiting for batchInterval ms
+  this._flushing = false;       // a batch is being written
+  this._waiting = [];           // callbacks of the flush calls made while a batch is being written
+  this._err = undefined;        // error of a flush started by the timer, reported by the next call
+}
+
+/**
+ * Insert a new fingerprint (see StorageDelegate.insertFingerprint)
+ * @param {Fingerprint} fingerprint - is the new fingerprint
+ */
+BatchWriter.prototype.insert = function(fingerprint, callback) {
+  var that = this;
+  if (that._dryRun) return callback();
+  if (!that._batched) return invoke(that._delegate, that._delegate.insertFingerprint, [fingerprint], function(err) { return callback(err); });
+  that._inserts.push(fingerprint);
+  return that._queued(callback);
+}
+
+/**
+ * Update a fingerprint (see StorageDelegate.updateFingerprint)
+ * @param {Fingerprint} fingerprint - is the new or partial fingerprint
+ */
+BatchWriter.prototype.update = function(fingerprint, callback) {
+  var that = this;
+  if (that._dryRun) return callback();
+  if (!that._batched) return invoke(that._delegate, that._delegate.updateFingerprint, [fingerprint], function(err) { return callback(err); });
+  that._updates.push(fingerprint);
+  return that._queued(callback);
+}
+
+// A write was queued: flush the queue if it's full, or if the oldest write is too old. Otherwise,
+// make sure the queue is flushed once the oldest write has been waiting for batchInterval ms
+BatchWriter.prototype._queued = function(callback) {
+  var that = this;
+  var now = Date.now();
+  var err = that._err;
+  that._err = undefined;
+  if (err) return callback(err);
+  if (that._since === undefined) that._since = now;
+  if (that._inserts.length + that._updates.length < that._batchSize && now - that._since < that._batchInterval) {
+    if (that._timer === undefined) {
+      that._timer = setTimeout(function() {
+        that._timer = undefined;
+        return that.flush(function(err) {
+          if (err) that._err = err;
+        });
+      }, that._batchInterval - (now - that._since));
+    }
+    return callback();
+  }
+  return that.flush(callback);
+}
+
+/**
+ * Write all the queued fingerprints in a batch: inserts first, then updates.
+ * If the batch fails, the fingerprints which were not written stay queued
+ */
+BatchWriter.prototype.flush = function(callback) {
+  var that = this;
+  if (that._flushing) return that._waiting.push(callback);
+  if (that._timer !== undefined) clearTimeout(that._timer);
+  that._timer = undefined;
+  var err = that._err;
+  that._err = undefined;
+  if (err) return callback(err);
+  var inserts = that._inserts;
+  var updates = that._updates;
+  if (inserts.length + updates.length === 0) return callback();
+  that._inserts = [];
+  that._updates = [];
+  that._since = undefined;
+  that._flushing = true;
+  log.debug({ inserts:inserts.length, updates:updates.length }, "Writing batch");
+  return that._write(inserts, updates, 0, function(err, unwritten) {
+    that._flushing = false;
+    if (err) {
+      // Queued again, ahead of the writes queued in the meantime
+      log.info({ inserts:unwritten.inserts.length, updates:unwritten.updates.length, err:err.message }, "Failed to write batch");
+      that._inserts = unwritten.inserts.concat(that._inserts);
+      that._updates = unwritten.updates.concat(that._updates);
+      if (that._inserts.length + that._updates.length > 0) that._since = that._since || Date.now();
+    }
+    var waiting = that._waiting;
+    that._waiting = [];
+    waiting.forEach(function(callback) { that.flush(callback); });
+    return callback(err);
+  });
+}
+
+// Write a batch of fingerprints, according to the error policy: a failed batch is written again after a
+// delay (retry policies), and then one fingerprint at a time so that the failing ones can be skipped
+// @param attempts    is the number of failed attempts so far
+// @param callback    is called with the error, if any, and the fingerprints which were not written {inserts, updates}
+BatchWriter.prototype._write = function(inserts, updates, attempts, callback) {
+  var that = this;
+  var policy = that._errorPolicy;
+  return that._writeBatch(inserts, updates, function(err, unwritten) {
+    if (!err || policy.failFast) return callback(err, unwritten);
+    if (attempts < policy.retries) {
+      var delay = policy.backoff * Math.pow(2, attempts);
+      log.info({ inserts:unwritten.inserts.length, updates:unwritten.updates.length, err:err.message, attempt:attempts + 1, delay:delay }, "Retrying batch");
+      return setTimeout(function() {
+        return that._write(unwritten.inserts, unwritten.updates, attempts + 1, callback);
+      }, delay);
+    }
+    return that._writeEach(unwritten.inserts, unwritten.updates, callback);
+  });
+}
+
+// Write fingerprints one at a time, outside of any batch. Fingerprints which cannot be written are skipped
+BatchWriter.prototype._writeEach = function(inserts, updates, callback) {
+  var that = this;
+  var delegate = that._delegate;
+  var writes = inserts.map(function(fingerprint) { return { fingerprint: fingerprint, fn: delegate.insertFingerprint }; })
+       .concat(updates.map(function(fingerprint) { return { fingerprint: fingerprint, fn: delegate.updateFingerprint }; }));
+  var next = function(i) {
+    if (i === writes.length) return callback(null, { inserts: [], updates: [] });
+    var fingerprint = writes[i].fingerprint;
+    return invoke(delegate, writes[i].fn, [fingerprint], function(err) {
+      if (err) {
+        log.info({ longFilename:fingerprint.longFilename, uuid:fingerprint.uuid, err:err.message }, "Skipping fingerprint");
+        that._onSkipped(fingerprint, err);
+      }
+      return next(i + 1);
+    });
+  };
+  return next(0);
+}
+
+// Write a batch of fingerprints
+// @param inserts     is the list of fingerprints to insert
+// @param updates     is the list of fingerprints to update
+// @param callback    is called with the error, if any, and the fingerprints which were not written {inserts, updates}
+BatchWriter.prototype._writeBatch = function(inserts, updates, callback) {
+  var that = this;
+  var delegate = that._delegate;
+  var unwritten = { inserts: inserts, updates: updates };
+  // Write a list of fingerprints, and call back with the number of fingerprints written
+  var write = function(list, bulk, unitary, callback) {
+    if (list.length === 0) return callback(null, 0);
+    if (bulk) return invoke(delegate, bulk, [list], function(err) { return callback(err, err ? 0 : list.length); });
+    var next = function(i) {
+      if (i === list.length) return callback(null, i);
+      return invoke(delegate, unitary, [list[i]], function(err) {
+        if (err) return callback(err, i);
+        return next(i + 1);
+      });
+    };
+    return next(0);
+  };
+  if (!delegate.beginBatch) {
+    return write(inserts, delegate.insertFingerprints, delegate.insertFingerprint, function(err, count) {
+      unwritten.inserts = inserts.slice(count);
+      if (err) return callback(err, unwritten);
+      return write(updates, delegate.updateFingerprints, delegate.updateFingerprint, function(err, count) {
+        unwritten.updates = updates.slice(count);
+        return callback(err, unwritten);
+      });
+    });
+  }
+  // A failed batch is rolled back or, if the delegate cannot roll back, committed with what was written
+  var end = function(err) {
+    var rollback = !!delegate.rollbackBatch;
+    if (rollback) unwritten = { inserts: inserts, updates: updates };
+    return invoke(delegate, rollback ? delegate.rollbackBatch : delegate.commitBatch, [], function(endErr) {
+      if (endErr) log.error({ err:endErr, message:endErr.message, rollback:rollback }, "Failed to end batch");
+      return callback(err, unwritten);
+    });
+  };
+  return invoke(delegate, delegate.beginBatch, [], function(err) {
+    if (err) return callback(err, unwritten);
+    return write(inserts, delegate.insertFingerprints, delegate.insertFingerprint, function(err, count) {
+      unwritten.inserts = inserts.slice(count);
+      if (err) return end(err);
+      return write(updates, delegate.updateFingerprints, delegate.updateFingerprint, function(err, count) {
+        unwritten.updates = updates.slice(count);
+        if (err) return end(err);
+        return invoke(delegate, delegate.commitBatch, [], function(err) {
+          if (err) return callback(err, { inserts: inserts, updates: updates });
+          return callback(null, unwritten);
+        });
+      });
+    });
+  });
+}
+
+
+
+/** ================================================================================
+  * Handler interface for reverse scanners
+  * ================================================================================ */
+
+/**
+ * Creates the handler. Keep a reference to the (reverse) scanner that will use this handler
+ * @param {ReverseScanner} reverseScanner - the scanner
+ */
+ReverseScanHandler = function(reverseScanner) {
+  this._reverseScanner = reverseScanner;
+}
+
+/**
+ * Handlers are given a name for logging purposes
+ * @return {string} the handler name
+ */
+ReverseScanHandler.prototype.getName = function() { return "ReverseScanHandler"; };
+
+/**
+ * Process next fingerprint. Handlers will be called for each fingerprint.
+ * Their responsibility is to determine if there's a change or something to (re)compute
+ * and if so to update the fingerprint in the long term storage
+ * @param {Fingerprint} fingerprint - is the fingerprint to process
+ * @param stats - is the corresponding information of the file on the file system.
+ *                It can be null or undefined if the file was removed from the file system
+ * @param {boolean} isInScope - is a boolean indicating if the file is within the scope
+ *                              or the current scan or not
+ * @param scanOptions - is the scan options (as passed to the scan function). In dry-run mode (scanOptions.dryRun),
+ *                      handlers should not write anything
+ * @return {boolean} indicating the the handler processed the file or not. Used to compute scan statistics.
+ *                   It's returned either through the callback, or as the resolved value of a promise
+ */
+ReverseScanHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+  return callback();
+}
+
+
+
+
+/** ================================================================================
+  * Scope iterators
+  *
+  * Async iterators on top of the scopes pull interface (startScan + nextFile and
+  * startReverseScan + nextFingerprint). They use the scope working variables, so a
+  * scope should not be iterated while it's being scanned.
+  * ================================================================================ */
+
+/**
+ * Iterate over the files of a scope (forward-scan)
+ *
+ * @param scope - is the scope (FilesScope, DirectoryScope...)
+ * @return an async iterator which yields {longFilename, shortFilename, stats} objects
+ */
+async function* iterateFiles(scope) {
+  await scope.startScan();
+  while (true) {
+    var entry = await scope.nextFile();
+    if (entry === null || entry === undefined) return;
+    yield entry;
+  }
+}
+
+/**
+ * Iterate over the fingerprints of a scope (reverse-scan)
+ *
+ * @param scope - is the scope (FilesScope, DirectoryScope...)
+ * @param {StorageDelegate} delegate - is the storage delegate from which fingerprints are read
+ * @return an async iterator which yields {fingerprint, stats, isInScope} objects
+ */
+async function* iterateFingerprints(scope, delegate) {
+  await scope.startReverseScan(delegate);
+  while (true) {
+    var entry = await scope.nextFingerprint();
+    if (entry === null || entry === undefined) return;
+    yield { fingerprint: entry.fingerprint, stats: entry.stats, isInScope: entry.isInScope };
+  }
+}
+
+
+
+/** ================================================================================
+  * Built-in exclusion policy
+  *
+  * Scopes exclude some files by default. Each rule of the policy can be turned on or off
+  * per scope (setExclusionPolicy). The same policy applies to the forward scan and to the
+  * reverse scan, where an excluded file is not in scope (and its fingerprint is marked as
+  * vanished)
+  * ================================================================================ */
+
+/**
+ * @typedef ExclusionPolicy
+ *
+ * @property {boolean} noExtension - Exclude files without extension (ex: "Makefile")
+ * @property {boolean} symlinks - Exclude symbolic links. When false, links are followed instead
+ * @property {boolean} emptyFiles - Exclude empty files
+ */
+const DEFAULT_EXCLUSION_POLICY = {
+  noExtension:  true,
+  symlinks:     true,
+  emptyFiles:   true
+};
+
+/**
+ * Get the rule of an exclusion policy which excludes a file
+ * @param {ExclusionPolicy} policy - is the exclusion policy
+ * @param {string} shortFilename - is the file/directory short name
+ * @param stats - is the fs.Stats object for the file/directory
+ * @return {string} the name of the rule which excludes the file ("noExtension", "symlinks", "emptyFiles"), or undefined
+ */
+function getPolicyExclusion(policy, shortFilename, stats) {
+  if (policy.symlinks && stats.isSymbolicLink()) return "symlinks";
+  if (!stats.isFile()) return undefined;
+  if (policy.noExtension && utils.getExtension(shortFilename).length === 0) return "noExtension";
+  if (policy.emptyFiles && stats.size === 0) return "emptyFiles";
+  return undefined;
+}
+
+
+
+/** ================================================================================
+  * Exclusion reasons
+  *
+  * When a scope excludes a file, it tells why with an exclusion reason {rule, ...}. The
+  * rule is the name of the filter or policy rule ("maxFileSize", "symlinks", "exclusion"...),
+  * and additional properties describe it (value, pattern, source)
+  * ================================================================================ */
+
+/**
+ * Get the key under which an exclusion reason is counted in the forward-scan statistics.
+ * Exclusions by glob patterns are counted per pattern
+ * @param reason - is the exclusion reason
+ * @return {string} the key
+ */
+function getExclusionKey(reason) {
+  if (reason.rule === "exclusion") return "exclusion:" + reason.pattern;
+  return reason.rule;
+}
+
+/**
+ * Count an exclusion reason
+ * @param counts - is the map of counts, by key
+ * @param reason - is the exclusion reason
+ */
+function countExclusion(counts, reason) {
+  var key = getExclusionKey(reason);
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Sum exclusion counts
+ * @param counts - is a list of maps of counts, by key
+ * @return the map of the sums, by key
+ */
+function sumExclusions(counts) {
+  var sum = {};
+  counts.forEach(function(count) {
+    Object.keys(count || {}).forEach(function(key) { sum[key] = (sum[key] || 0) + count[key]; });
+  });
+  return sum;
+}
+
+
+
+/** ================================================================================
+  * Scanning scope for a single file
+  * ================================================================================ */
+
+// Creates a scanning scope for a single file
+// @param longFilename    an array of the file names to scan
+function FilesScope(longFilenames) {
+  this._longFilenames = longFilenames;      // list of long filenames to include in the scope
+  this._policy = extend({}, DEFAULT_EXCLUSION_POLICY, { noExtension: false }); // built-in exclusions
+  // forward-scan working variables
+  this._remaining = [];     // remaining files to scan
+  this._excluded = {};      // number of excluded files, by rule
+  // reverse-scan working variables
+}
+
+/** 
+ * Get a name for the scanner
+ */
+FilesScope.prototype.getName = function() {
+  return "File:" + this._longFilenames[0];
+}
+
+/**
+ * Change the built-in exclusion policy. Files are listed explicitly, so files without extension
+ * are not excluded by default
+ * @param {ExclusionPolicy} policy - the rules to change. Rules which are not specified are unchanged
+ * @return                the Scope itself, to allow chaining
+ */
+FilesScope.prototype.setExclusionPolicy = function(policy) {
+  extend(this._policy, policy);
+  return this;
+}
+
+/**
+ * Get the built-in exclusion policy
+ * @return {ExclusionPolicy} the policy
+ */
+FilesScope.prototype.getExclusionPolicy = function() {
+  return extend({}, this._policy);
+}
+
+// Get the file metadata, following symbolic links or not, depending on the exclusion policy
+FilesScope.prototype._stat = function(longFilename, callback) {
+  var stat = this._policy.symlinks ? fs.lstat : fs.stat;
+  return stat(longFilename, callback);
+}
+
+// Starts (or restarts) a forward-scan
+// @param callaback       return function
+//                            err is the error code/message
+FilesScope.prototype.startScan = function(callback) {
+  if (!callback) return promised(this, this.startScan, []);
+  this._remaining = [];
+  this._remaining = this._longFilenames.slice(0);
+  this._excluded = {};
+  return callback();
+}
+
+// Get the next file to scan (forward-scan)
+// @param callaback       return function
+//                            err is the error code/message
+//                            longFilename is the fullname of the scanned file
+//                            shortFilename is the short name of the scanned file
+//                            stats is the file metadata
+FilesScope.prototype.nextFile = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.nextFile, [], ['longFilename', 'shortFilename', 'stats']);
+  if (that._remaining.length === 0) return callback(); // finished
+  var longFilename = that._remaining.shift();
+  return that._stat(longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP')) return that.nextFile(callback);
+      return callback(err);
+    }
+    var shortFilename = utils.getShortFilename(longFilename);
+    var exclusion = getPolicyExclusion(that._policy, shortFilename, stats);
+    if (exclusion) {
+      countExclusion(that._excluded, { rule: exclusion });
+      return that.nextFile(callback);
+    }
+    if (!stats.isFile()) return that.nextFile(callback); // not a file
+    return callback(null, longFilename, shortFilename, stats);
+  });
+}
+
+/**
+ * Get the state of the forward-scan, to be saved in a checkpoint
+ * @return a JSON-serializable object
+ */
+FilesScope.prototype.getScanState = function() {
+  return { remaining: this._remaining.slice(0) };
+}
+
+/**
+ * Restarts a forward-scan from a state saved in a checkpoint (instead of startScan)
+ * @param state - is the state, as returned by getScanState
+ */
+FilesScope.prototype.restoreScanState = function(state, callback) {
+  if (!callback) return promised(this, this.restoreScanState, [state]);
+  this._remaining = state.remaining.slice(0);
+  this._excluded = {};
+  return callback();
+}
+
+/**
+ * Get the number of files excluded by the forward-scan, by rule, since it was started (or restored)
+ * @return the counts, by rule
+ */
+FilesScope.prototype.getExclusionStats = function() {
+  return extend({}, this._excluded);
+}
+
+/**
+ * Iterate over the files of the scope (forward-scan)
+ * Usage: for await (const entry of scope.files()) { ... }
+ *
+ * @return an async iterator which yields {longFilename, shortFilename, stats} objects
+ */
+FilesScope.prototype.files = function() {
+  return iterateFiles(this);
+}
+
+/**
+ * Iterate over the fingerprints of the scope (reverse-scan)
+ * Usage: for await (const entry of scope.fingerprints(delegate)) { ... }
+ *
+ * @param {StorageDelegate} delegate - is the storage delegate
+ * @return an async iterator which yields {fingerprint, stats, isInScope} objects
+ */
+FilesScope.prototype.fingerprints = function(delegate) {
+  return iterateFingerprints(this, delegate);
+}
+
+/**
+ * Get the root folders of the scope. A FilesScope has no root folder
+ * @return {string[]} an empty list
+ */
+FilesScope.prototype.getFolders = function() {
+  return [];
+}
+
+/**
+ * Get the folders to watch for changes (watch mode). Files scopes are not watched: their
+ * changes are only found by the periodic full scans
+ * @return {string[]} an empty list
+ */
+FilesScope.prototype.getWatchedFolders = function() {
+  return [];
+}
+
+/**
+ * Checks if a file is in the scope, ie if it's one of the scope files and still exists
+ * @param longFilename    the file full name
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            isInScope is a boolean
+ */
+FilesScope.prototype.isInScope = function(longFilename, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.isInScope, [longFilename]);
+  if (that._longFilenames.indexOf(longFilename) === -1) return callback(null, false);
+  return that._stat(longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP')) return callback(null, false);
+      return callback(err);
+    }
+    if (!stats.isFile()) return callback(null, false);
+    return that.isFileInScope(longFilename, stats, callback);
+  });
+}
+
+/**
+ * Explain why a file is in the scope or not
+ * @param longFilename    the file full name
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            explanation is {longFilename, excluded, reason}, where reason is the exclusion reason {rule, ...}
+ *                            if the file is excluded. Rules are "notListed" (not one of the scope files), "notFound" (the
+ *                            file does not exist), "notAFile", or the name of an exclusion policy rule
+ */
+FilesScope.prototype.explain = function(longFilename, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.explain, [longFilename]);
+  var explain = function(reason) {
+    return callback(null, { longFilename: longFilename, excluded: !!reason, reason: reason });
+  };
+  if (!that.contains(longFilename)) return explain({ rule: "notListed" });
+  return that._stat(longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP')) return explain({ rule: "notFound" });
+      return callback(err);
+    }
+    var exclusion = getPolicyExclusion(that._policy, utils.getShortFilename(longFilename), stats);
+    if (exclusion) return explain({ rule: exclusion });
+    if (!stats.isFile()) return explain({ rule: "notAFile" });
+    return explain();
+  });
+}
+
+/**
+ * Checks if a file is part of the scope, ie one of the scope files, whether it exists or not.
+ * Used by composite scopes and by the watch mode
+ * @param longFilename    the file full name
+ * @return {boolean} true if the file is one of the scope files
+ */
+FilesScope.prototype.contains = function(longFilename) {
+  return this._longFilenames.indexOf(longFilename) !== -1;
+}
+
+/**
+ * Checks if a file of the scope is in scope, given its metadata, as nextFingerprint does.
+ * Used by composite scopes and by the watch mode
+ * @param longFilename    the file full name
+ * @param stats           the fs.Stats object for the file, or null if it does not exist
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            isInScope is a boolean
+ */
+FilesScope.prototype.isFileInScope = function(longFilename, stats, callback) {
+  if (!callback) return promised(this, this.isFileInScope, [longFilename, stats]);
+  if (!this.contains(longFilename)) return callback(null, false);
+  if (stats && getPolicyExclusion(this._policy, utils.getShortFilename(longFilename), stats)) return callback(null, false);
+  return callback(null, true);
+}
+
+FilesScope.prototype.startReverseScan = function(delegate, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.startReverseScan, [delegate]);
+  that._delegate = delegate;
+  this._remaining = this._longFilenames.slice(0);
+  return callback(undefined, this._remaining.length);
+}
+
+/**
+ * Get the state of the reverse-scan, to be saved in a checkpoint
+ * @return a JSON-serializable object
+ */
+FilesScope.prototype.getReverseScanState = function() {
+  return { remaining: this._remaining.slice(0) };
+}
+
+/**
+ * Restarts a reverse-scan from a state saved in a checkpoint (instead of startReverseScan)
+ * @param delegate        the storage delegate
+ * @param state           the state, as returned by getReverseScanState
+ */
+FilesScope.prototype.restoreReverseScanState = function(delegate, state, callback) {
+  if (!callback) return promised(this, this.restoreReverseScanState, [delegate, state]);
+  this._delegate = delegate;
+  this._remaining = state.remaining.slice(0);
+  return callback(undefined, this._longFilenames.length);
+}
+
+/**
+ * Get the next fingerprint (revert-scan)
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            fingerprint is the fingerprint. Will be undefined when the scan is finished
+ *                            stats is the file metadata (if file was found) for this fingerprint
+ *                            isInScope indicates whether the fingerprint is in the scope of the scanner or not
+ */
+FilesScope.prototype.nextFingerprint = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.nextFingerprint, [], ['fingerprint', 'stats', 'isInScope', 'percentage']);
+  if (that._remaining.length === 0) return callback(); // finished
+  var longFilename = that._remaining.shift();
+  return invoke(that._delegate, that._delegate.getFingerPrint, [longFilename], function(err, fingerprint) {
+    if (err) return callback(err);
+    if (!fingerprint) return that.nextFingerprint(callback);
+    return that._stat(fingerprint.longFilename, function(err, stats) {
+      if (err) {
+        if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP')) stats = null;
+        else return callback(err);
+      }
+      // Files excluded by the exclusion policy remain in scope, and will be marked as vanished
+      return callback(null, fingerprint, stats, true);
+    });
+  });
+}
+
+
+
+
+
+/** ================================================================================
+  * Scanning scope for a folder hierarchy
+  * Filtering capabilities
+  * - exclude files or directories matching glob patterns (see glob.js)
+  * - exclude files or directories listed in ignore files (.scanignore)
+  * - exclude files or directories of exclusion presets (see presets.js)
+  * - include only files matching glob patterns
+  * - include only file within a size range
+  * - include only files modified within a date range, or within an age range
+  * - include only files owned by some users or groups
+  * - exclude hidden files and folders
+  * - limit the depth of the scan
+  * - optionally follow symbolic links
+  * ================================================================================ */
+
+/** 
+ * Creates a scanning scope for a folder hierarchy
+ * @param folder      is the full name of the root folder
+ */
+function DirectoryScope(folder) {
+  this._folder = folder;            // root folder
+  this._exclusions = [];            // list of glob rules to exclude files and folders
+  this._fileInclusions = [];        // list of glob rules to include files
+  this._ignoreFilename = undefined; // name of the ignore files (optional)
+  this._ignoreRules = {};           // glob rules read from ignore files, by folder (relative to the root folder)
+  this._minFileSize = undefined;    // minimum file size (optional)
+  this._maxFileSize = undefined;    // maximum file size (optional)
+  this._modifiedAfter = undefined;  // files modified before this date are excluded (optional)
+  this._modifiedBefore = undefined; // files modified after this date are excluded (optional)
+  this._maxAge = undefined;         // files older than this duration (in ms) are excluded (optional)
+  this._minAge = undefined;         // files newer than this duration (in ms) are excluded (optional)
+  this._excludeHidden = false;      // exclude hidden files and folders (starting with a ".")
+  this._uids = undefined;           // list of allowed owner user ids (optional)
+  this._gids = undefined;           // list of allowed owner group ids (optional)
+  this._maxDepth = undefined;       // maximum folder depth (optional)
+  this._policy = extend({}, DEFAULT_EXCLUSION_POLICY); // built-in exclusions (symbolic links are followed if not excluded)
+  // forward-scan working variables
+  this._stack = [];                 // remaining files/folders to scan
+  this._visited = {};               // scanned folders and link targets (dev:ino), when following symbolic links
+  this._excluded = {};              // number of excluded files and folders, by rule
+  // reverse-scan working variables
+  this._delegate = undefined;       // database
+  this._pageSize = 5000;            // number of fingerprints per query
+  this._offset = 0;                 // offset for queries
+  this._after = undefined;          // long file name of the last returned fingerprint, for keyset queries
+  this._totalRecords = undefined;   // total number of records
+  this._processed = undefined;      // number of processed records
+  this._fingerprints = [];          // remaining fingerprints
+  this._reverseScanFinished = false;// set when reverse scan is finished 
+}
+
+/** 
+ * Get a name for the scanner
+ */
+DirectoryScope.prototype.getName = function() {
+  return "Dir:" + this._folder;
+}
+
+/** 
+ * Exclude a list of files / folders. Files within an excluded folder are excluded too
+ * @param filenames       list of glob patterns to exclude (see glob.js). Patterns without a "/" match file or
+ *                        folder names at any depth, other patterns are anchored to the scope root.
+ *                        Patterns starting with "!" re-include paths excluded by previous patterns
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.exclude = function(filenames) {
+  if (filenames !== null && filenames !== undefined) {
+    for (var i=0; i<filenames.length; i++)
+      this._exclusions.push(glob.compile(filenames[i]));
+  }
+  return this;
+}
+
+/**
+ * Exclude the files and folders of exclusion presets (see presets.js). Presets can be combined, and
+ * their rules are added to the exclusion rules, in order
+ * @param names           name, or list of names, of presets. A name can be followed by a version ("macos@1"),
+ *                        otherwise the latest version of the preset is used
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.usePreset = function(names) {
+  if (names === null || names === undefined) return this;
+  if (!Array.isArray(names)) names = [names];
+  for (var i=0; i<names.length; i++) {
+    var preset = presets.get(names[i]);
+    for (var j=0; j<preset.patterns.length; j++)
+      this._exclusions.push(glob.compile(preset.patterns[j], preset.source));
+  }
+  return this;
+}
+
+/**
+ * Include a list of files (only for files, not folders)
+ * Exclusions take precedence: a file is in the scope if it's not excluded and matches an inclusion pattern
+ * @param filenames       list of glob patterns to include (see glob.js). Patterns starting with "!" remove
+ *                        files included by previous patterns
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.includeFiles = function(filenames) {
+  if (filenames !== null && filenames !== undefined) {
+    for (var i=0; i<filenames.length; i++)
+      this._fileInclusions.push(glob.compile(filenames[i]));
+  }
+  return this;
+}
+
+/**
+ * Read exclusion rules from ignore files, with the .gitignore syntax and semantics. The rules of an ignore
+ * file apply to the folder which contains it and its subfolders, and take precedence over the rules of
+ * the parent folders and the scope exclusions. Ignore files themselves are excluded from the scope
+ * @param filename        the name of the ignore files. Defaults to ".scanignore"
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.useIgnoreFiles = function(filename) {
+  this._ignoreFilename = filename || ".scanignore";
+  return this;
+}
+
+/**
+ * Follow symbolic links to files and folders, instead of excluding them. Each folder and each link target is scanned
+ * only once, which also avoids cycles: an already scanned folder, or a file already reached through a link, is
+ * skipped. Fingerprints of files reached through symbolic links record the
+ * resolved path (realFilename)
+ * @param follow          true (default) to follow symbolic links
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.followSymlinks = function(follow) {
+  this._policy.symlinks = follow === false;
+  return this;
+}
+
+/**
+ * Change the built-in exclusion policy. Turning off the exclusion of symbolic links is the same as followSymlinks()
+ * @param {ExclusionPolicy} policy - the rules to change. Rules which are not specified are unchanged
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.setExclusionPolicy = function(policy) {
+  extend(this._policy, policy);
+  return this;
+}
+
+/**
+ * Get the built-in exclusion policy
+ * @return {ExclusionPolicy} the policy
+ */
+DirectoryScope.prototype.getExclusionPolicy = function() {
+  return extend({}, this._policy);
+}
+
+/**
+ * Exclude small files
+ * @param minFileSize     All files strictly smaller than this value will be excluded from scope
+ * @return                the Scope itself, to allow chaining
  */
 DirectoryScope.prototype.excludeFilesSmallerThan = function(minFileSize) {
   if (minFileSize !== null && minFileSize !== undefined)
@@ -424,127 +1618,1226 @@ DirectoryScope.prototype.excludeFilesSmallerThan = function(minFileSize) {
   return this;
 }
 
-/** 
- * Exclude large files
- * @param maxFileSize     All files strictly larger than this value will be excluded from scope
+/** 
+ * Exclude large files
+ * @param maxFileSize     All files strictly larger than this value will be excluded from scope
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.excludeFilesLargerThan = function(maxFileSize) {
+  if (maxFileSize !== null && maxFileSize !== undefined)
+    this._maxFileSize = maxFileSize;
+  return this;
+}
+
+/**
+ * Exclude files modified before a date
+ * @param date            All files with a modification date strictly before this date will be excluded from scope
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.excludeFilesModifiedBefore = function(date) {
+  if (date !== null && date !== undefined)
+    this._modifiedAfter = new Date(date);
+  return this;
+}
+
+/**
+ * Exclude files modified after a date
+ * @param date            All files with a modification date strictly after this date will be excluded from scope
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.excludeFilesModifiedAfter = function(date) {
+  if (date !== null && date !== undefined)
+    this._modifiedBefore = new Date(date);
+  return this;
+}
+
+/**
+ * Exclude old files. The age of a file is computed from its modification date when it's checked
+ * @param duration        All files not modified for more than this duration (in ms) will be excluded from scope
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.excludeFilesOlderThan = function(duration) {
+  if (duration !== null && duration !== undefined)
+    this._maxAge = duration;
+  return this;
+}
+
+/**
+ * Exclude recent files. The age of a file is computed from its modification date when it's checked
+ * @param duration        All files modified less than this duration (in ms) ago will be excluded from scope
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.excludeFilesNewerThan = function(duration) {
+  if (duration !== null && duration !== undefined)
+    this._minAge = duration;
+  return this;
+}
+
+/**
+ * Exclude hidden files and folders, ie files and folders which name starts with a "."
+ * Files within a hidden folder are excluded too
+ * @param exclude         true (default) to exclude hidden files and folders
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.excludeHiddenFiles = function(exclude) {
+  this._excludeHidden = exclude !== false;
+  return this;
+}
+
+/**
+ * Include only files owned by some users and/or groups (only for files, not folders)
+ * @param uids            user id, or list of user ids, of the owners of the files to include. Any user if undefined
+ * @param gids            group id, or list of group ids, of the owners of the files to include. Any group if undefined
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.includeFilesOwnedBy = function(uids, gids) {
+  var toList = function(ids) {
+    if (ids === null || ids === undefined) return undefined;
+    return Array.isArray(ids) ? ids.slice(0) : [ids];
+  };
+  this._uids = toList(uids);
+  this._gids = toList(gids);
+  return this;
+}
+
+/**
+ * Limit the depth of the scan. Files in the root folder have a depth of 0, files in its
+ * sub folders a depth of 1, and so on
+ * @param maxDepth        All files with a depth strictly greater than this value will be excluded from scope
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.limitDepth = function(maxDepth) {
+  if (maxDepth !== null && maxDepth !== undefined)
+    this._maxDepth = maxDepth;
+  return this;
+}
+
+/**
+ * Set the number of fingerprints read at once from the storage delegate by the reverse-scan
+ * @param pageSize        the number of fingerprints per page. Defaults to 5000
+ * @return                the Scope itself, to allow chaining
+ */
+DirectoryScope.prototype.setPageSize = function(pageSize) {
+  if (pageSize !== null && pageSize !== undefined)
+    this._pageSize = Math.max(1, pageSize);
+  return this;
+}
+
+/**
+ * Starts (or restarts) a forward-scan
+ * @param callaback       return function
+ *                            err is the error code/message
+ */
+DirectoryScope.prototype.startScan = function(callback) {
+  if (!callback) return promised(this, this.startScan, []);
+  this._stack = [this._folder];
+  this._visited = {};
+  this._ignoreRules = {};
+  this._excluded = {};
+  return callback();
+}
+
+/**
+ * Get the state of the forward-scan, to be saved in a checkpoint
+ * @return a JSON-serializable object
+ */
+DirectoryScope.prototype.getScanState = function() {
+  return { stack: this._stack.slice(0), visited: Object.keys(this._visited) };
+}
+
+/**
+ * Restarts a forward-scan from a state saved in a checkpoint (instead of startScan). The folders and link targets
+ * already scanned when following symbolic links are restored too, so that they are not scanned twice
+ * @param state           the state, as returned by getScanState
+ */
+DirectoryScope.prototype.restoreScanState = function(state, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.restoreScanState, [state]);
+  that._stack = state.stack.slice(0);
+  that._visited = {};
+  (state.visited || []).forEach(function(key) { that._visited[key] = true; });
+  that._ignoreRules = {};
+  that._excluded = {};
+  return callback();
+}
+
+/**
+ * Get the number of files and folders excluded by the forward-scan, by rule, since it was started (or restored).
+ * Exclusions by glob patterns are counted per pattern ("exclusion:<pattern>"). Files within an excluded folder
+ * are not counted
+ * @return the counts, by rule
+ */
+DirectoryScope.prototype.getExclusionStats = function() {
+  return extend({}, this._excluded);
+}
+
+/**
+ * Get the next file to scan (forward-scan)
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            longFilename is the fullname of the scanned file
+ *                            shortFilename is the short name of the scanned file
+ *                            stats is the file metadata
+ *                            realFilename is the resolved path of the file, if it's reached through symbolic links
+ */
+DirectoryScope.prototype.nextFile = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.nextFile, [], ['longFilename', 'shortFilename', 'stats', 'realFilename']);
+  if (that._stack.length === 0) return callback(); // Finished
+  var longFilename = that._stack.shift();
+  return fs.lstat(longFilename, function(err, stats) {
+    if (err) { 
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT')) return that.nextFile(callback);
+      return callback(err);
+    }
+    if (!stats) return that.nextFile(callback); // file not found (vanished ?)
+    return that._resolve(longFilename, stats, function(err, stats, realFilename) {
+      if (err) return callback(err);
+      if (!stats) return that.nextFile(callback); // broken link, or target already scanned
+      return that._loadIgnoreRules(longFilename, function(err) {
+        if (err) return callback(err);
+        return that._nextFile(longFilename, stats, realFilename, callback);
+      });
+    });
+  });
+}
+
+// Resolves symbolic links when following them, and checks that the target was not already scanned
+// @param longFilename      is the file/directory full name
+// @param stats             is the fs.Stats object of the file/directory (lstat)
+// @param callback          is the return function
+//                              err is the error code/message
+//                              stats is the fs.Stats object of the target, or undefined if it should not be scanned
+//                              realFilename is the resolved path of the target file, if it's different from longFilename
+DirectoryScope.prototype._resolve = function(longFilename, stats, callback) {
+  var that = this;
+  if (that._policy.symlinks) return callback(null, stats);
+  var skip = function(err) {
+    if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP' || err.code === 'ENOTDIR')) return callback();
+    return callback(err);
+  };
+  var resolve = stats.isSymbolicLink() ? fs.stat : function(longFilename, callback) { return callback(null, stats); };
+  return resolve(longFilename, function(err, target) {
+    if (err) return skip(err);
+    var key = target.dev + ":" + target.ino;
+    if (that._visited[key]) {
+      log.debug({ longFilename:longFilename }, "Skipping already scanned target");
+      return callback();
+    }
+    // Regular files are not recorded (so hard links are all scanned), which keeps the scan state small
+    if (stats.isSymbolicLink() || target.isDirectory()) that._visited[key] = true;
+    if (!target.isFile()) return callback(null, target);
+    return fs.realpath(longFilename, function(err, realFilename) {
+      if (err) return skip(err);
+      return callback(null, target, realFilename !== longFilename ? realFilename : undefined);
+    });
+  });
+}
+
+// Process the next file or folder (forward-scan)
+DirectoryScope.prototype._nextFile = function(longFilename, stats, realFilename, callback) {
+  var that = this;
+  var shortFilename = utils.getShortFilename(longFilename);
+  var exclusion = that._getExclusion(longFilename, shortFilename, stats);
+  if (exclusion) {
+    countExclusion(that._excluded, exclusion);
+    return that.nextFile(callback);
+  }
+  if (stats.isFile()) {
+    return callback(null, longFilename, shortFilename, stats, realFilename);
+  }
+  if (stats.isDirectory()) {
+    return fs.readdir(longFilename, function fs_readddir_result(err, files) {
+      if (err) { 
+        if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT')) return that.nextFile(callback);
+        return callback(err);
+      }
+      files.sort();
+      for (var i=0; i<files.length; i++) that._stack.push(longFilename + "/" + files[i]);
+      return that.nextFile(callback);
+    });
+  }
+  return that.nextFile(callback);
+}
+
+/**
+ * Iterate over the files of the scope (forward-scan). Exclusions, inclusions and size limits apply
+ * Usage: for await (const entry of scope.files()) { ... }
+ *
+ * @return an async iterator which yields {longFilename, shortFilename, stats} objects
+ */
+DirectoryScope.prototype.files = function() {
+  return iterateFiles(this);
+}
+
+/**
+ * Iterate over the fingerprints of the scope (reverse-scan)
+ * Usage: for await (const entry of scope.fingerprints(delegate)) { ... }
+ *
+ * @param {StorageDelegate} delegate - is the storage delegate
+ * @return an async iterator which yields {fingerprint, stats, isInScope} objects
+ */
+DirectoryScope.prototype.fingerprints = function(delegate) {
+  return iterateFingerprints(this, delegate);
+}
+
+/**
+ * Get the root folders of the scope
+ * @return {string[]} the list of folders
+ */
+DirectoryScope.prototype.getFolders = function() {
+  return [this._folder];
+}
+
+/**
+ * Get the folders to watch for changes (watch mode)
+ * @return {string[]} the list of folders
+ */
+DirectoryScope.prototype.getWatchedFolders = function() {
+  return [this._folder];
+}
+
+/**
+ * Notifies the scope that files or folders changed on the file system (watch mode). The cached rules of the
+ * changed ignore files, and of the ignore files within the changed folders, are dropped so that they are read again
+ * @param {string[]} longFilenames - is the list of changed files and folders (full names)
+ * @return {string[]} the folders whose ignore file changed. They must be scanned again, as their rules changed
+ */
+DirectoryScope.prototype.filesChanged = function(longFilenames) {
+  var that = this;
+  var folders = [];
+  if (!that._ignoreFilename) return folders;
+  longFilenames.forEach(function(longFilename) {
+    var path = that._getRelativePath(longFilename);
+    if (path === undefined) return;
+    if (utils.getShortFilename(longFilename) === that._ignoreFilename) {
+      var folder = longFilename.substr(0, longFilename.length - that._ignoreFilename.length - 1);
+      delete that._ignoreRules[that._getRelativePath(folder)];
+      if (folders.indexOf(folder) === -1) folders.push(folder);
+      return;
+    }
+    Object.keys(that._ignoreRules).forEach(function(folder) {
+      if (path === "" || folder === path || utils.startsWith(folder, path + "/")) delete that._ignoreRules[folder];
+    });
+  });
+  return folders;
+}
+
+/**
+ * Checks if a file is in the scope, ie if it exists within the scope folder and is not excluded
+ * @param longFilename    the file full name
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            isInScope is a boolean
+ */
+DirectoryScope.prototype.isInScope = function(longFilename, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.isInScope, [longFilename]);
+  if (!that._getRelativePath(longFilename)) return callback(null, false);
+  var stat = that._policy.symlinks ? fs.lstat : fs.stat;
+  return stat(longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP')) return callback(null, false);
+      return callback(err);
+    }
+    if (!stats.isFile()) return callback(null, false);
+    return that.isFileInScope(longFilename, stats, callback);
+  });
+}
+
+/**
+ * Get the exclusion rule (scope exclusion, preset, or ignore file rule) which excludes a file or folder
+ * @param longFilename    the file or folder full name
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            rule is the excluding rule {pattern, source}, or undefined if the file is not excluded by a rule.
+ *                            The source is "preset:<name>@<version>" for presets, "<ignore file>:<line>" for ignore files
+ */
+DirectoryScope.prototype.getExclusionRule = function(longFilename, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.getExclusionRule, [longFilename]);
+  var path = that._getRelativePath(longFilename);
+  if (!path) return callback();
+  var stat = that._policy.symlinks ? fs.lstat : fs.stat;
+  return stat(longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP' || err.code === 'ENOTDIR')) stats = null;
+      else return callback(err);
+    }
+    return that._loadIgnoreRules(longFilename, function(err) {
+      if (err) return callback(err);
+      var rule = glob.isExcluded(that._getExclusionRules(path), path, stats ? stats.isDirectory() : false);
+      if (!rule) return callback();
+      return callback(null, { pattern: rule.pattern, source: rule.source });
+    });
+  });
+}
+
+/**
+ * Explain why a file or folder is in the scope or not
+ * @param longFilename    the file or folder full name
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            explanation is {longFilename, excluded, reason}, where reason is the exclusion reason {rule, ...}
+ *                            if the file is excluded. Rules are
+ *                            - "outsideScope" (not within the scope folder), "notFound" (the file does not exist), "notAFile"
+ *                            - "minFileSize", "maxFileSize", "modifiedBefore", "modifiedAfter", "olderThan", "newerThan",
+ *                              "owner", "depth" with the value of the filter
+ *                            - "hidden", "ignoreFile", or the name of an exclusion policy rule
+ *                            - "exclusion" with the pattern and source of the excluding glob rule
+ *                            - "inclusion" when the file does not match the inclusion patterns (or matches a negated one)
+ */
+DirectoryScope.prototype.explain = function(longFilename, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.explain, [longFilename]);
+  var explain = function(reason) {
+    return callback(null, { longFilename: longFilename, excluded: !!reason, reason: reason });
+  };
+  if (that._getRelativePath(longFilename) === undefined) return explain({ rule: "outsideScope" });
+  var stat = that._policy.symlinks ? fs.lstat : fs.stat;
+  return stat(longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP' || err.code === 'ENOTDIR')) return explain({ rule: "notFound" });
+      return callback(err);
+    }
+    return that._loadIgnoreRules(longFilename, function(err) {
+      if (err) return callback(err);
+      var exclusion = that._getExclusion(longFilename, utils.getShortFilename(longFilename), stats);
+      if (exclusion) return explain(exclusion);
+      if (!stats.isFile() && !stats.isDirectory()) return explain({ rule: "notAFile" });
+      return explain();
+    });
+  });
+}
+
+/**
+ * Checks if a file is within the scope folder, whether it exists or not.
+ * Used by composite scopes and by the watch mode
+ * @param longFilename    the file full name
+ * @return {boolean} true if the file is within the scope folder
+ */
+DirectoryScope.prototype.contains = function(longFilename) {
+  return this._getRelativePath(longFilename) !== undefined;
+}
+
+/**
+ * Checks if a file of the scope folder is in scope (ie not excluded), given its metadata, as nextFingerprint does.
+ * Used by composite scopes and by the watch mode
+ * @param longFilename    the file full name
+ * @param stats           the fs.Stats object for the file, or null if it does not exist
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            isInScope is a boolean
+ */
+DirectoryScope.prototype.isFileInScope = function(longFilename, stats, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.isFileInScope, [longFilename, stats]);
+  return that._loadIgnoreRules(longFilename, function(err) {
+    if (err) return callback(err);
+    return callback(null, !that._isExcluded(longFilename, utils.getShortFilename(longFilename), stats));
+  });
+}
+
+// Get the path of a file/folder relative to the scope root
+// @param longFilename      is the file/directory full name
+// @return                  the relative path ("" for the root itself), or undefined if the file is not in the root folder
+DirectoryScope.prototype._getRelativePath = function(longFilename) {
+  var folder = utils.endsWith(this._folder, '/') ? this._folder.substr(0, this._folder.length - 1) : this._folder;
+  if (longFilename === folder) return "";
+  if (!utils.startsWith(longFilename, folder + '/')) return undefined;
+  return longFilename.substr(folder.length + 1);
+}
+
+// Get the parent folders of a path, relative to the scope root, from the root itself ("") to the direct parent
+// @param path              is the path, relative to the scope root
+DirectoryScope.prototype._getParentFolders = function(path) {
+  var folders = [""];
+  var index = path.indexOf('/');
+  while (index !== -1) {
+    folders.push(path.substr(0, index));
+    index = path.indexOf('/', index + 1);
+  }
+  return folders;
+}
+
+// Loads the ignore files of all the parent folders of a file/folder, if not already loaded.
+// This must be called before checking if the file/folder is excluded
+// @param longFilename      is the file/directory full name
+DirectoryScope.prototype._loadIgnoreRules = function(longFilename, callback) {
+  var that = this;
+  var path = that._getRelativePath(longFilename);
+  if (!that._ignoreFilename || path === undefined) return callback();
+  var folders = that._getParentFolders(path).filter(function(folder) { return !that._ignoreRules.hasOwnProperty(folder); });
+  var next = function() {
+    if (folders.length === 0) return callback();
+    var folder = folders.shift();
+    var root = utils.endsWith(that._folder, '/') ? that._folder.substr(0, that._folder.length - 1) : that._folder;
+    var filename = (folder.length > 0 ? root + '/' + folder : root) + '/' + that._ignoreFilename;
+    return fs.readFile(filename, 'utf8', function(err, content) {
+      if (err) {
+        if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'EISDIR')) content = "";
+        else return callback(err);
+      }
+      that._ignoreRules[folder] = glob.parse(content, filename, folder);
+      return next();
+    });
+  };
+  return next();
+}
+
+// Get the exclusion rules which apply to a file/folder: the scope exclusions, followed by the rules
+// of the ignore files of its parent folders, from the root folder down
+// @param path              is the path, relative to the scope root
+DirectoryScope.prototype._getExclusionRules = function(path) {
+  var that = this;
+  var rules = that._exclusions;
+  if (!that._ignoreFilename) return rules;
+  that._getParentFolders(path).forEach(function(folder) {
+    var folderRules = that._ignoreRules[folder];
+    if (folderRules && folderRules.length > 0) rules = rules.concat(folderRules);
+  });
+  return rules;
+}
+
+// Is a file/folder excluded from the scan
+// The ignore files of its parent folders must have been loaded (_loadIgnoreRules)
+// @param longFilename      is the file/directory full name
+// @param shortFilename     is the file/directory short name
+// @param stats             is the fs.Stats object for the file/directory
+DirectoryScope.prototype._isExcluded = function(longFilename, shortFilename, stats) {
+  return this._getExclusion(longFilename, shortFilename, stats) !== undefined;
+}
+
+// Get the reason why a file/folder is excluded from the scan (see explain)
+// The ignore files of its parent folders must have been loaded (_loadIgnoreRules)
+// @param longFilename      is the file/directory full name
+// @param shortFilename     is the file/directory short name
+// @param stats             is the fs.Stats object for the file/directory
+// @return                  the exclusion reason {rule, ...}, or undefined if the file/folder is not excluded
+DirectoryScope.prototype._getExclusion = function(longFilename, shortFilename, stats) {
+  var that = this;
+  var shortFilename = shortFilename.toLowerCase();
+  var isFile = stats ? stats.isFile() : false;
+  var isDirectory = stats ? stats.isDirectory() : false;
+
+  // Exclude all files/folders matching the exclusion rules, or within an excluded folder
+  // Path rules are checked first, so that the files within an excluded folder are explained by the folder exclusion
+  var path = that._getRelativePath(longFilename);
+  if (path === undefined) return { rule: "outsideScope" };  // not in the scope folder
+  if (path.length > 0) {                                    // not the scope folder itself
+    if (that._ignoreFilename && shortFilename === that._ignoreFilename.toLowerCase()) return { rule: "ignoreFile" };
+    // Check depth and hidden files filters. They apply to the parent folders as well, so that
+    // the forward-scan (which does not walk excluded folders) and the reverse-scan are consistent
+    var elements = path.split('/');
+    if (that._maxDepth !== undefined && elements.length - (isDirectory ? 0 : 1) > that._maxDepth) return { rule: "depth", value: that._maxDepth };
+    if (that._excludeHidden && elements.some(function(element) { return element[0] === '.'; })) return { rule: "hidden" };
+    var rule = glob.isExcluded(that._getExclusionRules(path), path, isDirectory);
+    if (rule) return { rule: "exclusion", pattern: rule.pattern, source: rule.source };
+  }
+
+  if (stats) {
+    var size = stats.size;
+    // Check file size filter
+    if (isFile && this._minFileSize && size < this._minFileSize) return { rule: "minFileSize", value: this._minFileSize };
+    if (isFile && this._maxFileSize && size > this._maxFileSize) return { rule: "maxFileSize", value: this._maxFileSize };
+    // Check modification date filters
+    var exclusion = isFile ? that._getDateExclusion(stats.mtime) : undefined;
+    if (exclusion) return exclusion;
+    // Check owner filters
+    if (isFile && that._uids && that._uids.indexOf(stats.uid) === -1) return { rule: "owner", value: { uid: stats.uid } };
+    if (isFile && that._gids && that._gids.indexOf(stats.gid) === -1) return { rule: "owner", value: { gid: stats.gid } };
+    // Built-in exclusions (files without extension, symbolic links, empty files)
+    var policy = getPolicyExclusion(that._policy, shortFilename, stats);
+    if (policy) return { rule: policy };
+  }
+
+  // If there is an inclusion list, exclude all files not in this list
+  // Note: inclusion is only for files, not for folders
+  var inclusions = this._fileInclusions;
+  if (inclusions.length > 0 && isFile) {
+    var rule = glob.match(inclusions, path, false);
+    if (!rule) return { rule: "inclusion" };                                  // not in inclusion list
+    if (rule.negated) return { rule: "inclusion", pattern: rule.pattern };    // removed from inclusion list
+  }
+  return undefined;
+}
+
+// Get the reason why a file is excluded by the modification date filters
+// @param mtime             is the file modification date
+// @return                  the exclusion reason {rule, value}, or undefined if the file is not excluded
+DirectoryScope.prototype._getDateExclusion = function(mtime) {
+  var that = this;
+  var time = mtime.getTime();
+  if (that._modifiedAfter && time < that._modifiedAfter.getTime()) return { rule: "modifiedBefore", value: that._modifiedAfter };
+  if (that._modifiedBefore && time > that._modifiedBefore.getTime()) return { rule: "modifiedAfter", value: that._modifiedBefore };
+  var now = Date.now();
+  if (that._maxAge !== undefined && time < now - that._maxAge) return { rule: "olderThan", value: that._maxAge };
+  if (that._minAge !== undefined && time > now - that._minAge) return { rule: "newerThan", value: that._minAge };
+  return undefined;
+}
+
+/**
+ * Starts (or restarts) a reverse-scan
+ * @param delegate        the storage delegate
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            count is the number of fingerprints to process
+ */
+DirectoryScope.prototype.startReverseScan = function(delegate, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.startReverseScan, [delegate]);
+  that._delegate = delegate;
+  that._offset = 0;
+  that._after = undefined;
+  that._fingerprints = [];
+  that._totalRecords = undefined;
+  that._processed = undefined;
+  that._reverseScanFinished = false;
+  that._ignoreRules = {};
+  return invoke(that._delegate, that._delegate.countFingerPrints, [that._folder], function(err, count) {
+    if (err) return callback(err);
+    that._totalRecords = count;
+    that._processed = 0;
+    return callback(undefined, that._totalRecords);
+  });
+}
+
+/**
+ * Get the state of the reverse-scan, to be saved in a checkpoint
+ * @return a JSON-serializable object
+ */
+DirectoryScope.prototype.getReverseScanState = function() {
+  return { offset: this._offset - this._fingerprints.length, after: this._after, processed: this._processed };
+}
+
+/**
+ * Restarts a reverse-scan from a state saved in a checkpoint (instead of startReverseScan)
+ * @param delegate        the storage delegate
+ * @param state           the state, as returned by getReverseScanState
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            count is the total number of fingerprints
+ */
+DirectoryScope.prototype.restoreReverseScanState = function(delegate, state, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.restoreReverseScanState, [delegate, state]);
+  return that.startReverseScan(delegate, function(err, count) {
+    if (err) return callback(err);
+    that._offset = state.offset;
+    that._after = state.after;
+    that._processed = state.processed;
+    return callback(undefined, count);
+  });
+}
+
+/**
+ * Get the next fingerprint (revert-scan)
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            fingerprint is the fingerprint. Will be undefined when the scan is finished
+ *                            stats is the file metadata (if file was found) for this fingerprint
+ *                            isInScope indicates whether the fingerprint is in the scope of the scanner or not
+ */
+DirectoryScope.prototype.nextFingerprint = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.nextFingerprint, [], ['fingerprint', 'stats', 'isInScope', 'percentage']);
+  if (that._fingerprints.length === 0) {
+    if (that._reverseScanFinished) return callback(); // finished
+    // Load next batch
+    return that._reverseScanNextBatch(function(err) {
+      if (err) return callback(err);
+      if (that._fingerprints.length === 0) { that._reverseScanNext = true; return callback(); }
+      return that.nextFingerprint(callback);
+    });
+  }
+  var fingerprint = that._fingerprints.shift();
+  that._after = fingerprint.longFilename;
+  var stat = that._policy.symlinks ? fs.lstat : fs.stat;
+  return stat(fingerprint.longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP')) stats = null;
+      else return callback(err);
+    }
+    return that.isFileInScope(fingerprint.longFilename, stats, function(err, isInScope) {
+      if (err) return callback(err);
+      that._processed = that._processed + 1;
+      return callback(null, fingerprint, stats, isInScope, that._processed/that._totalRecords);
+    });
+  });
+}
+
+// Process next batch of records. Keyset pagination is used if the delegate supports it, offsets otherwise
+// @param callback    is the return function
+DirectoryScope.prototype._reverseScanNextBatch = function(callback) {
+  var that = this;
+  var delegate = that._delegate;
+  var limit = that._pageSize;
+  var query = delegate.getFingerPrintsAfter ? invoke.bind(undefined, delegate, delegate.getFingerPrintsAfter, [that._folder, that._after, limit])
+                                            : invoke.bind(undefined, delegate, delegate.getFingerPrints, [that._folder, that._offset, limit]);
+  return query(function(err, fingerprints) {
+    if (err) return callback(err);
+    for (var i=0; i<fingerprints.length; i++) {
+      var fingerprint = fingerprints[i];
+      that._fingerprints.push(fingerprint);
+    }
+    if (fingerprints.length < limit) that._reverseScanFinished = true; // last batch
+    that._offset = that._offset + fingerprints.length;
+    return callback();
+  });
+}
+
+
+
+/** ================================================================================
+  * Composite scope
+  *
+  * Combines several scopes (directories, files, or composite scopes), each with their own
+  * filters. A file is in the composite scope if it's in the scope of any child. Files and
+  * fingerprints which belong to several children are only scanned once, by the first one.
+  *
+  * Children may be custom scopes. Besides the iterator functions (startScan, nextFile,
+  * startReverseScan, nextFingerprint...) and isInScope, they may implement the following
+  * optional functions:
+  *   - contains(longFilename): whether a file is part of the scope, whether it exists or not.
+  *     Without it, fingerprints of the child may be processed again by the following children,
+  *     and the child is not used to get the exclusion policy or to explain a file
+  *   - isFileInScope(longFilename, stats, callback): whether a file is in scope, given its
+  *     metadata. Without it, isInScope is used, which reads the metadata again
+  *   - getExclusionPolicy, setExclusionPolicy, getExclusionStats, explain, getWatchedFolders,
+  *     filesChanged, setPageSize
+  * ================================================================================ */
+
+// Checks if a child scope contains a file, whether it exists or not. Children without the optional contains
+// function are not known to contain any file
+function scopeContains(scope, longFilename) {
+  return !!scope.contains && scope.contains(longFilename);
+}
+
+// Checks if a file is in the scope of a child, given its metadata. Children without the optional isFileInScope
+// function are asked with isInScope
+function isFileInScopeOf(scope, longFilename, stats, callback) {
+  if (scope.isFileInScope) return invoke(scope, scope.isFileInScope, [longFilename, stats], callback);
+  return invoke(scope, scope.isInScope, [longFilename], callback);
+}
+
+/**
+ * Creates a composite scope
+ * @param scopes      is the list of child scopes, scanned in this order
+ */
+function CompositeScope(scopes) {
+  this._scopes = scopes;
+  // forward-scan and reverse-scan working variables
+  this._index = 0;                  // index of the child being scanned
+  // reverse-scan working variables
+  this._delegate = undefined;       // database
+  this._totalRecords = undefined;   // total number of records (sum of all children)
+  this._processed = undefined;      // number of processed records
+}
+
+/**
+ * Get a name for the scanner
+ */
+CompositeScope.prototype.getName = function() {
+  return "Composite:[" + this._scopes.map(function(scope) { return scope.getName(); }).join(",") + "]";
+}
+
+/**
+ * Get the root folders of the scope. Duplicates must be found across children, so the
+ * fingerprints cannot be grouped by folder by the storage delegate
+ * @return {string[]} an empty list
+ */
+CompositeScope.prototype.getFolders = function() {
+  return [];
+}
+
+/**
+ * Get the folders to watch for changes (watch mode), ie the folders of all the children
+ * @return {string[]} the list of folders
+ */
+CompositeScope.prototype.getWatchedFolders = function() {
+  var folders = [];
+  this._scopes.forEach(function(scope) {
+    if (!scope.getWatchedFolders) return;
+    scope.getWatchedFolders().forEach(function(folder) { if (folders.indexOf(folder) === -1) folders.push(folder); });
+  });
+  return folders;
+}
+
+/**
+ * Notifies the children that files or folders changed on the file system (watch mode, see DirectoryScope.filesChanged)
+ * @param {string[]} longFilenames - is the list of changed files and folders (full names)
+ * @return {string[]} the folders which must be scanned again
+ */
+CompositeScope.prototype.filesChanged = function(longFilenames) {
+  var folders = [];
+  this._scopes.forEach(function(scope) {
+    if (!scope.filesChanged) return;
+    scope.filesChanged(longFilenames).forEach(function(folder) { if (folders.indexOf(folder) === -1) folders.push(folder); });
+  });
+  return folders;
+}
+
+/**
+ * Checks if a file is in the scope, ie in the scope of any child
+ * @param longFilename    the file full name
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            isInScope is a boolean
+ */
+CompositeScope.prototype.isInScope = function(longFilename, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.isInScope, [longFilename]);
+  var scopes = that._scopes.slice(0);
+  var next = function() {
+    var scope = scopes.shift();
+    if (!scope) return callback(null, false);
+    return invoke(scope, scope.isInScope, [longFilename], function(err, isInScope) {
+      if (err) return callback(err);
+      if (isInScope) return callback(null, true);
+      return next();
+    });
+  };
+  return next();
+}
+
+/**
+ * Set the number of fingerprints read at once from the storage delegate by the reverse-scan, for all the children
+ * which read pages of fingerprints
+ * @param pageSize        the number of fingerprints per page
+ * @return                the Scope itself, to allow chaining
+ */
+CompositeScope.prototype.setPageSize = function(pageSize) {
+  this._scopes.forEach(function(scope) { if (scope.setPageSize) scope.setPageSize(pageSize); });
+  return this;
+}
+
+/**
+ * Change the built-in exclusion policy of all the children
+ * @param {ExclusionPolicy} policy - the rules to change. Rules which are not specified are unchanged
  * @return                the Scope itself, to allow chaining
  */
-DirectoryScope.prototype.excludeFilesLargerThan = function(maxFileSize) {
-  if (maxFileSize !== null && maxFileSize !== undefined)
-    this._maxFileSize = maxFileSize;
+CompositeScope.prototype.setExclusionPolicy = function(policy) {
+  this._scopes.forEach(function(scope) { if (scope.setExclusionPolicy) scope.setExclusionPolicy(policy); });
   return this;
 }
 
+/**
+ * Get the built-in exclusion policy which applies to a file, ie the policy of the first child which contains the file
+ * @param longFilename    is the file full name
+ * @return {ExclusionPolicy} the policy
+ */
+CompositeScope.prototype.getExclusionPolicy = function(longFilename) {
+  for (var i=0; i<this._scopes.length; i++) {
+    var scope = this._scopes[i];
+    if (!scope.getExclusionPolicy) continue;
+    if (longFilename === undefined || scopeContains(scope, longFilename)) return scope.getExclusionPolicy(longFilename);
+  }
+  return extend({}, DEFAULT_EXCLUSION_POLICY);
+}
+
+/**
+ * Explain why a file is in the scope or not. The explanation is the one of the first child which includes the file or,
+ * if no child includes it, of the first child which contains it
+ * @param longFilename    the file full name
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            explanation is {longFilename, excluded, reason, scope}, where scope is the name of the explaining child
+ */
+CompositeScope.prototype.explain = function(longFilename, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.explain, [longFilename]);
+  var scopes = that._scopes.filter(function(scope) { return scope.explain && scopeContains(scope, longFilename); });
+  if (scopes.length === 0) return callback(null, { longFilename: longFilename, excluded: true, reason: { rule: "outsideScope" } });
+  var first = undefined;
+  var next = function() {
+    var scope = scopes.shift();
+    if (!scope) return callback(null, first);
+    return invoke(scope, scope.explain, [longFilename], function(err, explanation) {
+      if (err) return callback(err);
+      explanation.scope = scope.getName();
+      if (!explanation.excluded) return callback(null, explanation);
+      first = first || explanation;
+      return next();
+    });
+  };
+  return next();
+}
+
+/**
+ * Get the number of files excluded by the forward-scan, by rule (sum of the children counts)
+ * @return the counts, by rule
+ */
+CompositeScope.prototype.getExclusionStats = function() {
+  return sumExclusions(this._scopes.map(function(scope) { return scope.getExclusionStats ? scope.getExclusionStats() : {}; }));
+}
+
+/**
+ * Checks if a file is part of any child scope, whether it exists or not
+ * @param longFilename    the file full name
+ * @return {boolean} true if the file is part of a child scope
+ */
+CompositeScope.prototype.contains = function(longFilename) {
+  return this._scopes.some(function(scope) { return scopeContains(scope, longFilename); });
+}
+
+/**
+ * Checks if a file is in the scope of any child, given its metadata, as nextFingerprint does
+ * @param longFilename    the file full name
+ * @param stats           the fs.Stats object for the file, or null if it does not exist
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            isInScope is a boolean
+ */
+CompositeScope.prototype.isFileInScope = function(longFilename, stats, callback) {
+  if (!callback) return promised(this, this.isFileInScope, [longFilename, stats]);
+  return this._isInScopeOf(this._scopes.slice(0), longFilename, stats, callback);
+}
+
+// Checks if a file is in the scope of any scope of a list. Children without the optional contains function are
+// always asked
+CompositeScope.prototype._isInScopeOf = function(scopes, longFilename, stats, callback) {
+  var that = this;
+  var scope = scopes.shift();
+  if (!scope) return callback(null, false);
+  if (scope.contains && !scope.contains(longFilename)) return that._isInScopeOf(scopes, longFilename, stats, callback);
+  return isFileInScopeOf(scope, longFilename, stats, function(err, isInScope) {
+    if (err) return callback(err);
+    if (isInScope) return callback(null, true);
+    return that._isInScopeOf(scopes, longFilename, stats, callback);
+  });
+}
+
 /**
  * Starts (or restarts) a forward-scan
  * @param callaback       return function
  *                            err is the error code/message
  */
-DirectoryScope.prototype.startScan = function(callback) {
-  this._stack = [this._folder];
-  return callback();
+CompositeScope.prototype.startScan = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.startScan, []);
+  that._index = 0;
+  if (that._scopes.length === 0) return callback();
+  return invoke(that._scopes[0], that._scopes[0].startScan, [], callback);
 }
 
 /**
- * Get the next file to scan (forward-scan)
+ * Get the state of the forward-scan, to be saved in a checkpoint
+ * @return a JSON-serializable object
+ */
+CompositeScope.prototype.getScanState = function() {
+  var scope = this._scopes[this._index];
+  return { index: this._index, state: scope ? scope.getScanState() : undefined };
+}
+
+/**
+ * Restarts a forward-scan from a state saved in a checkpoint (instead of startScan)
+ * @param state           the state, as returned by getScanState
+ */
+CompositeScope.prototype.restoreScanState = function(state, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.restoreScanState, [state]);
+  that._index = state.index;
+  var scope = that._scopes[that._index];
+  if (!scope) return callback();
+  return invoke(scope, scope.restoreScanState, [state.state], callback);
+}
+
+/**
+ * Get the next file to scan (forward-scan). Children are scanned in order, and files which
+ * were already scanned by a previous child are skipped
  * @param callaback       return function
  *                            err is the error code/message
  *                            longFilename is the fullname of the scanned file
  *                            shortFilename is the short name of the scanned file
  *                            stats is the file metadata
+ *                            realFilename is the resolved path of the file, if it's reached through symbolic links
+ */
+CompositeScope.prototype.nextFile = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.nextFile, [], ['longFilename', 'shortFilename', 'stats', 'realFilename']);
+  var scope = that._scopes[that._index];
+  if (!scope) return callback(); // finished
+  var keys = ['longFilename', 'shortFilename', 'stats', 'realFilename'];
+  return invoke(scope, scope.nextFile, [], keys, function(err, longFilename, shortFilename, stats, realFilename) {
+    if (err) return callback(err);
+    if (longFilename === null || longFilename === undefined) {
+      // Child is finished, start next one
+      that._index = that._index + 1;
+      var next = that._scopes[that._index];
+      if (!next) return callback();
+      return invoke(next, next.startScan, [], function(err) {
+        if (err) return callback(err);
+        return that.nextFile(callback);
+      });
+    }
+    return that._isInScopeOf(that._scopes.slice(0, that._index), longFilename, stats, function(err, scanned) {
+      if (err) return callback(err);
+      if (scanned) return that.nextFile(callback);
+      return callback(null, longFilename, shortFilename, stats, realFilename);
+    });
+  });
+}
+
+/**
+ * Iterate over the files of the scope (forward-scan)
+ * Usage: for await (const entry of scope.files()) { ... }
+ *
+ * @return an async iterator which yields {longFilename, shortFilename, stats} objects
+ */
+CompositeScope.prototype.files = function() {
+  return iterateFiles(this);
+}
+
+/**
+ * Iterate over the fingerprints of the scope (reverse-scan)
+ * Usage: for await (const entry of scope.fingerprints(delegate)) { ... }
+ *
+ * @param {StorageDelegate} delegate - is the storage delegate
+ * @return an async iterator which yields {fingerprint, stats, isInScope} objects
+ */
+CompositeScope.prototype.fingerprints = function(delegate) {
+  return iterateFingerprints(this, delegate);
+}
+
+/**
+ * Starts (or restarts) a reverse-scan. The reverse scans of all children are started, to count the fingerprints
+ * @param delegate        the storage delegate
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            count is the number of fingerprints to process (sum of all children)
+ */
+CompositeScope.prototype.startReverseScan = function(delegate, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.startReverseScan, [delegate]);
+  that._delegate = delegate;
+  that._index = 0;
+  that._totalRecords = 0;
+  that._processed = 0;
+  var scopes = that._scopes.slice(0);
+  var next = function() {
+    var scope = scopes.shift();
+    if (!scope) return callback(undefined, that._totalRecords);
+    return invoke(scope, scope.startReverseScan, [delegate], function(err, count) {
+      if (err) return callback(err);
+      that._totalRecords = that._totalRecords + (count || 0);
+      return next();
+    });
+  };
+  return next();
+}
+
+/**
+ * Get the state of the reverse-scan, to be saved in a checkpoint
+ * @return a JSON-serializable object
+ */
+CompositeScope.prototype.getReverseScanState = function() {
+  var scope = this._scopes[this._index];
+  return { index: this._index, processed: this._processed, state: scope ? scope.getReverseScanState() : undefined };
+}
+
+/**
+ * Restarts a reverse-scan from a state saved in a checkpoint (instead of startReverseScan)
+ * @param delegate        the storage delegate
+ * @param state           the state, as returned by getReverseScanState
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            count is the total number of fingerprints
+ */
+CompositeScope.prototype.restoreReverseScanState = function(delegate, state, callback) {
+  var that = this;
+  if (!callback) return promised(that, that.restoreReverseScanState, [delegate, state]);
+  return that.startReverseScan(delegate, function(err, count) {
+    if (err) return callback(err);
+    that._index = state.index;
+    that._processed = state.processed;
+    var scope = that._scopes[that._index];
+    if (!scope) return callback(undefined, count);
+    return invoke(scope, scope.restoreReverseScanState, [delegate, state.state], function(err) {
+      if (err) return callback(err);
+      return callback(undefined, count);
+    });
+  });
+}
+
+/**
+ * Get the next fingerprint (revert-scan). Fingerprints which belong to a previous child are skipped, and
+ * a fingerprint is in scope if it's in the scope of any child
+ * @param callaback       return function
+ *                            err is the error code/message
+ *                            fingerprint is the fingerprint. Will be undefined when the scan is finished
+ *                            stats is the file metadata (if file was found) for this fingerprint
+ *                            isInScope indicates whether the fingerprint is in the scope of the scanner or not
+ */
+CompositeScope.prototype.nextFingerprint = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.nextFingerprint, [], ['fingerprint', 'stats', 'isInScope', 'percentage']);
+  var scope = that._scopes[that._index];
+  if (!scope) return callback(); // finished
+  var keys = ['fingerprint', 'stats', 'isInScope', 'percentage'];
+  return invoke(scope, scope.nextFingerprint, [], keys, function(err, fingerprint, stats, isInScope) {
+    if (err) return callback(err);
+    if (fingerprint === null || fingerprint === undefined) {
+      that._index = that._index + 1;
+      return that.nextFingerprint(callback);
+    }
+    that._processed = that._processed + 1;
+    var longFilename = fingerprint.longFilename;
+    var previous = that._scopes.slice(0, that._index);
+    if (previous.some(function(scope) { return scopeContains(scope, longFilename); })) return that.nextFingerprint(callback);
+    var done = function(err, isInScope) {
+      if (err) return callback(err);
+      return callback(null, fingerprint, stats, isInScope, that._totalRecords ? that._processed/that._totalRecords : undefined);
+    };
+    if (isInScope) return done(null, true);
+    return that._isInScopeOf(that._scopes.slice(that._index + 1), longFilename, stats, done);
+  });
+}
+
+
+
+
+
+/** ================================================================================
+  * Scanning scope for changed paths (watch mode)
+  *
+  * Scans a list of changed paths, as reported by a folder watcher, with the filters of
+  * another scope. Paths may be files or folders, and may not exist anymore. Folders are
+  * scanned recursively by the forward-scan, and the reverse-scan processes the fingerprints
+  * of the paths and of the files within them, so that removed files and folders are marked
+  * as vanished.
+  *
+  * The filters of the watched scope are applied through its contains and isFileInScope functions,
+  * which are optional for custom scopes (see the composite scope). If it implements filesChanged,
+  * it's notified of the changes when the scan starts, and the folders it returns (for instance
+  * folders whose ignore file changed) are scanned as well.
+  * ================================================================================ */
+
+const WATCH_PAGE_SIZE = 5000;     // number of fingerprints read at once when loading a removed folder
+
+/**
+ * Creates a scope for changed paths
+ * @param scope           is the watched scope, which filters apply
+ * @param longFilenames   is the list of changed paths (full names)
+ */
+function ChangesScope(scope, longFilenames) {
+  this._scope = scope;
+  this._longFilenames = longFilenames.slice(0);
+  // forward-scan working variables
+  this._remaining = [];     // remaining paths to scan
+  this._visited = {};       // files and folders already scanned, by device and inode
+  // reverse-scan working variables
+  this._delegate = undefined;       // database
+  this._current = undefined;        // path whose fingerprints are being processed
+  this._fingerprints = [];          // fingerprints of the current path, not processed yet
+  this._processed = {};             // processed fingerprints, by long file name
+  this._count = 0;                  // number of processed fingerprints
+}
+
+/**
+ * Get a name for the scanner
+ */
+ChangesScope.prototype.getName = function() {
+  return "Changes:" + this._scope.getName();
+}
+
+/**
+ * Get the built-in exclusion policy, which is the one of the watched scope
+ * @param longFilename    is an optional file name, for scopes which have several policies
+ * @return {ExclusionPolicy} the policy
  */
-DirectoryScope.prototype.nextFile = function(callback) {
-  var that = this;
-  if (that._stack.length === 0) return callback(); // Finished
-  var longFilename = that._stack.shift();
-  return fs.lstat(longFilename, function(err, stats) {
-    if (err) { 
-      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT')) return that.nextFile(callback);
+ChangesScope.prototype.getExclusionPolicy = function(longFilename) {
+  return this._scope.getExclusionPolicy(longFilename);
+}
+
+// Get the metadata of a file or folder, following symbolic links or not, depending on the exclusion policy
+// @return                  stats is null if the file does not exist
+ChangesScope.prototype._stat = function(longFilename, callback) {
+  var stat = this.getExclusionPolicy(longFilename).symlinks ? fs.lstat : fs.stat;
+  return stat(longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP' || err.code === 'ENOTDIR')) return callback(null, null);
       return callback(err);
     }
-    if (!stats) return that.nextFile(callback); // file not found (vanished ?)
-    var shortFilename = utils.getShortFilename(longFilename);
-     if (stats.isFile()) {
-      if (that._isExcluded(longFilename, shortFilename, stats)) return that.nextFile(callback);
-      return callback(null, longFilename, shortFilename, stats);
-    }
-    if (stats.isDirectory()) {
-      if (that._isExcluded(longFilename, shortFilename, stats)) return that.nextFile(callback);
-      return fs.readdir(longFilename, function fs_readddir_result(err, files) {
-        if (err) { 
-          if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT')) return that.nextFile(callback);
-          return callback(err);
-        }
-        files.sort();
-        for (var i=0; i<files.length; i++) that._stack.push(longFilename + "/" + files[i]);
-        return that.nextFile(callback);
-      });
-    }
-    return that.nextFile(callback);
+    return callback(null, stats);
   });
 }
 
-// Is a file/folder excluded from the scan
-// @param longFilename      is the file/directory full name
-// @param shortFilename     is the file/directory short name
-// @param stats             is the fs.Stats object for the file/directory
-DirectoryScope.prototype._isExcluded = function(longFilename, shortFilename, stats) {
+// Starts (or restarts) a forward-scan
+ChangesScope.prototype.startScan = function(callback) {
   var that = this;
-  var shortFilename = shortFilename.toLowerCase();
+  if (!callback) return promised(that, that.startScan, []);
+  var folders = that._scope.filesChanged ? that._scope.filesChanged(that._longFilenames) : [];
+  folders.forEach(function(folder) { if (that._longFilenames.indexOf(folder) === -1) that._longFilenames.push(folder); });
+  that._longFilenames.sort();
+  that._remaining = that._longFilenames.slice(0);
+  that._visited = {};
+  return callback();
+}
 
-  if (stats) {
-    var isFile = stats.isFile();
-    var size = stats.size;
-    // Check file size filter
-    if (isFile && this._minFileSize && size < this._minFileSize) return true;
-    if (isFile && this._maxFileSize && size > this._maxFileSize) return true;
-    // Exclude files without extension
-    if (isFile && utils.getExtension(shortFilename).length === 0) return true;
-    // Exclude symbolic links
-    if (stats.isSymbolicLink()) return true;
-    // Exclude empty files
-    if (size === 0) return true;  
-  }
+/**
+ * Get the state of the forward-scan, to be saved in a checkpoint
+ * @return a JSON-serializable object
+ */
+ChangesScope.prototype.getScanState = function() {
+  return { remaining: this._remaining.slice(0) };
+}
 
-  // Exclude all files/folders in the exclusion list
-  if (that._isPathElementExcluded(shortFilename, longFilename)) return true;
+/**
+ * Restarts a forward-scan from a state saved in a checkpoint (instead of startScan)
+ * @param state - is the state, as returned by getScanState
+ */
+ChangesScope.prototype.restoreScanState = function(state, callback) {
+  if (!callback) return promised(this, this.restoreScanState, [state]);
+  this._remaining = state.remaining.slice(0);
+  this._visited = {};
+  return callback();
+}
 
-  // If there is an inclusion list, exclude all files not in this list
-  // Note: inclusion is only for files, not for folders
-  var inclusions = this._fileInclusions;
-  if (inclusions.length > 0 && stats && isFile) {
-    for (var i=0; i<inclusions.length; i++) {
-      var pattern = inclusions[i];
-      if (utils.startsWith(pattern, "*")) {
-        var suffix = pattern.substr(1);
-        var match = utils.endsWith(shortFilename, suffix);
-        if (match) return false;
-      }
-      else {
-        if (shortFilename === pattern) return false;
+// Get the next file to scan (forward-scan). Paths which do not exist anymore, or are not in the
+// watched scope are skipped. Folders are scanned recursively
+ChangesScope.prototype.nextFile = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.nextFile, [], ['longFilename', 'shortFilename', 'stats', 'realFilename']);
+  if (that._remaining.length === 0) return callback(); // finished
+  var longFilename = that._remaining.shift();
+  if (that._scope.contains && !that._scope.contains(longFilename)) return that.nextFile(callback);
+  return that._stat(longFilename, function(err, stats) {
+    if (err) return callback(err);
+    if (!stats || (!stats.isFile() && !stats.isDirectory())) return that.nextFile(callback);
+    var key = stats.dev + ":" + stats.ino;
+    if (that._visited[key]) return that.nextFile(callback);
+    that._visited[key] = true;
+    return isFileInScopeOf(that._scope, longFilename, stats, function(err, isInScope) {
+      if (err) return callback(err);
+      if (!isInScope) return that.nextFile(callback);
+      if (stats.isDirectory()) {
+        return fs.readdir(longFilename, function(err, files) {
+          if (err) {
+            if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ENOTDIR')) return that.nextFile(callback);
+            return callback(err);
+          }
+          files.sort();
+          var children = files.map(function(file) { return longFilename + "/" + file; });
+          that._remaining = children.concat(that._remaining);
+          return that.nextFile(callback);
+        });
       }
-    }
-    return true; // not in inclusion list
-  }
-  return false;
+      var shortFilename = utils.getShortFilename(longFilename);
+      if (that.getExclusionPolicy(longFilename).symlinks) return callback(null, longFilename, shortFilename, stats);
+      return fs.realpath(longFilename, function(err, realFilename) {
+        if (err) return that.nextFile(callback);
+        return callback(null, longFilename, shortFilename, stats, realFilename !== longFilename ? realFilename : undefined);
+      });
+    });
+  });
 }
 
-DirectoryScope.prototype._isPathElementExcluded = function(shortFilename, longFilename) {
-  var exclusions = this._exclusions;
-  for (var i=0; i<exclusions.length; i++) {
-    var pattern = exclusions[i];
-    if (utils.startsWith(pattern, "*")) {
-      var suffix = pattern.substr(1);
-      var match = utils.endsWith(shortFilename, suffix);
-      if (match) return true;
-    }
-    else {
-      var index = longFilename.toLowerCase().indexOf('/'+pattern+'/');
-      if (shortFilename === pattern) return true;
-      if (index !== -1) return true;
-    }
-  }
-  return false;
+/**
+ * Get the root folders of the scope. A ChangesScope has no root folder
+ * @return {string[]} an empty list
+ */
+ChangesScope.prototype.getFolders = function() {
+  return [];
 }
 
 /**
@@ -552,22 +2845,41 @@ DirectoryScope.prototype._isPathElementExcluded = function(shortFilename, longFi
  * @param delegate        the storage delegate
  * @param callaback       return function
  *                            err is the error code/message
- *                            count is the number of fingerprints to process
+ *                            count is the number of changed paths (folders may contain more fingerprints)
  */
-DirectoryScope.prototype.startReverseScan = function(delegate, callback) {
+ChangesScope.prototype.startReverseScan = function(delegate, callback) {
+  if (!callback) return promised(this, this.startReverseScan, [delegate]);
+  this._delegate = delegate;
+  this._remaining = this._longFilenames.slice(0);
+  this._current = undefined;
+  this._fingerprints = [];
+  this._processed = {};
+  this._count = 0;
+  return callback(undefined, this._longFilenames.length);
+}
+
+/**
+ * Get the state of the reverse-scan, to be saved in a checkpoint
+ * @return a JSON-serializable object
+ */
+ChangesScope.prototype.getReverseScanState = function() {
+  var remaining = this._remaining.slice(0);
+  if (this._fingerprints.length > 0) remaining.unshift(this._current);
+  return { remaining: remaining };
+}
+
+/**
+ * Restarts a reverse-scan from a state saved in a checkpoint (instead of startReverseScan)
+ * @param delegate        the storage delegate
+ * @param state           the state, as returned by getReverseScanState
+ */
+ChangesScope.prototype.restoreReverseScanState = function(delegate, state, callback) {
   var that = this;
-  that._delegate = delegate;
-  that._offset = 0;
-  
-  that._fingerprints = [];
-  that._totalRecords = undefined;
-  that._processed = undefined;
-  that._reverseScanFinished = false;
-  return that._delegate.countFingerPrints(that._folder, function(err, count) {
+  if (!callback) return promised(that, that.restoreReverseScanState, [delegate, state]);
+  return that.startReverseScan(delegate, function(err, count) {
     if (err) return callback(err);
-    that._totalRecords = count;
-    that._processed = 0;
-    return callback(undefined, that._totalRecords);
+    that._remaining = state.remaining.slice(0);
+    return callback(undefined, count);
   });
 }
 
@@ -577,50 +2889,190 @@ DirectoryScope.prototype.startReverseScan = function(delegate, callback) {
  *                            err is the error code/message
  *                            fingerprint is the fingerprint. Will be undefined when the scan is finished
  *                            stats is the file metadata (if file was found) for this fingerprint
- *                            isInScope indicates whether the fingerprint is in the scope of the scanner or not
+ *                            isInScope indicates whether the fingerprint is in the watched scope or not
  */
-DirectoryScope.prototype.nextFingerprint = function(callback) {
+ChangesScope.prototype.nextFingerprint = function(callback) {
   var that = this;
+  if (!callback) return promised(that, that.nextFingerprint, [], ['fingerprint', 'stats', 'isInScope', 'percentage']);
   if (that._fingerprints.length === 0) {
-    if (that._reverseScanFinished) return callback(); // finished
-    // Load next batch
-    return that._reverseScanNextBatch(function(err) {
+    if (that._remaining.length === 0) return callback(); // finished
+    that._current = that._remaining.shift();
+    return that._loadFingerprints(that._current, function(err) {
       if (err) return callback(err);
-      if (that._fingerprints.length === 0) { that._reverseScanNext = true; return callback(); }
       return that.nextFingerprint(callback);
     });
   }
   var fingerprint = that._fingerprints.shift();
-  return fs.lstat(fingerprint.longFilename, function(err, stats) {
-    if (err) {
-      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT')) stats = null;
-      else return callback(err);
-    }
-    var isInScope = !that._isExcluded(fingerprint.longFilename, fingerprint.shortFilename, stats);
-    that._processed = that._processed + 1;
-    return callback(null, fingerprint, stats, isInScope, that._processed/that._totalRecords);
+  if (that._processed[fingerprint.longFilename]) return that.nextFingerprint(callback);
+  that._processed[fingerprint.longFilename] = true;
+  return that._stat(fingerprint.longFilename, function(err, stats) {
+    if (err) return callback(err);
+    var contained = !that._scope.contains || that._scope.contains(fingerprint.longFilename);
+    var check = contained ? isFileInScopeOf.bind(undefined, that._scope) : function(longFilename, stats, callback) { return callback(null, false); };
+    return check(fingerprint.longFilename, stats, function(err, isInScope) {
+      if (err) return callback(err);
+      that._count = that._count + 1;
+      var total = that._count + that._remaining.length + that._fingerprints.length;
+      return callback(null, fingerprint, stats, isInScope, that._count/total);
+    });
   });
 }
 
-// Process next batch of records
-// @param callback    is the return function
-DirectoryScope.prototype._reverseScanNextBatch = function(callback) {
+// Load the fingerprints of a changed path. If the path is not a file anymore (it was removed, or
+// is a folder), the fingerprints of the files within it are loaded too
+ChangesScope.prototype._loadFingerprints = function(longFilename, callback) {
   var that = this;
-  var limit = 5000;
-  return that._delegate.getFingerPrints(that._folder, that._offset, limit, function(err, fingerprints) {
+  var delegate = that._delegate;
+  return invoke(delegate, delegate.getFingerPrint, [longFilename], function(err, fingerprint) {
     if (err) return callback(err);
-    for (var i=0; i<fingerprints.length; i++) {
-      var fingerprint = fingerprints[i];
-      that._fingerprints.push(fingerprint);
-    }
-    if (fingerprints.length < limit) that._reverseScanFinished = true; // last batch
-    that._offset = that._offset + fingerprints.length;
-    return callback();
+    if (fingerprint) that._fingerprints.push(fingerprint);
+    return fs.lstat(longFilename, function(err, stats) {
+      if (!err && stats.isFile()) return callback();
+      var after = undefined;
+      var offset = 0;
+      var next = function() {
+        var query = delegate.getFingerPrintsAfter ? invoke.bind(undefined, delegate, delegate.getFingerPrintsAfter, [longFilename, after, WATCH_PAGE_SIZE])
+                                                  : invoke.bind(undefined, delegate, delegate.getFingerPrints, [longFilename, offset, WATCH_PAGE_SIZE]);
+        return query(function(err, fingerprints) {
+          if (err) return callback(err);
+          fingerprints.forEach(function(fingerprint) {
+            if (utils.startsWith(fingerprint.longFilename, longFilename + "/")) that._fingerprints.push(fingerprint);
+          });
+          if (fingerprints.length < WATCH_PAGE_SIZE) return callback();
+          after = fingerprints[fingerprints.length - 1].longFilename;
+          offset = offset + fingerprints.length;
+          return next();
+        });
+      };
+      return next();
+    });
+  });
+}
+
+
+
+/** ================================================================================
+  * File hashes
+  * ================================================================================ */
+
+/**
+ * Kind of hash held by a fingerprint
+ */
+const HashKind = {
+  FULL:       "full",         // md5 and hashes are computed on the whole file content
+  QUICK:      "quick"         // only the quickHash is computed, from the size and sampled blocks of the file
+};
+
+/**
+ * Get the list of hash algorithms selected in the scan options. md5 is always computed, first
+ * @param scanOptions - is the scan options
+ * @return {string[]} the list of algorithms
+ */
+function getSelectedHashes(scanOptions) {
+  return ['md5'].concat((scanOptions.hashes || []).filter(function(name) { return name !== 'md5'; }));
+}
+
+/**
+ * Get the quick hash options from the scan options
+ * @param scanOptions - is the scan options. scanOptions.quickHash is either true or an object {minSize, blockSize}
+ * @return {minSize, blockSize} or undefined if quick hashes are not used
+ */
+function getQuickHashOptions(scanOptions) {
+  var quickHash = scanOptions.quickHash;
+  if (!quickHash) return undefined;
+  if (quickHash === true) quickHash = {};
+  return {
+    minSize:    quickHash.minSize !== undefined ? quickHash.minSize : 64*1024*1024,
+    blockSize:  quickHash.blockSize || 64*1024
+  };
+}
+
+/**
+ * Compute the full hashes of a file which only has a quick hash, and update its fingerprint
+ *
+ * @param {StorageDelegate} storageDelegate - is the storage delegate
+ * @param {Fingerprint} fingerprint - is the fingerprint to update
+ * @param scanOptions - is the scan options (used to select the hash algorithms)
+ * @param callback - is the return function
+ *                      err is the error object
+ *                      fingerprint is the updated fingerprint
+ *                   If omitted, a promise is returned
+ */
+function computeFullHash(storageDelegate, fingerprint, scanOptions, callback) {
+  if (!callback) return promised(undefined, computeFullHash, [storageDelegate, fingerprint, scanOptions]);
+  scanOptions = scanOptions || {};
+  log.info({ longFilename:fingerprint.longFilename, uuid:fingerprint.uuid }, "Computing full hash");
+  return hashes.hashFile(fingerprint.longFilename, getSelectedHashes(scanOptions), function(err, result) {
+    if (err) return callback(err);
+    var newFingerPrint = { uuid: fingerprint.uuid, md5: result.md5, hashes: result, hashKind: HashKind.FULL };
+    return invoke(storageDelegate, storageDelegate.updateFingerprint, [newFingerPrint], function(err) {
+      if (err) return callback(err);
+      return callback(null, extend(fingerprint, newFingerPrint));
+    });
   });
 }
 
 
 
+/** ================================================================================
+  * Error policy
+  *
+  * Errors on a single file during the forward scan (fingerprint lookup, hashing, storage
+  * write) either fail the scan (default), or are recorded in the scan error list and the
+  * file is skipped, optionally after a few retries (scanOptions.errorPolicy).
+  * Errors of the reverse scan handlers are always recorded.
+  * ================================================================================ */
+
+/**
+ * Error policies. A retry policy is an object {retries, backoff}: the file is processed again up to
+ * "retries" times, waiting "backoff" ms before the first retry, and twice as long before each next
+ * one (default 1000 ms). It's then skipped and the error recorded
+ */
+const ErrorPolicy = {
+  FAIL_FAST:  "failFast",     // the first error fails the scan
+  SKIP:       "skip"          // errors are recorded, and the files skipped
+};
+
+// Get the error policy of a scan
+// @return                  the policy {failFast, retries, backoff}, or undefined if scanOptions.errorPolicy is invalid
+function getErrorPolicy(scanOptions) {
+  var policy = scanOptions.errorPolicy || ErrorPolicy.FAIL_FAST;
+  if (policy === ErrorPolicy.FAIL_FAST) return { failFast: true, retries: 0, backoff: 0 };
+  if (policy === ErrorPolicy.SKIP) return { failFast: false, retries: 0, backoff: 0 };
+  if (typeof policy !== 'object') return undefined;
+  return {
+    failFast: false,
+    retries:  Math.max(0, policy.retries || 0),
+    backoff:  policy.backoff === undefined ? 1000 : policy.backoff
+  };
+}
+
+// Maximum number of entries of the error list of a scan phase. The errors counters are not limited
+const MAX_ERROR_LIST = 1000;
+
+// Add an entry to a scan error list, unless the list is full
+// @param list              is the error list
+// @param entry             is the entry (see getErrorEntry)
+function addErrorEntry(list, entry) {
+  if (list.length < MAX_ERROR_LIST) list.push(entry);
+}
+
+// Create an entry of the scan error list
+// @param longFilename      is the file (forward scan) or fingerprint (reverse scan) name
+// @param phase             is the scan phase, "forward" or "reverse"
+// @param err               is the error
+// @return                  the entry {path, phase, code, message}
+function getErrorEntry(longFilename, phase, err) {
+  return {
+    path:     longFilename,
+    phase:    phase,
+    code:     (err && err.code) || null,
+    message:  (err && err.message) || String(err)
+  };
+}
+
+
+
 /** ================================================================================
   * Fingerprint Scanner
   * This is a forward scanner (ie, reads file system and updates database accordingly)
@@ -629,19 +3081,33 @@ DirectoryScope.prototype._reverseScanNextBatch = function(callback) {
   * ================================================================================ */
 
 // @param {StorageDelegate} delegate - is the storage delegate (ie the database storage interface)
-// @param {ProgressDelegate} progressDelegate - 
+// @param {EventEmitter} events - is the emitter of the scan events (see ScanEvent)
 // @param {FilesScope | DirectoryScope } - the scan scope (ie the subset of the file system to scan)
 // @param scanOptions - scanner options
-function FingerprintsScanner(delegate, progressDelegate, scope, scanOptions) {
+// @param {Checkpoint} checkpoint - optional. Used to periodically save the scan state, and to resume a scan
+function FingerprintsScanner(delegate, events, scope, scanOptions, checkpoint) {
   this._delegate = delegate;
-  this._progressDelegate = progressDelegate;
+  this._events = events || new EventEmitter();
   this._scope = scope;
   this._scanOptions = scanOptions;
+  this._checkpoint = checkpoint || new Checkpoint();
+  this._concurrency = Math.max(1, scanOptions.concurrency || 1);
+  this._hashNames = getSelectedHashes(scanOptions);
+  this._quickHash = getQuickHashOptions(scanOptions);
+  this._hasher = undefined;
+  this._pipeline = undefined;
   this._totalScanned = 0;
   this._totalProcessed = 0;
   this._totalErrors = 0;
   this._totalInserted = 0;
   this._totalUpdated = 0;
+  this._totalMoved = 0;
+  this._errorPolicy = undefined;
+  this._errorList = [];             // errors of the skipped files (see getErrorEntry)
+  this._savedExcluded = {};         // number of excluded files, by rule, before the scan was resumed
+  this._moved = {};                 // uuids of the fingerprints of moved files
+  this._writer = new BatchWriter(delegate, scanOptions, this._writeSkipped.bind(this));
+  this._aborted = false;
   this._fingerprintsCache = new LinkedHashMap();
 };
 
@@ -653,7 +3119,7 @@ FingerprintsScanner.prototype.getFingerPrint = function(longFilename, callback)
   var that = this;
   var fingerprint = that._fingerprintsCache.get(longFilename);
   if (fingerprint) return callback(null, fingerprint);
-  return that._delegate.preLoadFingerprints(longFilename, 1000, function(err, fingerprints) {
+  return invoke(that._delegate, that._delegate.preLoadFingerprints, [longFilename, 1000], function(err, fingerprints) {
     if (err) return callback(err);
     for (var i=0; i<fingerprints.length; i++) {
       var fingerprint = fingerprints[i];
@@ -670,105 +3136,512 @@ FingerprintsScanner.prototype.getFingerPrint = function(longFilename, callback)
 /**
  * Scans a directory and updates the fingerprint database
  *
- * @param fileset   is the FileSet to scan
- * @param callback  is the return function
+ * @param callback  is the return function. If omitted, a promise is returned
  */
 FingerprintsScanner.prototype.scan = function(callback) {
   var that = this;
-  that._totalScanned = 0;
-  that._totalProcessed = 0;
-  that._totalErrors = 0;
-  that._totalInserted = 0;
-  that._totalUpdated = 0;
-  that._progressDelegate.forwardScanStarted();
-  log.info({ scope:that._scope.getName() }, "Scanning for fingerprints");
-  return that._scope.startScan(function(err) {
+  if (!callback) return promised(that, that.scan, []);
+  var saved = that._checkpoint.get("forward");
+  var savedStats = (saved && saved.stats) || {};
+  that._totalScanned = savedStats.scanned || 0;
+  that._totalProcessed = savedStats.processed || 0;
+  that._totalErrors = savedStats.errors || 0;
+  that._totalInserted = savedStats.inserted || 0;
+  that._totalUpdated = savedStats.updated || 0;
+  that._totalMoved = savedStats.moved || 0;
+  that._errorList = (savedStats.errorList || []).slice(0);
+  that._savedExcluded = savedStats.excluded || {};
+  that._moved = {};
+  that._aborted = false;
+  that._emit(ScanEvent.FORWARD_STARTED, {});
+  log.info({ scope:that._scope.getName(), resume:!!saved, concurrency:that._concurrency, hashes:that._hashNames }, "Scanning for fingerprints");
+  var registered = hashes.getHashNames();
+  for (var i=0; i<that._hashNames.length; i++) {
+    if (registered.indexOf(that._hashNames[i]) === -1)
+      return callback(new Exception({ hash:that._hashNames[i], registered:registered }, "Unknown hash algorithm"));
+  }
+  that._errorPolicy = getErrorPolicy(that._scanOptions);
+  if (!that._errorPolicy) return callback(new Exception({ errorPolicy:that._scanOptions.errorPolicy }, "Invalid error policy"));
+
+  // Hash workers are released when the scan ends, whatever the outcome
+  var hasher = that._hasher = that._createHasher();
+  var done = callback;
+  callback = function(err, result) {
+    return hasher.close(function() {
+      return done(err, result);
+    });
+  };
+
+  var start = saved ? invoke.bind(undefined, that._scope, that._scope.restoreScanState, [saved.state])
+                    : invoke.bind(undefined, that._scope, that._scope.startScan, []);
+  return start(function(err) {
     if (err) return callback(err);
     return that._processNext(function(err) {
       if (err) return callback(err);
       that._logProgress(true);
-      that._progressDelegate.forwardScanEnded();
-      return callback(null, {
-        scanned: that._totalScanned,
-        processed: that._totalProcessed,
-        errors: that._totalErrors
+      var status = that._aborted ? ScanStatus.ABORTED : ScanStatus.COMPLETED;
+      var next = status === ScanStatus.ABORTED ? that._saveCheckpoint.bind(that)
+                                               : function(callback) {
+                                                   return that._writer.flush(function(err) {
+                                                     if (err) return callback(err);
+                                                     return that._checkpoint.forwardScanEnded(that._getStats(), callback);
+                                                   });
+                                                 };
+      return next(function(err) {
+        if (err) return callback(err);
+        that._emit(ScanEvent.FORWARD_ENDED, { status: status });
+        return callback(null, {
+          scanned: that._totalScanned,
+          processed: that._totalProcessed,
+          errors: that._totalErrors,
+          errorList: that._errorList.slice(0),
+          moved: that._totalMoved,
+          excluded: that._getExcluded(),
+          status: status
+        });
       });
     });
   });
 }
 
+// Get the scanner counters, as passed to scan events
+FingerprintsScanner.prototype._getCounters = function() {
+  return {
+    scanned: this._totalScanned,
+    processed: this._totalProcessed,
+    errors: this._totalErrors,
+    inserted: this._totalInserted,
+    updated: this._totalUpdated,
+    moved: this._totalMoved,
+    excluded: this._getExcluded()
+  };
+}
+
+// Get the scanner counters and the error list, as saved in checkpoints
+FingerprintsScanner.prototype._getStats = function() {
+  return extend(this._getCounters(), { errorList: this._errorList.slice(0) });
+}
+
+// Emit a scan event, with the current counters. Counters are not computed if nobody listens
+FingerprintsScanner.prototype._emit = function(name, event) {
+  if (this._events.listenerCount(name) === 0) return;
+  event.counters = this._getCounters();
+  this._events.emit(name, event);
+}
+
+// Get the number of files excluded by the scope, by rule (scopes may not count exclusions)
+FingerprintsScanner.prototype._getExcluded = function() {
+  var scope = this._scope;
+  return sumExclusions([this._savedExcluded, scope.getExclusionStats ? scope.getExclusionStats() : {}]);
+}
+
+// Save a checkpoint with the current scan state. Queued writes are flushed first
+FingerprintsScanner.prototype._saveCheckpoint = function(callback) {
+  var that = this;
+  return that._writer.flush(function(err) {
+    if (err) return callback(err);
+    return that._checkpoint.save("forward", that._scope.getScanState(), that._getStats(), callback);
+  });
+}
+
+// Create the object used to compute file hashes: either in the main thread (default) or
+// in a pool of worker threads (scanOptions.hashWorkers). Custom hash algorithms are not
+// available in worker threads, and are always computed in the main thread
+FingerprintsScanner.prototype._createHasher = function() {
+  var custom = this._hashNames.filter(function(name) { return !hashes.isBuiltin(name); });
+  if (this._scanOptions.hashWorkers && custom.length === 0) return new HashPool(this._concurrency);
+  if (this._scanOptions.hashWorkers) log.info({ hashes:custom }, "Custom hashes cannot be computed in worker threads");
+  return {
+    hash: function(longFilename, names, callback) { return hashes.hashFile(longFilename, names, callback); },
+    close: function(callback) { return callback(); }
+  };
+}
+
 FingerprintsScanner.prototype._logProgress = function(force) {
   var that = this;
-  that._progressDelegate.forwardScanProgress(that._totalScanned, that._totalProcessed, that._totalInserted, that._totalUpdated);
+  that._emit(ScanEvent.FORWARD_PROGRESS, {});
   if (force || (that._totalScanned % 1000) === 0) {
-    log.info({ scanned:that._totalScanned, processed:that._totalProcessed, inserted:that._totalInserted, updated:that._totalUpdated });
+    log.info({ scanned:that._totalScanned, processed:that._totalProcessed, inserted:that._totalInserted, updated:that._totalUpdated, moved:that._totalMoved });
   }
 }
 
+// Checks if the scan was aborted (scanOptions.signal). Called between files, so that
+// the current file, and its storage write, is always completed before stopping
+FingerprintsScanner.prototype._checkAborted = function() {
+  var signal = this._scanOptions.signal;
+  if (!this._aborted && signal && signal.aborted) {
+    log.info({ scope:this._scope.getName(), scanned:this._totalScanned }, "Forward scan aborted");
+    this._aborted = true;
+  }
+  return this._aborted;
+}
+
+/**
+ * Process all the files of the scope
+ *
+ * Files go through a pipeline: they are read from the scope and looked up in the storage one at a
+ * time, up to "concurrency" files are hashed in parallel, and fingerprints are written to the storage
+ * one at a time, in the scope order. This way, statistics, progress callbacks and the final storage
+ * state do not depend on the concurrency.
+ *
+ * @param callback - is called when all files are processed, or on the first error
+ */
 FingerprintsScanner.prototype._processNext = function(callback) {
+  var that = this;
+  that._pipeline = {
+    queue: [],              // files read from the scope, in scope order, not written yet
+    reading: false,         // reading the next file from the scope
+    writing: false,         // writing a fingerprint to the storage
+    saving: false,          // saving a checkpoint
+    checkpointDue: false,   // a checkpoint is due: stop reading until the pipeline is empty
+    finished: false,        // no more files in the scope
+    err: undefined,         // first error. Stops the pipeline
+    callback: callback
+  };
+  return that._pump();
+}
+
+// Move files through the pipeline. Called every time something completes
+FingerprintsScanner.prototype._pump = function() {
+  var that = this;
+  var pipeline = that._pipeline;
+  if (!pipeline) return;
+
+  // Write the next fingerprint. Fingerprints are written in order, once their hash is computed
+  var head = pipeline.queue[0];
+  if (!pipeline.err && !pipeline.writing && !pipeline.saving && head && !head.hashing) {
+    that._write(pipeline.queue.shift());
+    if (that._pipeline !== pipeline) return;
+  }
+
+  // Read the next file, if the pipeline is not full
+  var stopped = pipeline.err || pipeline.finished || pipeline.checkpointDue || that._checkAborted();
+  var inFlight = pipeline.queue.length + (pipeline.writing ? 1 : 0);
+  if (!stopped && !pipeline.reading && !pipeline.saving && inFlight < that._concurrency) {
+    that._read();
+    if (that._pipeline !== pipeline) return;
+  }
+
+  // Nothing more can be done until the pipeline is empty
+  if (pipeline.reading || pipeline.writing || pipeline.saving) return;
+  for (var i=0; i<pipeline.queue.length; i++) {
+    if (pipeline.queue[i].hashing) return;
+  }
+  if (pipeline.err) return that._endPipeline(pipeline.err);
+  if (pipeline.queue.length > 0) return;
+  if (pipeline.checkpointDue) {
+    pipeline.checkpointDue = false;
+    pipeline.saving = true;
+    return that._saveCheckpoint(function(err) {
+      pipeline.saving = false;
+      if (err) pipeline.err = err;
+      return that._pump();
+    });
+  }
+  if (stopped) return that._endPipeline();
+}
+
+// Pipeline is empty and stopped (end of scope, abort or error)
+FingerprintsScanner.prototype._endPipeline = function(err) {
+  var callback = this._pipeline.callback;
+  this._pipeline = undefined;
+  return callback(err);
+}
+
+// Read the next file from the scope, lookup its fingerprint and start hashing it if necessary
+FingerprintsScanner.prototype._read = function() {
+  var that = this;
+  var pipeline = that._pipeline;
+  pipeline.reading = true;
+  var keys = ['longFilename', 'shortFilename', 'stats', 'realFilename'];
+  return invoke(that._scope, that._scope.nextFile, [], keys, function(err, longFilename, shortFilename, stats, realFilename) {
+    if (err || longFilename===null || longFilename===undefined || stats===null || stats===undefined || !stats.isFile()) {
+      pipeline.reading = false;
+      if (err) pipeline.err = err;
+      else if (longFilename===null || longFilename===undefined) pipeline.finished = true; // scan finished
+      return that._pump();
+    }
+    var file = {
+      longFilename:   longFilename,
+      shortFilename:  shortFilename,
+      realFilename:   realFilename,     // resolved path, for files reached through symbolic links
+      stats:          stats,
+      fingerprint:    undefined,        // existing fingerprint, if any
+      previous:       undefined,        // copy of the existing fingerprint, before it's updated
+      changed:        true,             // new file, or file changed on disk
+      hashing:        false,            // hashes are being computed
+      hashes:         undefined,        // hashes, by algorithm name
+      quickHash:      undefined,        // quick hash, for large files
+      counted:        false,            // the file was counted as scanned
+      attempts:       0,                // number of failed attempts (see scanOptions.errorPolicy)
+      err:            undefined,
+      failedStep:     undefined         // step which failed: "lookup" or "hash"
+    };
+    return that._lookup(file, function() {
+      pipeline.reading = false;
+      pipeline.queue.push(file);
+      if (file.err || !file.changed) return that._pump();
+      file.hashing = true;
+      that._hash(file, function() {
+        file.hashing = false;
+        return that._pump();
+      });
+      return that._pump();
+    });
+  });
+}
+
+// Lookup the fingerprint of a file, and check if the file changed since it was computed.
+// Errors are reported in file.err
+FingerprintsScanner.prototype._lookup = function(file, callback) {
   var that = this;
   var force = that._scanOptions.force;
-  return that._scope.nextFile(function(err, longFilename, shortFilename, stats) {
-    if (err) return callback(err);
-    if (longFilename===null || longFilename===undefined) return callback(); // scan finished
-    if (stats===null || stats===undefined || !stats.isFile()) return that._processNext(callback);
-    return that.getFingerPrint(longFilename, function(err, fingerprint) {
-      if (err) return callback(err);
-      that._totalScanned = that. _totalScanned + 1;
-      that._logProgress();
-      // Create a new fingerprint
-      if (fingerprint === undefined || fingerprint === null) {
-        return utils.md5(longFilename, function(err, md5) {
-          if (err) return callback(err);
-          var fingerprint = {
-            shortFilename:  shortFilename,
-            longFilename:   longFilename,
-            mtime:          stats.mtime,
-            size:           stats.size,
-            md5:            md5,
-            uuid:           undefined,  // will be set by the database
-            vanishedAt:     null,
-            hidden:         false,
-            ownerId:        'ab8f87ea-ad93-4365-bdf5-045fee58ee3b' // nobody
-          };
-          return that._createFingerprint(fingerprint, function(err) {
-            if (err) return callback(err);
-            that._totalProcessed = that._totalProcessed + 1;
-            that._totalInserted = that._totalInserted + 1;
-            return that._processNext(callback);
-          });
+  return that.getFingerPrint(file.longFilename, function(err, fingerprint) {
+    if (err) {
+      file.err = err;
+      file.failedStep = "lookup";
+      return callback();
+    }
+    file.fingerprint = fingerprint;
+    file.previous = fingerprint ? extend({}, fingerprint) : undefined;
+    file.changed = !(fingerprint !== undefined && fingerprint !== null && !force && file.stats.mtime <= fingerprint.mtime);
+    return callback();
+  });
+}
+
+// Compute the hashes of a file (or its quick hash, for large files). Errors are reported in file.err
+FingerprintsScanner.prototype._hash = function(file, callback) {
+  var that = this;
+  var quickHash = that._quickHash;
+  if (quickHash && file.stats.size >= quickHash.minSize) {
+    return hashes.quickHashFile(file.longFilename, file.stats.size, quickHash.blockSize, function(err, result) {
+      file.err = err;
+      file.failedStep = err ? "hash" : undefined;
+      file.quickHash = result;
+      return callback();
+    });
+  }
+  return that._hasher.hash(file.longFilename, that._hashNames, function(err, result) {
+    file.err = err;
+    file.failedStep = err ? "hash" : undefined;
+    file.hashes = result;
+    return callback();
+  });
+}
+
+// Handle an error on a file, according to the error policy (scanOptions.errorPolicy): the scan
+// fails, the file is processed again after a delay, or the error is recorded and the file skipped
+// @param file        is the file
+// @param err         is the error
+// @param retry       is the function to call to process the file again
+// @param callback    is called with the error to fail the scan, or without error to skip the file
+FingerprintsScanner.prototype._fileError = function(file, err, retry, callback) {
+  var that = this;
+  var policy = that._errorPolicy;
+  if (policy.failFast) return callback(err);
+  file.attempts = file.attempts + 1;
+  if (file.attempts <= policy.retries) {
+    var delay = policy.backoff * Math.pow(2, file.attempts - 1);
+    log.info({ longFilename:file.longFilename, err:err.message, attempt:file.attempts, delay:delay }, "Retrying file");
+    return setTimeout(retry, delay);
+  }
+  log.info({ longFilename:file.longFilename, err:err.message, attempts:file.attempts }, "Skipping file");
+  that._totalErrors = that._totalErrors + 1;
+  addErrorEntry(that._errorList, getErrorEntry(file.longFilename, "forward", err));
+  return callback();
+}
+
+// A queued fingerprint could not be written, and was skipped (see BatchWriter)
+FingerprintsScanner.prototype._writeSkipped = function(fingerprint, err) {
+  this._totalErrors = this._totalErrors + 1;
+  addErrorEntry(this._errorList, getErrorEntry(fingerprint.longFilename, "forward", err));
+}
+
+// Write the fingerprint of a file to the storage (create or update)
+FingerprintsScanner.prototype._write = function(file) {
+  var that = this;
+  var pipeline = that._pipeline;
+  pipeline.writing = true;
+  var done = function(err) {
+    pipeline.writing = false;
+    if (err) pipeline.err = err;
+    else if (that._checkpoint.isDue()) pipeline.checkpointDue = true;
+    return that._pump();
+  };
+  if (!file.counted) {
+    file.counted = true;
+    that._totalScanned = that. _totalScanned + 1;
+    that._logProgress();
+  }
+  var stats = file.stats;
+
+  // A retry starts again from the step which failed: lookup, hashing or storage write
+  var failed = function(err) {
+    var step = file.failedStep;
+    return that._fileError(file, err, function() {
+      file.err = undefined;
+      file.failedStep = undefined;
+      if (step === "lookup") {
+        return that._lookup(file, function() {
+          if (file.err || !file.changed) return that._write(file);
+          return that._hash(file, function() { return that._write(file); });
         });
       }
-      // Update fingerprint if file was changed on disk
-      if (!force && stats.mtime <= fingerprint.mtime) {
-        return that._processNext(callback);
+      if (step === "hash") return that._hash(file, function() { return that._write(file); });
+      return that._write(file);
+    }, done);
+  };
+  if (file.err) return failed(file.err);
+
+  // Create a new fingerprint, unless the file was moved or renamed
+  if (file.fingerprint === undefined || file.fingerprint === null) {
+    return that._findMovedFingerprint(file, function(err, moved) {
+      if (err) return failed(err);
+      if (moved) {
+        var previous = extend({}, moved);
+        return that._moveFingerprint(moved, file, function(err, fingerprint) {
+          if (err) return failed(err);
+          that._totalProcessed = that._totalProcessed + 1;
+          that._totalMoved = that._totalMoved + 1;
+          that._emit(ScanEvent.FILE_UPDATED, { fingerprint: fingerprint, previous: previous, moved: true, stats: stats });
+          return done();
+        });
       }
-      fingerprint.mtime = stats.mtime;
-      return utils.md5(fingerprint.longFilename, function(err, md5) {
+      var fingerprint = {
+        shortFilename:  file.shortFilename,
+        longFilename:   file.longFilename,
+        mtime:          stats.mtime,
+        size:           stats.size,
+        md5:            file.hashes ? file.hashes.md5 : null,
+        hashes:         file.hashes || {},
+        hashKind:       file.hashes ? HashKind.FULL : HashKind.QUICK,
+        quickHash:      file.quickHash || null,
+        inode:          stats.ino,
+        realFilename:   file.realFilename || null,
+        uuid:           undefined,  // will be set by the database
+        vanishedAt:     null,
+        hidden:         false,
+        ownerId:        'ab8f87ea-ad93-4365-bdf5-045fee58ee3b' // nobody
+      };
+      return that._createFingerprint(fingerprint, function(err) {
+        if (err) return failed(err);
+        that._totalProcessed = that._totalProcessed + 1;
+        that._totalInserted = that._totalInserted + 1;
+        that._emit(ScanEvent.FILE_INSERTED, { fingerprint: fingerprint, stats: stats });
+        return done();
+      });
+    });
+  }
+
+  // Update fingerprint if file was changed on disk. The fingerprint read from the storage is
+  // left untouched: delegates may return the stored objects themselves (and nothing must change
+  // in dry run)
+  var realFilename = file.realFilename || null;
+  var previous = file.previous;
+  if (!file.changed && (file.fingerprint.realFilename || null) !== realFilename) {
+    // The file did not change, but it's now reached through other symbolic links
+    var newFingerPrint = { uuid: file.fingerprint.uuid, longFilename: file.fingerprint.longFilename, realFilename: realFilename };
+    return that._updateFingerprint(newFingerPrint, function(err) {
+      if (err) return failed(err);
+      that._totalProcessed = that._totalProcessed + 1;
+      that._totalUpdated = that._totalUpdated + 1;
+      that._emit(ScanEvent.FILE_UPDATED, { fingerprint: extend({}, file.fingerprint, newFingerPrint), previous: previous, moved: false, stats: stats });
+      return done();
+    });
+  }
+  if (!file.changed) {
+    that._emit(ScanEvent.FILE_UNCHANGED, { fingerprint: file.fingerprint, stats: stats });
+    return done();
+  }
+  var updated = extend({}, file.fingerprint, {
+    realFilename:   realFilename,
+    mtime:          stats.mtime,
+    md5:            file.hashes ? file.hashes.md5 : null,
+    hashes:         file.hashes || {},
+    hashKind:       file.hashes ? HashKind.FULL : HashKind.QUICK,
+    quickHash:      file.quickHash || null,
+    inode:          stats.ino
+  });
+  return that._updateFingerprint(updated, function(err) {
+    if (err) return failed(err);
+    that._totalProcessed = that._totalProcessed + 1;
+    that._totalUpdated = that._totalUpdated + 1;
+    that._emit(ScanEvent.FILE_UPDATED, { fingerprint: updated, previous: previous, moved: false, stats: stats });
+    return done();
+  });
+}
+
+// Find the fingerprint of a new file which was moved or renamed: a fingerprint with the same content
+// (size and hash) whose file does not exist anymore, whether it's already marked as vanished or not.
+// If several fingerprints match, the one with the same inode is preferred.
+// If the original file still exists, the new file is a copy and gets its own fingerprint
+FingerprintsScanner.prototype._findMovedFingerprint = function(file, callback) {
+  var that = this;
+  var delegate = that._delegate;
+  if (that._scanOptions.detectMoves === false || !delegate.getFingerPrintsByHash) return callback();
+  var criteria = { size: file.stats.size };
+  if (file.hashes) criteria.md5 = file.hashes.md5;
+  else criteria.quickHash = file.quickHash;
+  return invoke(delegate, delegate.getFingerPrintsByHash, [criteria], function(err, fingerprints) {
+    if (err) return callback(err);
+    var sameInode = [];
+    var others = [];
+    (fingerprints || []).forEach(function(fingerprint) {
+      if (that._moved[fingerprint.uuid]) return;   // already matched with another file during this scan
+      if (fingerprint.longFilename === file.longFilename || fingerprint.size !== criteria.size) return;
+      if (criteria.md5 !== undefined && fingerprint.md5 !== criteria.md5) return;
+      if (criteria.quickHash !== undefined && fingerprint.quickHash !== criteria.quickHash) return;
+      if (fingerprint.inode !== undefined && fingerprint.inode === file.stats.ino) sameInode.push(fingerprint);
+      else others.push(fingerprint);
+    });
+    var candidates = sameInode.concat(others);
+    var next = function() {
+      var candidate = candidates.shift();
+      if (!candidate) return callback();
+      return fs.lstat(candidate.longFilename, function(err) {
+        if (err && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) return callback(null, candidate);
         if (err) return callback(err);
-        fingerprint.md5 = md5;
-        return that._updateFingerprint(fingerprint, function(err) {
-          if (err) return callback(err);
-          that._totalProcessed = that._totalProcessed + 1;
-          that._totalUpdated = that._totalUpdated + 1;
-          return that._processNext(callback);
-        });
+        return next();
       });
-    });
+    };
+    return next();
+  });
+}
+
+// Update the fingerprint of a moved or renamed file with its new location
+// The callback is passed the updated fingerprint (the fingerprint passed in is left untouched)
+FingerprintsScanner.prototype._moveFingerprint = function(fingerprint, file, callback) {
+  var that = this;
+  var stats = file.stats;
+  log.info({ from:fingerprint.longFilename, to:file.longFilename, uuid:fingerprint.uuid }, "Moving fingerprint");
+  that._moved[fingerprint.uuid] = true;
+  that._fingerprintsCache.remove(fingerprint.longFilename);
+  var newFingerPrint = {
+    uuid:           fingerprint.uuid,
+    shortFilename:  file.shortFilename,
+    longFilename:   file.longFilename,
+    mtime:          stats.mtime,
+    inode:          stats.ino,
+    realFilename:   file.realFilename || null,
+    vanishedAt:     null
+  };
+  return that._writer.update(newFingerPrint, function(err) {
+    if (err) return callback(err);
+    return callback(null, extend({}, fingerprint, newFingerPrint));
   });
 }
 
 FingerprintsScanner.prototype._createFingerprint = function(fingerprint, callback) {
   var that = this;
   log.info({ fingerprint:fingerprint.longFilename}, "Creating fingerprint");
-  return that._delegate.insertFingerprint(fingerprint, function storeFingerprint_result(err) {
+  return that._writer.insert(fingerprint, function storeFingerprint_result(err) {
     return callback(err);
   });
 }
 FingerprintsScanner.prototype._updateFingerprint = function(fingerprint, callback) {
   var that = this;
   log.info({ longFilename:fingerprint.longFilename, uuid:fingerprint.uuid}, "Updating fingerprint");
-  return that._delegate.updateFingerprint(fingerprint, function storeFingerprint_result(err) {
+  return that._writer.update(fingerprint, function storeFingerprint_result(err) {
     return callback(err);
   });
 }
@@ -786,17 +3659,24 @@ FingerprintsScanner.prototype._updateFingerprint = function(fingerprint, callbac
 /**
  * Create the reverse scanner
  * @param {StorageDelegate} delegate - is the storage delegate (ie the database storage interface)
+ * @param {EventEmitter} events - is the emitter of the scan events (see ScanEvent)
  * @param {FilesScope | DirectoryScope } - the scan scope (ie the subset of the file system to scan)
+ * @param {Checkpoint} checkpoint - optional. Used to periodically save the scan state, and to resume a scan
  */
-function ReverseScanner(delegate, progressDelegate, scope, scanOptions) {
+function ReverseScanner(delegate, events, scope, scanOptions, checkpoint) {
   this._delegate = delegate;
-  this._progressDelegate = progressDelegate;
+  this._events = events || new EventEmitter();
   this._scope = scope;
   this._scanOptions = scanOptions;
+  this._checkpoint = checkpoint || new Checkpoint();
   this._totalScanned = 0;
   this._totalProcessed = 0;
   this._totalErrors = 0;
+  this._totalCorrupted = 0;         // fingerprints whose file content does not match (see VerifyHandler)
+  this._errorList = [];             // errors of the handlers (see getErrorEntry)
   this._currentFileIsError = false;
+  this._aborted = false;
+  this._writer = new BatchWriter(delegate, scanOptions, this._writeSkipped.bind(this));
 }
 
 /**
@@ -807,6 +3687,52 @@ ReverseScanner.prototype.getStorageDelegate = function() {
   return this._delegate;
 }
 
+/**
+ * Get the batch writer, which handlers can use to update fingerprints in batches (see BatchWriter).
+ * Queued updates are written before checkpoints are saved, and at the end of the reverse scan
+ * @return {BatchWriter} the writer
+ */
+ReverseScanner.prototype.getBatchWriter = function() {
+  return this._writer;
+}
+
+/**
+ * Get the scope of the scan
+ * @return the scope
+ */
+ReverseScanner.prototype.getScope = function() {
+  return this._scope;
+}
+
+/**
+ * Checks if the scan is a dry run (scanOptions.dryRun), in which case handlers should not write anything.
+ * Updates made through the batch writer are skipped
+ * @return {boolean} true for a dry run
+ */
+ReverseScanner.prototype.isDryRun = function() {
+  return !!this._scanOptions.dryRun;
+}
+
+/**
+ * Count a fingerprint whose file content does not match its hashes. Used by the VerifyHandler, corrupted
+ * files are reported in the "corrupted" counter of the reverse scan rather than as errors
+ */
+ReverseScanner.prototype.countCorrupted = function() {
+  this._totalCorrupted = this._totalCorrupted + 1;
+}
+
+/**
+ * Emit a scan event (see ScanEvent). Handlers can use it to emit their own events. The current
+ * counters of the reverse scan are added to the event
+ * @param {string} name - is the event name
+ * @param event - is the event object
+ */
+ReverseScanner.prototype.emit = function(name, event) {
+  if (this._events.listenerCount(name) === 0) return;
+  event.counters = extend(this._getCounters(), { fingerprints: this._totalFingerprints });
+  this._events.emit(name, event);
+}
+
 ReverseScanner.prototype._getProgressPrefix = function() {
   if (this._percentage === null || this._percentage === undefined) return "";
   var percent = Math.floor(this._percentage*1000) / 10;
@@ -816,50 +3742,110 @@ ReverseScanner.prototype._getProgressPrefix = function() {
 /**
  * Run the scanner
  * @param {ReverseScanHandler[]} handlers - a list of handlers through which each fingerprint will be processed
+ * @param callback - is the return function. If omitted, a promise is returned
  * @return a litteral object with scan statistics (number of fingerprints scanned, processed and failed)
  */
 ReverseScanner.prototype.scan = function(handlers, callback) {
   var that = this;
+  if (!callback) return promised(that, that.scan, [handlers]);
+  var saved = that._checkpoint.get("reverse");
+  var savedStats = (saved && saved.stats) || {};
   that._totalFingerprints = 0;
-  that._totalScanned = 0;
-  that._totalProcessed = 0;
-  that._totalErrors = 0;
+  that._totalScanned = savedStats.scanned || 0;
+  that._totalProcessed = savedStats.processed || 0;
+  that._totalErrors = savedStats.errors || 0;
+  that._totalCorrupted = savedStats.corrupted || 0;
+  that._errorList = (savedStats.errorList || []).slice(0);
   that._percentage = 0;
-  that._progressDelegate.reverseScanStarted();
-  log.info({ scope:that._scope.getName() }, "Reverse scanning");
+  that._aborted = false;
+  that.emit(ScanEvent.REVERSE_STARTED, {});
+  log.info({ scope:that._scope.getName(), resume:!!saved }, "Reverse scanning");
 
   // Start scan
-  return that._scope.startReverseScan(that._delegate, function(err, count) {
+  var start = saved ? invoke.bind(undefined, that._scope, that._scope.restoreReverseScanState, [that._delegate, saved.state])
+                    : invoke.bind(undefined, that._scope, that._scope.startReverseScan, [that._delegate]);
+  return start(function(err, count) {
     if (err) return callback(err);
     that._totalFingerprints = count;
     return that._processNext(handlers, function(err) {
       that._logProgress(true);
       if (err) return callback(err);
-      that._progressDelegate.reverseScanEnded();
-      return callback(null, {
-        scanned: that._totalScanned,
-        processed: that._totalProcessed,
-        errors: that._totalErrors
+      var status = that._aborted ? ScanStatus.ABORTED : ScanStatus.COMPLETED;
+      var next = status === ScanStatus.ABORTED ? that._saveCheckpoint.bind(that) : that._writer.flush.bind(that._writer);
+      return next(function(err) {
+        if (err) return callback(err);
+        that.emit(ScanEvent.REVERSE_ENDED, { status: status });
+        return callback(null, {
+          scanned: that._totalScanned,
+          processed: that._totalProcessed,
+          errors: that._totalErrors,
+          corrupted: that._totalCorrupted,
+          errorList: that._errorList.slice(0),
+          status: status
+        });
       });
     });
   });
 }
 
+// A queued update could not be written, and was skipped (see BatchWriter). Updates made by handlers may
+// not have the file name, so the entry also has the fingerprint uuid
+ReverseScanner.prototype._writeSkipped = function(fingerprint, err) {
+  this._totalErrors = this._totalErrors + 1;
+  addErrorEntry(this._errorList, extend(getErrorEntry(fingerprint.longFilename || null, "reverse", err), { uuid: fingerprint.uuid }));
+}
+
+// Get the scanner counters, as passed to scan events
+ReverseScanner.prototype._getCounters = function() {
+  return {
+    scanned: this._totalScanned,
+    processed: this._totalProcessed,
+    errors: this._totalErrors,
+    corrupted: this._totalCorrupted
+  };
+}
+
+// Get the scanner counters and the error list, as saved in checkpoints
+ReverseScanner.prototype._getStats = function() {
+  return extend(this._getCounters(), { errorList: this._errorList.slice(0) });
+}
+
+// Save a checkpoint with the current scan state. Queued writes are flushed first
+ReverseScanner.prototype._saveCheckpoint = function(callback) {
+  var that = this;
+  return that._writer.flush(function(err) {
+    if (err) return callback(err);
+    return that._checkpoint.save("reverse", that._scope.getReverseScanState(), that._getStats(), callback);
+  });
+}
+
 // Log current progress
 // @param force   force logging the message. By default, logs every 1000 times
 ReverseScanner.prototype._logProgress = function(force) {
   var that = this;
-  that._progressDelegate.reverseScanProgress(that._totalFingerprints, that._totalScanned, that._totalProcessed, that._totalErrors);
+  that.emit(ScanEvent.REVERSE_PROGRESS, {});
   if (force || (that._totalScanned % 1000) === 0) {
     log.info({ fingerprints:that._totalFingerprints, scanned:that._totalScanned, processed:that._totalProcessed, errors:that._totalErrors, progress:that._getProgressPrefix() });
   }
 }
 
+// Checks if the scan was aborted (scanOptions.signal). Called between fingerprints and between handlers
+ReverseScanner.prototype._checkAborted = function() {
+  var signal = this._scanOptions.signal;
+  if (!this._aborted && signal && signal.aborted) {
+    log.info({ scope:this._scope.getName(), scanned:this._totalScanned }, "Reverse scan aborted");
+    this._aborted = true;
+  }
+  return this._aborted;
+}
+
 // Process next fingerprint
 ReverseScanner.prototype._processNext = function(handlers, callback) {
   var that = this;
   log.debug("Processing next file");
-  return that._scope.nextFingerprint(function(err, fingerprint, stats, isInScope, percentage) {
+  if (that._checkAborted()) return callback();
+  var keys = ['fingerprint', 'stats', 'isInScope', 'percentage'];
+  return invoke(that._scope, that._scope.nextFingerprint, [], keys, function(err, fingerprint, stats, isInScope, percentage) {
     that._currentFileIsError = false;
     if (percentage) that._percentage = percentage;
     if (err) return callback(err);
@@ -873,7 +3859,11 @@ ReverseScanner.prototype._processNext = function(handlers, callback) {
       if (err) { return callback(err); }
       if (failed) that._totalErrors = that._totalErrors  + 1;
       else if (processed) that._totalProcessed = that._totalProcessed + 1;
-      return that._processNext(handlers, callback);
+      if (!that._checkpoint.isDue()) return that._processNext(handlers, callback);
+      return that._saveCheckpoint(function(err) {
+        if (err) return callback(err);
+        return that._processNext(handlers, callback);
+      });
     });
   });
 }
@@ -882,13 +3872,16 @@ ReverseScanner.prototype._processNext = function(handlers, callback) {
 ReverseScanner.prototype._processNextHandler = function(handlers, fingerprint, stats, isInScope, processed, failed, callback) {
   var that = this;
   if (handlers.length === 0) return callback(null, processed, failed); // finished
+  if (that._checkAborted()) return callback(null, processed, failed);
   var handler = handlers.shift();
   log.debug({ fingerprint:fingerprint.longFilename, handler:handler.getName()}, "Processing fingerprint with handler");
-  return handler.processNext(fingerprint, stats, isInScope, that._scanOptions, function(err, wasProcessed) {
+  return invoke(handler, handler.processNext, [fingerprint, stats, isInScope, that._scanOptions], function(err, wasProcessed) {
     if (err) {
       log.error({ fingerprint:fingerprint.uuid, handler:handler.getName(), err:err, message:err.message, stack:err.stack }, "Failed to process fingerprint");
       failed = true;
       that._currentFileIsError = true;
+      addErrorEntry(that._errorList, extend(getErrorEntry(fingerprint.longFilename, "reverse", err), { handler: handler.getName() }));
+      that.emit(ScanEvent.HANDLER_ERROR, { fingerprint: fingerprint, stats: stats, handler: handler.getName(), err: err });
       return that._processNextHandler(handlers, fingerprint, stats, isInScope, processed, failed, callback);
     }
     log.debug({ processed:processed, wasProcessed:wasProcessed }, "Debug progress");
@@ -937,8 +3930,12 @@ VanishedFilesHandler.prototype.processNext = function(fingerprint, stats, isInSc
   var that = this;
   var isChanged = false;
 
-  // Check if file has vanished, and if so mark it
-  var vanished = !isInScope || stats===null || stats===undefined || stats.size===0;
+  // Check if file has vanished, and if so mark it. Files excluded by the built-in exclusion policy of
+  // the scope (for instance empty files) are considered vanished. Scopes without exclusion policy only
+  // exclude empty files
+  var scope = that._reverseScanner.getScope();
+  var policy = scope.getExclusionPolicy ? scope.getExclusionPolicy(fingerprint.longFilename) : { emptyFiles: true };
+  var vanished = !isInScope || stats===null || stats===undefined || !!getPolicyExclusion(policy, fingerprint.shortFilename, stats);
   var wasVanished = fingerprint.vanishedAt !== null && fingerprint.vanishedAt !== undefined;
   var newFingerPrint = { uuid: fingerprint.uuid };
   var reasons = [];
@@ -959,8 +3956,10 @@ VanishedFilesHandler.prototype.processNext = function(fingerprint, stats, isInSc
   if (!isChanged) return callback(null, false);
   log.info({ fingerprint:fingerprint.longFilename, newFingerPrint:newFingerPrint, reasons:reasons }, "Updating fingerprint");
   log.debug({ fingerprint:fingerprint.longFilename, newFingerPrint:newFingerPrint, reasons:reasons }, "Vanished handler processing next file");
-  return that._reverseScanner.getStorageDelegate().updateFingerprint(newFingerPrint, function(err) {
+  return that._reverseScanner.getBatchWriter().update(newFingerPrint, function(err) {
     if (err) return callback(err);
+    var event = { fingerprint: extend({}, fingerprint, newFingerPrint), stats: stats || null };
+    that._reverseScanner.emit(vanished ? ScanEvent.FINGERPRINT_VANISHED : ScanEvent.FINGERPRINT_REAPPEARED, event);
     return callback(null, true);
   });
 
@@ -971,6 +3970,374 @@ VanishedFilesHandler.prototype.processNext = function(fingerprint, stats, isInSc
 
 
 
+/** ================================================================================
+  * FullHash handler
+  *
+  * This is a reverse-scanner handler which computes the full hashes of files for
+  * which only a quick hash was computed during the forward scan
+  * ================================================================================ */
+
+/**
+ * Creates the handler. Keep a reference to the (reverse) scanner that will use this handler
+ * @param {ReverseScanner} reverseScanner - the scanner
+ */
+function FullHashHandler(reverseScanner) {
+  this._reverseScanner = reverseScanner;
+}
+
+/**
+ * Handlers are given a name for logging purposes
+ * @return {string} the handler name
+ */
+FullHashHandler.prototype.getName = function() { return "FullHashHandler"; };
+
+/**
+ * Process next fingerprint. Computes the full hashes if the fingerprint only has a quick hash,
+ * and the file is still there and did not change since the forward scan.
+ *
+ * @param {Fingerprint} fingerprint - is the fingerprint to process
+ * @param stats - is the corresponding information of the file on the file system.
+ * @param {boolean} isInScope - is a boolean indicating if the file is within the scope
+ * @param scanOptions - is the scan options (as passed to the scan function)
+ * @return {boolean} indicating the the handler processed the file or not. Used to compute scan statistics
+ */
+FullHashHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+  var that = this;
+  if (fingerprint.hashKind !== HashKind.QUICK) return callback(null, false);
+  if (!isInScope || stats===null || stats===undefined) return callback(null, false);
+  if (stats.size !== fingerprint.size || stats.mtime > fingerprint.mtime) return callback(null, false);
+  if (that._reverseScanner.isDryRun()) return callback(null, false);
+  return computeFullHash(that._reverseScanner.getStorageDelegate(), fingerprint, scanOptions, function(err) {
+    if (err) return callback(err);
+    return callback(null, true);
+  });
+}
+
+
+
+
+
+/** ================================================================================
+  * Verify handler
+  *
+  * This is a reverse-scanner handler which detects silent corruption (bit rot, tools
+  * rewriting files without changing their modification time...). Files which did not
+  * change since their fingerprint was computed are hashed again, and the result compared
+  * with the stored hashes. Mismatches are reported, but the stored hashes are kept. The
+  * date of the verification is stored in the fingerprint verifiedAt attribute.
+  *
+  * Verifying a large library takes time: a fraction of the fingerprints can be verified
+  * per run (scanOptions.verify), so that a full verification is spread over several runs
+  * ================================================================================ */
+
+// Get the slice of a fingerprint (a number between 0 and slices-1), computed from its uuid, or from its
+// long file name for storages which do not use uuids
+function getVerifySlice(fingerprint, slices) {
+  var key = (fingerprint.uuid === undefined || fingerprint.uuid === null) ? fingerprint.longFilename : String(fingerprint.uuid);
+  var hash = 0;
+  for (var i=0; i<key.length; i++) hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+  return hash % slices;
+}
+
+/**
+ * Creates the handler. Keep a reference to the (reverse) scanner that will use this handler
+ * @param {ReverseScanner} reverseScanner - the scanner
+ * @param scanOptions - is the scan options. scanOptions.verify holds the verification options
+ *                    - fraction: the fraction of the fingerprints to verify per run (default 1, ie all). It must be 1/N
+ *                      (1/2, 1/7, 1/30...): fingerprints are split in N slices (by uuid), and each run verifies one slice.
+ *                      Other fractions are rounded to the nearest 1/N
+ *                    - run: the run number, which selects the slice to verify (run modulo the number of slices).
+ *                      Defaults to the number of days since 1970, so that daily runs verify a different slice every day
+ */
+function VerifyHandler(reverseScanner, scanOptions) {
+  var options = (scanOptions && scanOptions.verify) || {};
+  var run = options.run === undefined ? Math.floor(Date.now() / 86400000) : options.run;
+  var slices = 1 / (options.fraction || 1);
+  this._reverseScanner = reverseScanner;
+  this._slices = Math.max(1, Math.round(slices));
+  this._slice = run % this._slices;
+  if (Math.abs(slices - this._slices) > 1e-6)
+    log.info({ fraction:options.fraction, slices:this._slices }, "Verify fraction is not 1/N, rounded to 1/" + this._slices);
+}
+
+/**
+ * Handlers are given a name for logging purposes
+ * @return {string} the handler name
+ */
+VerifyHandler.prototype.getName = function() { return "VerifyHandler"; };
+
+/**
+ * Process next fingerprint. Hashes the file again if it did not change since the forward scan, and its
+ * fingerprint has full hashes and belongs to the slice of this run. A mismatch is not an error of the handler:
+ * it's counted in the "corrupted" counter of the reverse scan, and reported by a "fingerprint:corrupted" event
+ * {fingerprint, stats, expected, actual, counters}, where expected and actual are the mismatching hashes, by
+ * algorithm name
+ *
+ * @param {Fingerprint} fingerprint - is the fingerprint to process
+ * @param stats - is the corresponding information of the file on the file system.
+ * @param {boolean} isInScope - is a boolean indicating if the file is within the scope
+ * @param scanOptions - is the scan options (as passed to the scan function)
+ * @return {boolean} indicating the the handler processed the file or not. Used to compute scan statistics
+ */
+VerifyHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+  var that = this;
+  if (fingerprint.hashKind === HashKind.QUICK || !fingerprint.md5) return callback(null, false);
+  if (!isInScope || stats===null || stats===undefined) return callback(null, false);
+  if (stats.size !== fingerprint.size || stats.mtime > fingerprint.mtime) return callback(null, false);
+  if (getVerifySlice(fingerprint, that._slices) !== that._slice) return callback(null, false);
+
+  // Verify all the stored hashes which can still be computed
+  var expected = extend({}, fingerprint.hashes, { md5: fingerprint.md5 });
+  var registered = hashes.getHashNames();
+  var names = Object.keys(expected).filter(function(name) { return registered.indexOf(name) !== -1; });
+  log.debug({ longFilename:fingerprint.longFilename, hashes:names }, "Verifying fingerprint");
+  return hashes.hashFile(fingerprint.longFilename, names, function(err, actual) {
+    if (err) return callback(err);
+    var mismatches = names.filter(function(name) { return actual[name] !== expected[name]; });
+    var newFingerPrint = { uuid: fingerprint.uuid, verifiedAt: that._reverseScanner.getStorageDelegate().getVanishedAt() };
+    return that._reverseScanner.getBatchWriter().update(newFingerPrint, function(err) {
+      if (err) return callback(err);
+      if (mismatches.length === 0) return callback(null, true);
+      log.info({ longFilename:fingerprint.longFilename, uuid:fingerprint.uuid, hashes:mismatches }, "File content does not match its fingerprint");
+      var event = { fingerprint: extend({}, fingerprint, newFingerPrint), stats: stats, expected: {}, actual: {} };
+      mismatches.forEach(function(name) {
+        event.expected[name] = expected[name];
+        event.actual[name] = actual[name];
+      });
+      that._reverseScanner.countCorrupted();
+      that._reverseScanner.emit(ScanEvent.FINGERPRINT_CORRUPTED, event);
+      return callback(null, true);
+    });
+  });
+}
+
+
+
+
+/** ================================================================================
+  * Duplicates
+  *
+  * Finds the files of a scope which have the same content (md5 and size), using the
+  * fingerprints of the storage delegate. In each group of duplicates, a "keeper" is
+  * selected: the file to keep, the other ones being the duplicates which waste space.
+  * ================================================================================ */
+
+// Get a fingerprint mtime as a number, whatever the storage representation
+function getTime(mtime) {
+  return new Date(mtime).getTime();
+}
+
+/**
+ * Builtin keeper strategies. A keeper strategy is a function which takes a list of fingerprints
+ * (of identical files) and returns the fingerprint of the file to keep
+ */
+const Keepers = {
+  // Keep the oldest file (by mtime). In case of equality, keep the first one in alphabetical order
+  oldest: function(fingerprints) {
+    return fingerprints.reduce(function(keeper, fingerprint) {
+      var delta = getTime(fingerprint.mtime) - getTime(keeper.mtime);
+      if (delta < 0 || (delta === 0 && fingerprint.longFilename < keeper.longFilename)) return fingerprint;
+      return keeper;
+    });
+  },
+  // Keep the file with the shortest path. In case of equality, keep the first one in alphabetical order
+  shortestPath: function(fingerprints) {
+    return fingerprints.reduce(function(keeper, fingerprint) {
+      var delta = fingerprint.longFilename.length - keeper.longFilename.length;
+      if (delta < 0 || (delta === 0 && fingerprint.longFilename < keeper.longFilename)) return fingerprint;
+      return keeper;
+    });
+  },
+  /**
+   * Creates a strategy which keeps a file from preferred folders
+   * @param {string[]} folders - is the list of preferred folders, by order of preference
+   * @param {function} fallback - is the strategy used to select a file among the files of the preferred
+   *                              folder, or among all files if none is in a preferred folder. Defaults to oldest
+   */
+  preferredFolder: function(folders, fallback) {
+    fallback = fallback || Keepers.oldest;
+    return function(fingerprints) {
+      for (var i=0; i<folders.length; i++) {
+        var folder = utils.endsWith(folders[i], '/') ? folders[i] : folders[i] + '/';
+        var preferred = fingerprints.filter(function(fingerprint) { return utils.startsWith(fingerprint.longFilename, folder); });
+        if (preferred.length > 0) return fallback(preferred);
+      }
+      return fallback(fingerprints);
+    };
+  }
+};
+
+/**
+ * The result of findDuplicates
+ *
+ * @param scope - is the scope in which duplicates were searched
+ * @param groups - is the list of groups of duplicates {md5, size, wasted, keeper, duplicates}, by decreasing wasted size
+ */
+function DuplicatesReport(scope, groups) {
+  this.scope = scope.getName();
+  this.groups = groups;
+  this.totalGroups = groups.length;
+  this.totalDuplicates = groups.reduce(function(total, group) { return total + group.duplicates.length; }, 0);
+  this.totalWasted = groups.reduce(function(total, group) { return total + group.wasted; }, 0);
+}
+
+/**
+ * Export the report as a JSON-serializable object (used by JSON.stringify)
+ */
+DuplicatesReport.prototype.toJSON = function() {
+  function file(fingerprint) {
+    return { uuid: fingerprint.uuid, longFilename: fingerprint.longFilename, mtime: fingerprint.mtime };
+  }
+  return {
+    scope: this.scope,
+    totalGroups: this.totalGroups,
+    totalDuplicates: this.totalDuplicates,
+    totalWasted: this.totalWasted,
+    groups: this.groups.map(function(group) {
+      return {
+        md5: group.md5,
+        size: group.size,
+        wasted: group.wasted,
+        keeper: file(group.keeper),
+        duplicates: group.duplicates.map(file)
+      };
+    })
+  };
+}
+
+/**
+ * Find duplicate files within a scope
+ *
+ * @param {StorageDelegate} storageDelegate - is the storage delegate. If it implements getDuplicateFingerPrints, the
+ *                                            grouping is done by the storage. Otherwise, all the fingerprints of the
+ *                                            scope are read
+ * @param {FilesScope | DirectoryScope } scope - is the scope. Only existing files of the scope are considered
+ * @param options - is the duplicates options
+ *                    - keeper: the keeper strategy. Either the name of a builtin strategy ("oldest", which is the
+ *                      default, or "shortestPath"), or a function (see Keepers)
+ * @param callback - is the return function
+ *                      err               is the error object/message
+ *                      report            is the DuplicatesReport
+ *                    If omitted, a promise is returned, which resolves to the report
+ */
+function findDuplicates(storageDelegate, scope, options, callback) {
+  if (!callback) return promised(undefined, findDuplicates, [storageDelegate, scope, options]);
+  options = options || {};
+  var keeper = options.keeper || "oldest";
+  if (typeof keeper === 'string') {
+    if (!Keepers[keeper] || keeper === "preferredFolder") return callback(new Exception({ keeper:keeper }, "Unknown keeper strategy"));
+    keeper = Keepers[keeper];
+  }
+  log.debug({ scope:scope.getName() }, "Scanner.findDuplicates");
+
+  var folders = scope.getFolders ? scope.getFolders() : [];
+  var find = storageDelegate.getDuplicateFingerPrints && folders.length > 0 ? findStoredDuplicates.bind(undefined, folders) : findScopeDuplicates;
+  return find(storageDelegate, scope, function(err, groups) {
+    if (err) return callback(err);
+    groups = groups.filter(function(fingerprints) { return fingerprints.length > 1; }).map(function(fingerprints) {
+      var kept = keeper(fingerprints);
+      var size = kept.size;
+      return {
+        md5: kept.md5,
+        size: size,
+        wasted: size * (fingerprints.length - 1),
+        keeper: kept,
+        duplicates: fingerprints.filter(function(fingerprint) { return fingerprint !== kept; }).sort(function(a, b) {
+          return a.longFilename < b.longFilename ? -1 : 1;
+        })
+      };
+    });
+    groups.sort(function(a, b) { return (b.wasted - a.wasted) || (a.keeper.longFilename < b.keeper.longFilename ? -1 : 1); });
+    return callback(null, new DuplicatesReport(scope, groups));
+  });
+}
+
+// Get the groups of duplicates from the storage delegate, for each scope folder, and only keep the existing files within
+// the scope, as the reverse-scan does
+function findStoredDuplicates(folders, storageDelegate, scope, callback) {
+  folders = folders.slice(0);
+  var groups = [];
+  var nextFolder = function() {
+    if (folders.length === 0) return callback(null, groups);
+    var folder = folders.shift();
+    return invoke(storageDelegate, storageDelegate.getDuplicateFingerPrints, [folder], function(err, folderGroups) {
+      if (err) return callback(err);
+      folderGroups = (folderGroups || []).slice(0);
+      var nextGroup = function() {
+        if (folderGroups.length === 0) return nextFolder();
+        var fingerprints = folderGroups.shift().slice(0);
+        var group = [];
+        var nextFingerprint = function() {
+          if (fingerprints.length === 0) {
+            groups.push(group);
+            return nextGroup();
+          }
+          var fingerprint = fingerprints.shift();
+          var vanished = fingerprint.vanishedAt !== null && fingerprint.vanishedAt !== undefined;
+          if (vanished || !fingerprint.md5) return nextFingerprint();
+          return statScopeFile(scope, fingerprint.longFilename, function(err, stats) {
+            if (err) return callback(err);
+            if (!stats) return nextFingerprint();
+            return isFileInScopeOf(scope, fingerprint.longFilename, stats, function(err, isInScope) {
+              if (err) return callback(err);
+              if (isInScope) group.push(fingerprint);
+              return nextFingerprint();
+            });
+          });
+        };
+        return nextFingerprint();
+      };
+      return nextGroup();
+    });
+  };
+  return nextFolder();
+}
+
+// Get the metadata of a file, following symbolic links or not, depending on the exclusion policy of the scope
+// @return                  stats is null if the file does not exist
+function statScopeFile(scope, longFilename, callback) {
+  var policy = scope.getExclusionPolicy ? scope.getExclusionPolicy(longFilename) : DEFAULT_EXCLUSION_POLICY;
+  var stat = policy.symlinks ? fs.lstat : fs.stat;
+  return stat(longFilename, function(err, stats) {
+    if (err) {
+      if (err.code && (err.code === 'EACCES' || err.code === 'ENOENT' || err.code === 'ELOOP' || err.code === 'ENOTDIR')) return callback(null, null);
+      return callback(err);
+    }
+    return callback(null, stats);
+  });
+}
+
+// Get the groups of duplicates by reading all the fingerprints of the scope
+function findScopeDuplicates(storageDelegate, scope, callback) {
+  var groups = new LinkedHashMap();
+  return invoke(scope, scope.startReverseScan, [storageDelegate], function(err) {
+    if (err) return callback(err);
+    var next = function() {
+      return invoke(scope, scope.nextFingerprint, [], ['fingerprint', 'stats', 'isInScope'], function(err, fingerprint, stats, isInScope) {
+        if (err) return callback(err);
+        if (!fingerprint) {
+          var result = [];
+          groups.each(function(key, group) { result.push(group); }, this);
+          return callback(null, result);
+        }
+        var vanished = fingerprint.vanishedAt !== null && fingerprint.vanishedAt !== undefined;
+        if (isInScope && stats && !vanished && fingerprint.md5) {
+          var key = fingerprint.md5 + ":" + fingerprint.size;
+          var group = groups.get(key);
+          if (!group) groups.add(key, group = []);
+          group.push(fingerprint);
+        }
+        return next();
+      });
+    };
+    return next();
+  });
+}
+
+
+
+
+
 /** ================================================================================
   * Scan collection
   * ================================================================================ */
@@ -981,63 +4348,312 @@ VanishedFilesHandler.prototype.processNext = function(fingerprint, stats, isInSc
  * @param {FilesScope | DirectoryScope } - the scan scope (ie the subset of the file system to scan)
  * @param {ReverseScanHandler[]} handlers - a list of handlers through which each fingerprint will be processed
  * @param scanOptions - additional options for the scanner
+ *                    - force: rescan files even if they did not change since the last scan
+ *                    - signal: an AbortSignal to interrupt the scan. The scan stops between two files
+ *                      (or two handlers), and returns the statistics gathered so far with an "aborted" status
+ *                    - checkpointStore: a CheckpointStore in which the scan state is periodically saved
+ *                    - checkpointInterval: the number of files/fingerprints between two checkpoints (default 1000)
+ *                    - checkpointKey: the key of the checkpoints in the store (default is the scope name). Scans of
+ *                      scopes with the same name but different filters must use different keys
+ *                    - resume: resume the scan from the last saved checkpoint, if any
+ *                    - concurrency: the number of files hashed in parallel during the forward scan (default 1)
+ *                    - hashWorkers: compute hashes in worker threads instead of the main thread
+ *                    - hashes: the list of hash algorithms to compute, in addition to md5 (ex: ['sha256', 'fnv1a64'])
+ *                    - quickHash: only compute a quick hash for large files (true, or {minSize, blockSize}).
+ *                      Full hashes can be computed later with the FullHashHandler or computeFullHash
+ *                    - detectMoves: set to false to insert moved or renamed files as new fingerprints, instead
+ *                      of updating the fingerprint of the original file (requires StorageDelegate.getFingerPrintsByHash)
+ *                    - events: an EventEmitter on which the scan events are emitted (see ScanEvent)
+ *                    - errorPolicy: what to do when a file fails during the forward scan (see ErrorPolicy): fail the
+ *                      scan ("failFast", default), skip the file ("skip"), or retry it first ({retries, backoff})
+ *                    - dryRun: do not write to the storage delegate, and return the changes which would have been
+ *                      made instead (cumulatedStats.changes, see ChangeSet). Checkpoints are not used
  *
  * @param callback    Is the return function
  *                      err               is the error object/message
  *                      stats             is the scanner results
+ *                    If omitted, a promise is returned, which resolves to the scanner results
  *
  */
 function scan(storageDelegate, progressDelegate, scope, handlers, scanOptions, callback) {
   var that = this;
+  if (!callback) return promised(that, scan, [storageDelegate, progressDelegate, scope, handlers, scanOptions]);
+  scanOptions = scanOptions || {};
   log.debug({ scope:scope.getName()}, "Scanner.scan");
-  progressDelegate.scanStarted(scope, handlers, scanOptions);
+
+  // The progress delegate is notified through the scan events, until the scan ends
+  var events = scanOptions.events || new EventEmitter();
+  var detach = adaptProgressDelegate(events, progressDelegate);
+  var changeSet = scanOptions.dryRun ? new ChangeSet() : undefined;
+  var stopRecording = changeSet ? changeSet.listen(events) : function() {};
+  var done = callback;
+  callback = function(err, result) {
+    if (err) events.emit(ScanEvent.SCAN_ENDED, { status: ScanStatus.FAILED, err: err, counters: cumulatedStats });
+    detach();
+    stopRecording();
+    if (result && changeSet) result.changes = changeSet.toJSON();
+    return done(err, result);
+  };
 
   var cumulatedStats = {
-    forward: { scanned: 0, processed: 0, errors: 0 },
-    reverse: { scanned: 0, processed: 0, errors: 0 }
+    forward: { scanned: 0, processed: 0, errors: 0, moved: 0, excluded: {} },
+    reverse: { scanned: 0, processed: 0, errors: 0, corrupted: 0 },
+    errorList: [],
+    status: ScanStatus.COMPLETED
   };
+  events.emit(ScanEvent.SCAN_STARTED, { scope: scope, handlers: handlers, scanOptions: scanOptions, counters: cumulatedStats });
 
-  var scanner = new FingerprintsScanner(storageDelegate, progressDelegate, scope, scanOptions);
-  return scanner.scan(function(err, stats) {
+  // A dry run must not resume, save or clear the checkpoints of actual scans
+  var checkpointStore = scanOptions.dryRun ? undefined : scanOptions.checkpointStore;
+  var checkpointKey = scanOptions.checkpointKey || scope.getName();
+  var checkpoint = new Checkpoint(checkpointStore, checkpointKey, scanOptions.checkpointInterval);
+  var load = scanOptions.resume ? checkpoint.load.bind(checkpoint) : function(callback) { return callback(); };
+  return load(function(err) {
     if (err) return callback(err);
 
-    var fstats = cumulatedStats.forward;
-    fstats.scanned = fstats.scanned + stats.scanned;
-    fstats.processed = fstats.processed + stats.processed;
-    fstats.errors = fstats.errors + stats.errors;
+    // When resuming in the reverse phase, the forward scan is already complete
+    var forwardScan = function(callback) {
+      if (checkpoint.getPhase() === "reverse") {
+        var stats = checkpoint.get("forward").stats;
+        return callback(null, extend({}, stats, { status: ScanStatus.COMPLETED }));
+      }
+      var scanner = new FingerprintsScanner(storageDelegate, events, scope, scanOptions, checkpoint);
+      return scanner.scan(callback);
+    };
+
+    return forwardScan(function(err, stats) {
+      if (err) return callback(err);
 
-    scanner = new ReverseScanner(storageDelegate, progressDelegate, scope, scanOptions);
-    handlers = [VanishedFilesHandler].concat(handlers);
+      var fstats = cumulatedStats.forward;
+      fstats.scanned = fstats.scanned + stats.scanned;
+      fstats.processed = fstats.processed + stats.processed;
+      fstats.errors = fstats.errors + stats.errors;
+      fstats.moved = fstats.moved + (stats.moved || 0);
+      fstats.excluded = sumExclusions([fstats.excluded, stats.excluded]);
+      cumulatedStats.errorList = cumulatedStats.errorList.concat(stats.errorList || []);
 
-    // Create handlers
-    var instanciatedHandlers = [];
-    for (var i=0; i<handlers.length; i++) {
-      var handler = handlers[i];
-      handler = new handler(scanner, scanOptions);
-      instanciatedHandlers.push(handler);
-    }
+      // Do not start the reverse scan if the forward scan was interrupted
+      if (stats.status === ScanStatus.ABORTED) {
+        cumulatedStats.status = ScanStatus.ABORTED;
+        events.emit(ScanEvent.SCAN_ENDED, { status: cumulatedStats.status, counters: cumulatedStats });
+        return callback(null, cumulatedStats);
+      }
 
-    return scanner.scan(instanciatedHandlers, function(err, stats) {
-      if (err) return callback(err);
-      var rstats = cumulatedStats.reverse;
-      rstats.scanned = rstats.scanned + stats.scanned;
-      rstats.processed = rstats.processed + stats.processed;
-      rstats.errors = rstats.errors + stats.errors;
+      var scanner = new ReverseScanner(storageDelegate, events, scope, scanOptions, checkpoint);
+      handlers = [VanishedFilesHandler].concat(handlers);
+
+      // Create handlers
+      var instanciatedHandlers = [];
+      for (var i=0; i<handlers.length; i++) {
+        var handler = handlers[i];
+        handler = new handler(scanner, scanOptions);
+        instanciatedHandlers.push(handler);
+      }
+
+      return scanner.scan(instanciatedHandlers, function(err, stats) {
+        if (err) return callback(err);
+        var rstats = cumulatedStats.reverse;
+        rstats.scanned = rstats.scanned + stats.scanned;
+        rstats.processed = rstats.processed + stats.processed;
+        rstats.errors = rstats.errors + stats.errors;
+        rstats.corrupted = rstats.corrupted + stats.corrupted;
+        cumulatedStats.errorList = cumulatedStats.errorList.concat(stats.errorList);
+
+        cumulatedStats.status = stats.status;
+        var next = stats.status === ScanStatus.COMPLETED ? checkpoint.clear.bind(checkpoint) : function(callback) { return callback(); };
+        return next(function(err) {
+          if (err) return callback(err);
+          events.emit(ScanEvent.SCAN_ENDED, { status: cumulatedStats.status, counters: cumulatedStats });
+          return callback(null, cumulatedStats);
+        });
+      });
 
-      progressDelegate.scanEnded();
-      return callback(null, cumulatedStats);
     });
+  });
+}
+
+
+/** ================================================================================
+  * Watch mode
+  *
+  * Keeps the fingerprints of a scope up to date by watching its folders for changes.
+  * Changed paths are scanned as they are reported (see ChangesScope), and a full scan
+  * is run periodically, because file system notifications may be lost (overflows,
+  * network file systems, changes made while the watcher was not running...).
+  * Scans never run concurrently: changes reported during a scan are scanned afterwards.
+  * ================================================================================ */
+
+/**
+ * Creates a watcher. Use the watch function instead
+ * @fires Watcher#scanned     after each scan, with {kind, paths, stats}, where kind is "full" or "changes", paths is
+ *                            the list of changed paths (for "changes" scans), and stats are the scan results
+ * @fires Watcher#error       when a scan fails. Errors are only logged if there's no listener
+ */
+function Watcher(storageDelegate, progressDelegate, scope, handlers, scanOptions, watchOptions) {
+  EventEmitter.call(this);
+  this._storageDelegate = storageDelegate;
+  this._progressDelegate = progressDelegate;
+  this._scope = scope;
+  this._handlers = handlers;
+  this._scanOptions = scanOptions;
+  // Changes are scanned without checkpoints: they are scanned again by the next full scan if interrupted
+  this._changesScanOptions = extend({}, scanOptions, { checkpointStore: undefined, resume: false });
+  this._fullScanInterval = watchOptions.fullScanInterval === undefined ? 3600000 : watchOptions.fullScanInterval;
+  this._folderWatcher = new FolderWatcher(scope.getWatchedFolders(), watchOptions, this._changed.bind(this));
+  this._pending = {};               // changed paths, not scanned yet
+  this._fullScanDue = watchOptions.initialScan !== false;
+  this._fullScanTimer = undefined;
+  this._running = false;            // a scan is running
+  this._closed = false;
+  this._onIdle = [];                // callbacks waiting for the running scan to end
+}
+util.inherits(Watcher, EventEmitter);
+
+/**
+ * Start watching, and run the initial full scan
+ * @param callback        is called once the folders are watched
+ */
+Watcher.prototype.start = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.start, []);
+  return that._folderWatcher.start(function() {
+    if (!that._fullScanDue) that._scheduleFullScan();
+    that._next();
+    return callback();
+  });
+}
+
+/**
+ * Stop watching. Pending changes are not scanned, but the running scan, if any, completes
+ * @param callback        is called once the running scan is over
+ */
+Watcher.prototype.close = function(callback) {
+  var that = this;
+  if (!callback) return promised(that, that.close, []);
+  that._closed = true;
+  that._folderWatcher.close();
+  if (that._fullScanTimer) clearTimeout(that._fullScanTimer);
+  that._fullScanTimer = undefined;
+  that._pending = {};
+  if (!that._running) return callback();
+  that._onIdle.push(callback);
+}
+
+// Changes were reported by the folder watcher
+Watcher.prototype._changed = function(paths) {
+  var that = this;
+  paths.forEach(function(path) { that._pending[path] = true; });
+  return that._next();
+}
+
+// Schedule the next periodic full scan
+Watcher.prototype._scheduleFullScan = function() {
+  var that = this;
+  if (that._closed || !that._fullScanInterval) return;
+  that._fullScanTimer = setTimeout(function() {
+    that._fullScanTimer = undefined;
+    that._fullScanDue = true;
+    return that._next();
+  }, that._fullScanInterval);
+}
+
+// Run the next scan, if any, unless a scan is already running
+Watcher.prototype._next = function() {
+  var that = this;
+  if (that._running || that._closed) return;
+  var kind, paths, run;
+  if (that._fullScanDue) {
+    // The full scan covers the changes reported so far
+    kind = "full";
+    that._fullScanDue = false;
+    that._pending = {};
+    run = scan.bind(undefined, that._storageDelegate, that._progressDelegate, that._scope, that._handlers, that._scanOptions);
+  }
+  else {
+    paths = Object.keys(that._pending).sort();
+    if (paths.length === 0) return;
+    kind = "changes";
+    that._pending = {};
+    var scope = new ChangesScope(that._scope, paths);
+    run = scan.bind(undefined, that._storageDelegate, that._progressDelegate, scope, that._handlers, that._changesScanOptions);
+  }
+  log.debug({ scope:that._scope.getName(), kind:kind, count:paths ? paths.length : undefined }, "Watcher scanning");
+  that._running = true;
+  return run(function(err, stats) {
+    that._running = false;
+    if (kind === "full") that._scheduleFullScan();
+    if (err) {
+      log.info({ scope:that._scope.getName(), kind:kind, err:err }, "Watcher scan failed");
+      if (that.listenerCount('error') > 0) that.emit('error', err);
+    }
+    else {
+      that.emit('scanned', { kind: kind, paths: paths, stats: stats });
+    }
+    var onIdle = that._onIdle;
+    that._onIdle = [];
+    onIdle.forEach(function(callback) { callback(); });
+    return that._next();
+  });
+}
 
+/**
+ * Watch a scope, and keep its fingerprints up to date
+ *
+ * @param {StorageDelegate} storageDelegate - is the storage storageDelegate (ie the database storage interface)
+ * @param {ProgressDelegate} progressDelegate - is notified of each scan
+ * @param scope - the scope to watch. The folders returned by its getWatchedFolders function are watched
+ * @param {ReverseScanHandler[]} handlers - a list of handlers through which each fingerprint will be processed
+ * @param scanOptions - the scan options (see scan). Checkpoints are only used by full scans
+ * @param watchOptions - additional options for the watcher
+ *                    - recursive: use a recursive watcher per folder where the platform supports it (default true).
+ *                      Otherwise every sub folder is watched
+ *                    - debounce: the number of ms without changes after which the changes are scanned (default 500)
+ *                    - maxWait: the maximum number of ms changes wait before they are scanned, when folders change
+ *                      constantly (default 10000)
+ *                    - fullScanInterval: the number of ms between two full scans (default 1 hour, 0 to disable)
+ *                    - initialScan: set to false to skip the full scan when the watcher starts
+ *
+ * @param callback    Is the return function
+ *                      err               is the error object/message
+ *                      watcher           is the Watcher object, which emits "scanned" and "error" events, and should be
+ *                                        stopped with its close function
+ *                    If omitted, a promise is returned, which resolves to the watcher
+ */
+function watch(storageDelegate, progressDelegate, scope, handlers, scanOptions, watchOptions, callback) {
+  if (!callback) return promised(undefined, watch, [storageDelegate, progressDelegate, scope, handlers, scanOptions, watchOptions]);
+  var watcher = new Watcher(storageDelegate, progressDelegate, scope, handlers, scanOptions || {}, watchOptions || {});
+  return watcher.start(function(err) {
+    if (err) return callback(err);
+    return callback(null, watcher);
   });
 }
 
 
 
+
 /**
  * Public interface
  */
 module.exports = {
   scan:               scan,
+  watch:              watch,
+  ScanStatus:         ScanStatus,
+  ScanEvent:          ScanEvent,
+  ErrorPolicy:        ErrorPolicy,
+  adaptProgressDelegate: adaptProgressDelegate,
+  newFileCheckpointStore: function(filename) { return new FileCheckpointStore(filename) },
+  newFileStorageDelegate: function(filename, options) { return new FileStorageDelegate(filename, options) },
+  registerHash:       hashes.registerHash,
+  getHashNames:       hashes.getHashNames,
+  HashKind:           HashKind,
+  computeFullHash:    computeFullHash,
+  FullHashHandler:    FullHashHandler,
+  VerifyHandler:      VerifyHandler,
+  findDuplicates:     findDuplicates,
+  Keepers:            Keepers,
   newDirectoryScope:  function(folder)        { return new DirectoryScope(folder) },
-  newFilesScope:      function(longFilenames) { return new FilesScope(longFilenames) }
+  newFilesScope:      function(longFilenames) { return new FilesScope(longFilenames) },
+  newCompositeScope:  function(scopes)        { return new CompositeScope(scopes) },
+  getPresetNames:     presets.getNames,
+  getPreset:          presets.get
 }
@@ -0,0 +1,176 @@
+/**
+ * wg-scanner - Folder watcher
+ *
+ * Watches folder hierarchies for changes with fs.watch, and reports the changed paths in
+ * batches. A single recursive watcher is used per folder where the platform supports it,
+ * otherwise every sub folder is watched, and new sub folders are watched as they appear.
+ *
+ * Change events are debounced: paths are collected until no change happened for "debounce"
+ * ms, and then reported at once. Folders which change constantly are reported at least
+ * every "maxWait" ms. fs.watch does not tell whether a path was created, changed
+ * or removed, and may report a folder instead of the files it contains, so the receiver is
+ * expected to check the paths on the file system.
+ */
+// (C) Alexandre Morin 2015 - 2016
+
+const fs = require('fs');
+const Log = require('wg-log').Log;
+
+const log = Log.getLogger('wg-scanner');
+
+
+/**
+ * Create a folder watcher
+ *
+ * @param {string[]} folders - is the list of the full names of the folders to watch
+ * @param options - is the watch options
+ *                    - recursive: use recursive watchers where supported (default true). If false, or if not
+ *                      supported, every sub folder is watched
+ *                    - debounce: the number of ms without changes after which changes are reported (default 500)
+ *                    - maxWait: the maximum number of ms changes are delayed, even if changes keep happening (default 10000)
+ * @param {function} onChanges - is called with the list of changed paths (full names, sorted)
+ */
+function FolderWatcher(folders, options, onChanges) {
+  this._folders = folders;
+  this._recursive = options.recursive !== false;
+  this._debounce = options.debounce === undefined ? 500 : options.debounce;
+  this._maxWait = options.maxWait === undefined ? 10000 : Math.max(this._debounce, options.maxWait);
+  this._onChanges = onChanges;
+  this._watchers = {};          // fs.FSWatcher objects, by watched folder
+  this._changes = {};           // changed paths, not reported yet
+  this._timer = undefined;      // debounce timer
+  this._since = undefined;      // time of the oldest change not reported yet
+  this._closed = false;
+}
+
+/**
+ * Start watching
+ * @param callback - is called once all the folders are watched
+ */
+FolderWatcher.prototype.start = function(callback) {
+  var that = this;
+  var folders = that._folders.slice(0);
+  var next = function() {
+    var folder = folders.shift();
+    if (folder === undefined) return callback();
+    if (that._recursive && that._watch(folder, true)) return next();
+    return that._watchTree(folder, next);
+  };
+  return next();
+}
+
+/**
+ * Stop watching. Pending changes are not reported
+ */
+FolderWatcher.prototype.close = function() {
+  var that = this;
+  that._closed = true;
+  if (that._timer) clearTimeout(that._timer);
+  that._timer = undefined;
+  that._since = undefined;
+  that._changes = {};
+  Object.keys(that._watchers).forEach(function(folder) { that._watchers[folder].close(); });
+  that._watchers = {};
+}
+
+// Watch a folder. Returns false if recursive watchers are not supported on this platform
+FolderWatcher.prototype._watch = function(folder, recursive) {
+  var that = this;
+  if (that._closed || that._watchers[folder]) return true;
+  try {
+    var watcher = fs.watch(folder, { recursive: recursive, persistent: true }, function(event, filename) {
+      return that._changed(folder, recursive, filename);
+    });
+  }
+  catch (err) {
+    if (err.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') return false;
+    log.info({ folder:folder, err:err.message }, "Cannot watch folder");
+    return true;
+  }
+  // Watchers fail when their folder is removed. The parent folder reports the removal
+  watcher.on('error', function(err) {
+    log.debug({ folder:folder, err:err.message }, "Folder watcher failed");
+    that._unwatch(folder);
+  });
+  that._watchers[folder] = watcher;
+  return true;
+}
+
+// Stop watching a folder
+FolderWatcher.prototype._unwatch = function(folder) {
+  var watcher = this._watchers[folder];
+  if (!watcher) return;
+  delete this._watchers[folder];
+  watcher.close();
+}
+
+// Watch a folder and all its sub folders (non-recursive watchers)
+FolderWatcher.prototype._watchTree = function(folder, callback) {
+  var that = this;
+  if (that._closed) return callback();
+  that._watch(folder, false);
+  return fs.readdir(folder, function(err, files) {
+    if (err) return callback();   // folder was removed, or cannot be read
+    files.sort();
+    var next = function() {
+      var file = files.shift();
+      if (file === undefined) return callback();
+      var longFilename = folder + "/" + file;
+      return fs.lstat(longFilename, function(err, stats) {
+        if (err || !stats.isDirectory()) return next();
+        return that._watchTree(longFilename, next);
+      });
+    };
+    return next();
+  });
+}
+
+// A change was reported by a watcher
+FolderWatcher.prototype._changed = function(folder, recursive, filename) {
+  var that = this;
+  if (that._closed) return;
+  // Some platforms do not provide the file name: the whole folder is considered changed
+  var longFilename = (filename === null || filename === undefined) ? folder : folder + "/" + filename;
+  that._changes[longFilename] = true;
+  // With non-recursive watchers, new folders must be watched, and removed folders unwatched
+  if (!recursive) {
+    fs.lstat(longFilename, function(err, stats) {
+      if (err) return that._unwatchTree(longFilename);
+      if (stats.isDirectory() && !that._watchers[longFilename]) return that._watchTree(longFilename, function() {});
+    });
+  }
+  // Wait for "debounce" ms without changes, but no more than "maxWait" ms after the oldest change
+  var now = Date.now();
+  if (that._since === undefined) that._since = now;
+  if (that._timer) clearTimeout(that._timer);
+  that._timer = setTimeout(that._flush.bind(that), Math.max(0, Math.min(that._debounce, that._since + that._maxWait - now)));
+}
+
+// Stop watching a removed folder and its sub folders
+FolderWatcher.prototype._unwatchTree = function(folder) {
+  var that = this;
+  Object.keys(that._watchers).forEach(function(watched) {
+    if (watched === folder || watched.substr(0, folder.length + 1) === folder + "/") that._unwatch(watched);
+  });
+}
+
+// Report the changes collected since the last report
+FolderWatcher.prototype._flush = function() {
+  var that = this;
+  that._timer = undefined;
+  that._since = undefined;
+  var paths = Object.keys(that._changes).sort();
+  that._changes = {};
+  if (that._closed || paths.length === 0) return;
+  log.debug({ count:paths.length }, "Reporting changes");
+  return that._onChanges(paths);
+}
+
+
+
+/**
+ * Public interface
+ */
+module.exports = {
+  FolderWatcher:    FolderWatcher
+};
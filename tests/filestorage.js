@@ -0,0 +1,138 @@
+  /**
+   * Photo Organiser - File storage delegate unit tests
+   *
+   * (C) Alexandre Morin 2015 - 2016
+   */
+
+describe('FileStorageDelegate', function() {
+
+  const assert = require('assert');
+  const helpers = require('./helpers.js');
+  const Scanner = require('../lib/scanner.js');
+  const fse = require('fs-extra');
+  const uuid = require('uuid');
+
+  var progressDelegate = helpers.progressDelegate;
+  var filename;
+
+  // Call a callback-based delegate function and return a promise
+  function call(delegate, name) {
+    var args = Array.prototype.slice.call(arguments, 2);
+    return new Promise(function(resolve, reject) {
+      delegate[name].apply(delegate, args.concat([function(err, result) { return err ? reject(err) : resolve(result); }]));
+    });
+  }
+
+  // Create a delegate with a few fingerprints
+  async function populate(delegate) {
+    var names = ["/a/b/2.jpg", "/a/1.jpg", "/ab/3.jpg", "/a/b/c/4.jpg", "/a.jpg"];
+    for (var i=0; i<names.length; i++) {
+      await call(delegate, 'insertFingerprint', {
+        longFilename: names[i], shortFilename: names[i].split('/').pop(),
+        mtime: new Date(2016, 0, i+1), size: 100+i, md5: "md5-" + (i%2), vanishedAt: null
+      });
+    }
+  }
+
+  beforeEach(function() {
+    filename = '/tmp/willie.' + uuid.v4() + '.ndjson';
+  });
+  afterEach(function() {
+    fse.removeSync(filename);
+    fse.removeSync(filename + ".log");
+  });
+
+  it('Should insert and get fingerprints', async function() {
+    var delegate = Scanner.newFileStorageDelegate(filename);
+    var fingerprint = { longFilename: "/a/1.jpg", shortFilename: "1.jpg", mtime: new Date(2016, 0, 1), size: 10, md5: "x" };
+    await call(delegate, 'insertFingerprint', fingerprint);
+    assert(fingerprint.uuid);
+    var found = await call(delegate, 'getFingerPrint', "/a/1.jpg");
+    assert.equal(found.uuid, fingerprint.uuid);
+    assert.equal(found.mtime.getTime(), new Date(2016, 0, 1).getTime());
+    assert.equal(await call(delegate, 'getFingerPrint', "/a/2.jpg"), undefined);
+    await assert.rejects(call(delegate, 'insertFingerprint', { longFilename: "/a/1.jpg" }));
+  });
+
+  it('Should get fingerprints of a folder', async function() {
+    var delegate = Scanner.newFileStorageDelegate(filename);
+    await populate(delegate);
+    assert.equal(await call(delegate, 'countFingerPrints', "/a"), 3);
+    assert.equal(await call(delegate, 'countFingerPrints', "/a/"), 3);
+    assert.equal(await call(delegate, 'countFingerPrints', "/"), 5);
+    var names = function(fingerprints) { return fingerprints.map(function(fingerprint) { return fingerprint.longFilename; }); };
+    assert.deepEqual(names(await call(delegate, 'getFingerPrints', "/a", 0, 10)), ["/a/1.jpg", "/a/b/2.jpg", "/a/b/c/4.jpg"]);
+    assert.deepEqual(names(await call(delegate, 'getFingerPrints', "/a", 1, 1)), ["/a/b/2.jpg"]);
+    assert.deepEqual(names(await call(delegate, 'getFingerPrints', "/a", 2, 10)), ["/a/b/c/4.jpg"]);
+    assert.deepEqual(names(await call(delegate, 'getFingerPrints', "/a", 3, 10)), []);
+    assert.deepEqual(names(await call(delegate, 'preLoadFingerprints', "/a/b", 3)), ["/a/b/2.jpg", "/a/b/c/4.jpg", "/ab/3.jpg"]);
+    assert.deepEqual(names(await call(delegate, 'getFingerPrintsAfter', "/a", undefined, 2)), ["/a/1.jpg", "/a/b/2.jpg"]);
+    assert.deepEqual(names(await call(delegate, 'getFingerPrintsAfter', "/a", "/a/b/2.jpg", 2)), ["/a/b/c/4.jpg"]);
+    assert.deepEqual(names(await call(delegate, 'getFingerPrintsAfter', "/a", "/a/b/1.jpg", 10)), ["/a/b/2.jpg", "/a/b/c/4.jpg"]);
+    assert.deepEqual(names(await call(delegate, 'getFingerPrintsAfter', "/a", "/a/b/c/4.jpg", 10)), []);
+  });
+
+  it('Should update fingerprints', async function() {
+    var delegate = Scanner.newFileStorageDelegate(filename);
+    await populate(delegate);
+    var fingerprint = await call(delegate, 'getFingerPrint', "/a/1.jpg");
+    await call(delegate, 'updateFingerprint', { uuid: fingerprint.uuid, longFilename: "/z/1.jpg", vanishedAt: new Date() });
+    assert.equal(await call(delegate, 'getFingerPrint', "/a/1.jpg"), undefined);
+    var found = await call(delegate, 'getFingerPrint', "/z/1.jpg");
+    assert.equal(found.uuid, fingerprint.uuid);
+    assert.equal(found.size, fingerprint.size);
+    assert(found.vanishedAt instanceof Date);
+    assert.equal(await call(delegate, 'countFingerPrints', "/a"), 2);
+    await assert.rejects(call(delegate, 'updateFingerprint', { uuid: "unknown" }));
+  });
+
+  it('Should persist fingerprints', async function() {
+    var delegate = Scanner.newFileStorageDelegate(filename, { compactThreshold: 3 });
+    await populate(delegate);
+    var fingerprint = await call(delegate, 'getFingerPrint', "/a/1.jpg");
+    await call(delegate, 'updateFingerprint', { uuid: fingerprint.uuid, md5: "y", vanishedAt: new Date(2016, 5, 1), verifiedAt: new Date(2016, 4, 1) });
+    // Reload from files, before and after compaction
+    var reloaded = Scanner.newFileStorageDelegate(filename);
+    var found = await call(reloaded, 'getFingerPrint', "/a/1.jpg");
+    assert.equal(found.md5, "y");
+    assert.equal(found.vanishedAt.getTime(), new Date(2016, 5, 1).getTime());
+    assert.equal(found.verifiedAt.getTime(), new Date(2016, 4, 1).getTime());
+    assert.equal(await call(reloaded, 'countFingerPrints', "/"), 5);
+    await call(reloaded, 'close');
+    assert(!fse.existsSync(filename + ".log"));
+    assert.equal(fse.readFileSync(filename, 'utf8').split('\n').length, 6);
+    reloaded = Scanner.newFileStorageDelegate(filename);
+    assert.equal((await call(reloaded, 'getFingerPrint', "/a/1.jpg")).md5, "y");
+  });
+
+  it('Should ignore a truncated journal entry', async function() {
+    var delegate = Scanner.newFileStorageDelegate(filename);
+    await populate(delegate);
+    fse.appendFileSync(filename + ".log", '{"op":"insert","fingerprint":{"longFi');
+    var reloaded = Scanner.newFileStorageDelegate(filename);
+    assert.equal(await call(reloaded, 'countFingerPrints', "/"), 5);
+  });
+
+  it('Should find fingerprints by content', async function() {
+    var delegate = Scanner.newFileStorageDelegate(filename);
+    await populate(delegate);
+    var found = await call(delegate, 'getFingerPrintsByHash', { size: 100, md5: "md5-0" });
+    assert.deepEqual(found.map(function(fingerprint) { return fingerprint.longFilename; }), ["/a/b/2.jpg"]);
+    assert.deepEqual(await call(delegate, 'getFingerPrintsByHash', { size: 100, md5: "md5-1" }), []);
+  });
+
+  it('Should be used to scan', async function() {
+    var delegate = Scanner.newFileStorageDelegate(filename);
+    var scope = Scanner.newDirectoryScope(__dirname + "/data/hierarchy");
+    var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], {});
+    assert.equal(cumulatedStats.forward.processed, 3);
+    await call(delegate, 'close');
+    cumulatedStats = await Scanner.scan(Scanner.newFileStorageDelegate(filename), progressDelegate, scope, [], {});
+    assert.equal(cumulatedStats.forward.scanned, 3);
+    assert.equal(cumulatedStats.forward.processed, 0);
+    assert.equal(cumulatedStats.reverse.scanned, 3);
+    var report = await Scanner.findDuplicates(delegate, scope);
+    assert.equal(report.totalGroups, 0);
+  });
+
+});
@@ -0,0 +1,84 @@
+  /**
+   * Photo Organiser - Glob patterns unit tests
+   *
+   * (C) Alexandre Morin 2015 - 2016
+   */
+
+describe('Glob', function() {
+
+  const assert = require('assert');
+  const glob = require('../lib/glob.js');
+
+  // Checks if a single pattern matches a path
+  function matches(pattern, path, isDirectory) {
+    return glob.match([glob.compile(pattern)], path, !!isDirectory) !== undefined;
+  }
+
+  it('Should match names at any depth', function() {
+    assert(matches(".DS_Store", ".DS_Store"));
+    assert(matches(".DS_Store", "a/b/.ds_store"));
+    assert(matches("*.jpg", "a/b/IMG.JPG"));
+    assert(!matches("*.jpg", "a/b/IMG.JPG.png"));
+    assert(!matches("*.jpg", "a/b.jpg/c"));
+  });
+
+  it('Should anchor patterns with a slash', function() {
+    assert(matches("/a", "a"));
+    assert(!matches("/a", "b/a"));
+    assert(matches("a/*.jpg", "a/1.jpg"));
+    assert(!matches("a/*.jpg", "a/b/1.jpg"));
+    assert(!matches("a/*.jpg", "b/a/1.jpg"));
+  });
+
+  it('Should match any number of folders', function() {
+    assert(matches("**/cache", "cache"));
+    assert(matches("**/cache", "a/b/cache"));
+    assert(matches("a/**/b", "a/b"));
+    assert(matches("a/**/b", "a/x/y/b"));
+    assert(matches("a/**", "a/x/y"));
+    assert(!matches("a/**", "a"));
+    assert(matches("a/**/*.jpg", "a/x/1.jpg"));
+  });
+
+  it('Should match single characters, sets and alternatives', function() {
+    assert(matches("IMG_?.jpg", "IMG_1.jpg"));
+    assert(!matches("IMG_?.jpg", "IMG_12.jpg"));
+    assert(matches("IMG_[0-4].jpg", "IMG_3.jpg"));
+    assert(!matches("IMG_[0-4].jpg", "IMG_5.jpg"));
+    assert(matches("IMG_[!0-4].jpg", "IMG_5.jpg"));
+    assert(!matches("a[!b]c", "a/c"));
+    assert(matches("*.{jpg,png}", "x.png"));
+    assert(matches("*.{jp{e,}g,png}", "x.jpg"));
+    assert(!matches("*.{jpg,png}", "x.gif"));
+    assert(matches("\\*.jpg", "*.jpg"));
+    assert(!matches("\\*.jpg", "x.jpg"));
+    assert.throws(function() { glob.compile("*.{jpg"); });
+    assert.throws(function() { glob.compile("!"); });
+  });
+
+  it('Should only match folders with a trailing slash', function() {
+    assert(matches("cache/", "a/cache", true));
+    assert(!matches("cache/", "a/cache", false));
+  });
+
+  it('Should exclude with negations and parent folders', function() {
+    var rules = ["*.jpg", "!keep.jpg", "tmp/"].map(function(pattern) { return glob.compile(pattern); });
+    assert.equal(glob.isExcluded(rules, "a/1.jpg", false).pattern, "*.jpg");
+    assert.equal(glob.isExcluded(rules, "a/keep.jpg", false), undefined);
+    assert.equal(glob.isExcluded(rules, "a/1.png", false), undefined);
+    assert.equal(glob.isExcluded(rules, "a/tmp/keep.jpg", false).pattern, "tmp/");
+    assert.equal(glob.isExcluded(rules, "a/tmp", false), undefined);
+  });
+
+  it('Should parse ignore files', function() {
+    var rules = glob.parse("# comment\n\n*.tmp  \n\\#keep\n/cache/\r\n*.{jpg\n", "/a/.scanignore", "a");
+    assert.deepEqual(rules.map(function(rule) { return rule.pattern; }), ["*.tmp", "\\#keep", "/cache/"]);
+    assert.deepEqual(rules.map(function(rule) { return rule.source; }), ["/a/.scanignore:3", "/a/.scanignore:4", "/a/.scanignore:5"]);
+    assert(glob.isExcluded(rules, "a/b/x.tmp", false));
+    assert(glob.isExcluded(rules, "a/#keep", false));
+    assert(glob.isExcluded(rules, "a/cache/x.jpg", false));
+    assert(!glob.isExcluded(rules, "b/x.tmp", false));
+    assert(!glob.isExcluded(rules, "a/b/cache/x.jpg", false));
+  });
+
+});
@@ -52,6 +52,17 @@ var storageDelegate = {
     }, this);
     return callback(undefined, result);
   },
+  // Get a set of fingerprints for a folder (or its subfolders), sorted by long file name
+  // Use keyset pagination: fingerprints are returned after a given long file name
+  getFingerPrintsAfter: function(folder, after, limit, callback) {
+    var result = [];
+    if (!utils.endsWith(folder, '/')) folder = folder + '/';
+    this._getSortedKeys().forEach(function(key) {
+      if (!utils.startsWith(key, folder) || (after !== undefined && key <= after) || result.length >= limit) return;
+      result.push(_fingerprints.get(key));
+    });
+    return callback(undefined, result);
+  },
   // Count the number of fingerprints in a folder and its sub folders
   countFingerPrints: function(folder, callback) {
     var count = 0;
@@ -63,12 +74,15 @@ var storageDelegate = {
   },
   // Update (store) a fingerprint
   updateFingerprint: function(newFingerPrint, callback) {
+    var found = undefined;
     _fingerprints.each(function(key, value) {
-      if (newFingerPrint.uuid === value.uuid) {
-        var newValue = extend(true, value, newFingerPrint);
-        _fingerprints.add(value.longFilename, newValue);
-      }
+      if (newFingerPrint.uuid === value.uuid) found = key;
     }, this);
+    if (found !== undefined) {
+      var newValue = extend(true, _fingerprints.get(found), newFingerPrint);
+      if (found !== newValue.longFilename) _fingerprints.remove(found);   // moved file
+      _fingerprints.add(newValue.longFilename, newValue);
+    }
     return new callback();
   },
   // Insert (store) a fingerprint
@@ -88,6 +102,31 @@ var storageDelegate = {
     if (fingerprint) result.push(fingerprint);
     return callback(undefined, result);
   },
+  // Get the fingerprints with a given content (size and md5 or quickHash)
+  getFingerPrintsByHash: function(criteria, callback) {
+    var result = [];
+    _fingerprints.each(function(key, value) {
+      if (value.size !== criteria.size) return;
+      if (criteria.md5 !== undefined && value.md5 !== criteria.md5) return;
+      if (criteria.quickHash !== undefined && value.quickHash !== criteria.quickHash) return;
+      result.push(value);
+    }, this);
+    return callback(undefined, result);
+  },
+  // Group the non-vanished fingerprints of a folder by md5 and size
+  getDuplicateFingerPrints: function(folder, callback) {
+    var groups = new LinkedHashMap();
+    if (!utils.endsWith(folder, '/')) folder = folder + '/';
+    _fingerprints.each(function(key, value) {
+      if (!utils.startsWith(key, folder) || !value.md5 || value.vanishedAt) return;
+      var group = groups.get(value.md5 + ":" + value.size);
+      if (!group) groups.add(value.md5 + ":" + value.size, group = []);
+      group.push(value);
+    }, this);
+    var result = [];
+    groups.each(function(key, group) { if (group.length > 1) result.push(group); }, this);
+    return callback(undefined, result);
+  },
   // Get the current date+time representation for the vanished attribute.
   getVanishedAt: function() {
     return new Date();
@@ -104,22 +143,110 @@ var storageDelegate = {
 var progressDelegate = {
   scanStarted: function(scope, handlers, scanOptions) {
   },
-  scanEnded: function() {
+  scanEnded: function(status) {
   },
   forwardScanStarted: function() {
   },
-  forwardScanProgress: function(scanned, processed, inserted, updated) {
+  forwardScanProgress: function(scanned, processed, inserted, updated, moved) {
   },
-  forwardScanEnded: function() {
+  forwardScanEnded: function(status) {
   },
   reverseScanStarted: function() {
   },
   reverseScanProgress: function(fingerprints, scanned, processed, errors) {
   },
-  reverseScanEnded: function() {
+  reverseScanEnded: function(status) {
   }
 };
 
+/**
+ * Promise-based version of the mock storage delegate
+ * All asynchronous functions return promises instead of taking a callback
+ */
+var promiseStorageDelegate = {};
+Object.keys(storageDelegate).forEach(function(name) {
+  promiseStorageDelegate[name] = storageDelegate[name];
+});
+['getFingerPrint', 'getFingerPrints', 'getFingerPrintsAfter', 'countFingerPrints', 'updateFingerprint', 'insertFingerprint', 'preLoadFingerprints', 'getFingerPrintsByHash', 'getDuplicateFingerPrints'].forEach(function(name) {
+  promiseStorageDelegate[name] = function() {
+    var args = Array.prototype.slice.call(arguments, 0, storageDelegate[name].length - 1);
+    return new Promise(function(resolve, reject) {
+      storageDelegate[name].apply(storageDelegate, args.concat([function(err, result) {
+        if (err) return reject(err);
+        return resolve(result);
+      }]));
+    });
+  };
+});
+
+/**
+ * Version of the mock storage delegate with bulk operations and batches
+ * Batches are recorded, as a list of {inserts, updates} counts
+ */
+var batchStorageDelegate = {};
+Object.keys(storageDelegate).forEach(function(name) {
+  batchStorageDelegate[name] = storageDelegate[name];
+});
+var _batches = [];
+var _batch = undefined;
+extend(batchStorageDelegate, {
+  _clearBatches: function() {
+    _batches = [];
+    _batch = undefined;
+  },
+  _getBatches: function() {
+    return _batches;
+  },
+  beginBatch: function(callback) {
+    if (_batch) return callback(new Error("Nested batch"));
+    _batch = { inserts: 0, updates: 0 };
+    return callback();
+  },
+  commitBatch: function(callback) {
+    _batches.push(_batch);
+    _batch = undefined;
+    return callback();
+  },
+  insertFingerprints: function(newFingerPrints, callback) {
+    if (!_batch) return callback(new Error("Not in a batch"));
+    _batch.inserts = _batch.inserts + newFingerPrints.length;
+    newFingerPrints.forEach(function(newFingerPrint) { storageDelegate.insertFingerprint(newFingerPrint, function() {}); });
+    return callback();
+  },
+  updateFingerprints: function(newFingerPrints, callback) {
+    if (!_batch) return callback(new Error("Not in a batch"));
+    _batch.updates = _batch.updates + newFingerPrints.length;
+    newFingerPrints.forEach(function(newFingerPrint) { storageDelegate.updateFingerprint(newFingerPrint, function() {}); });
+    return callback();
+  }
+});
+
+/**
+ * Mock checkpoint store
+ */
+var _checkpoints = {};
+
+var checkpointStore = {
+  // Remove all checkpoints
+  _clear: function() {
+    _checkpoints = {};
+  },
+  loadCheckpoint: function(key, callback) {
+    return callback(undefined, _checkpoints[key]);
+  },
+  saveCheckpoint: function(key, checkpoint, callback) {
+    _checkpoints[key] = JSON.parse(JSON.stringify(checkpoint));
+    return callback();
+  },
+  clearCheckpoint: function(key, callback) {
+    delete _checkpoints[key];
+    return callback();
+  },
+
+  test_get: function(key) {
+    return _checkpoints[key];
+  }
+};
 
 
 
@@ -127,6 +254,9 @@ var progressDelegate = {
  * Public interface
  */
 module.exports = {
-  storageDelegate:    storageDelegate,
-  progressDelegate:   progressDelegate
+  storageDelegate:          storageDelegate,
+  promiseStorageDelegate:   promiseStorageDelegate,
+  batchStorageDelegate:     batchStorageDelegate,
+  checkpointStore:          checkpointStore,
+  progressDelegate:         progressDelegate
 };
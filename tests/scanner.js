@@ -13,6 +13,7 @@ describe('Scanner', function() {
   const fse = require('fs-extra');
   const uuid = require('uuid');
   const extend = require('extend');
+  const utils = require('wg-utils');
 
   const log = Log.getLogger('scanner.tests');
 
@@ -187,6 +188,2028 @@ describe('Scanner', function() {
     });
   });
 
-});
+  describe('Promises', function() {
+    it('Should return a promise when no callback is given', function() {
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      storageDelegate._clear();
+      return Scanner.scan(storageDelegate, progressDelegate, scope, [], {}).then(function(cumulatedStats) {
+        checkStats(cumulatedStats, 1, 1, 0, 1, 0, 0);
+        assert(storageDelegate.test_length() === 1);
+      });
+    });
+
+    it('Should accept promise-based delegates and handlers', function() {
+      var dirName = __dirname + "/data/3 images";
+      var scope = Scanner.newDirectoryScope(dirName);
+      var seen = [];
+      var PromiseHandler = function(reverseScanner, scanOptions) {};
+      PromiseHandler.prototype.getName = function() { return "PromiseHandler"; };
+      PromiseHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions) {
+        seen.push(fingerprint.shortFilename);
+        return Promise.resolve(true);
+      };
+      storageDelegate._clear();
+      var delegate = helpers.promiseStorageDelegate;
+      return Scanner.scan(delegate, progressDelegate, scope, [PromiseHandler], {}).then(function(cumulatedStats) {
+        checkStats(cumulatedStats, 3, 3, 0, 3, 3, 0);
+        assert(storageDelegate.test_length() === 3);
+        assert.deepEqual(seen.sort(), ["18px-FClef.svg.png", "certificate.png", "query.png"]);
+      });
+    });
+
+    it('Should report promise rejections as errors', function() {
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      var delegate = extend({}, helpers.promiseStorageDelegate, {
+        insertFingerprint: function(newFingerPrint) { return Promise.reject(new Error("Storage is down")); }
+      });
+      storageDelegate._clear();
+      return Scanner.scan(delegate, progressDelegate, scope, [], {}).then(function() {
+        throw new Error("Scan should have failed");
+      }, function(err) {
+        assert.equal(err.message, "Storage is down");
+      });
+    });
+
+    it('Should iterate through a scope with promises', function() {
+      var scope = Scanner.newDirectoryScope(__dirname + "/data/hierarchy");
+      var names = [];
+      function next() {
+        return scope.nextFile().then(function(entry) {
+          if (!entry) return;
+          names.push(entry.shortFilename);
+          assert(entry.stats.isFile());
+          return next();
+        });
+      }
+      return scope.startScan().then(next).then(function() {
+        assert.deepEqual(names, ["certificate.png", "query.png", "18px-FClef.svg.png"]);
+      });
+    });
+  });
+
+  describe('Iterators', function() {
+    it('Should iterate over the files of a folder', async function() {
+      var dirName = __dirname + "/data/hierarchy";
+      var scope = Scanner.newDirectoryScope(dirName);
+      scope.exclude(["query.png"]);
+      var names = [];
+      for await (const entry of scope.files()) {
+        assert(entry.stats.isFile());
+        names.push(entry.longFilename);
+      }
+      assert.deepEqual(names, [dirName + "/certificate.png", dirName + "/sub folder/sub folder/18px-FClef.svg.png"]);
+    });
+
+    it('Should iterate over the fingerprints of a folder', async function() {
+      var dirName = __dirname + "/data/3 images";
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {});
+      var scope = Scanner.newDirectoryScope(dirName);
+      scope.exclude(["query.png"]);
+      var entries = [];
+      for await (const entry of scope.fingerprints(storageDelegate)) entries.push(entry);
+      assert.equal(entries.length, 3);
+      entries.forEach(function(entry) {
+        assert.deepEqual(Object.keys(entry), ['fingerprint', 'stats', 'isInScope']);
+        assert.equal(entry.isInScope, entry.fingerprint.shortFilename !== "query.png");
+      });
+    });
+
+    it('Should iterate over files and fingerprints of a files scope', async function() {
+      var longFilename = __dirname + "/data/certificate.png";
+      var scope = Scanner.newFilesScope([longFilename, __dirname + "/data/missing.png"]);
+      storageDelegate._clear();
+      var files = [];
+      for await (const entry of scope.files()) files.push(entry.longFilename);
+      assert.deepEqual(files, [longFilename]);
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      var fingerprints = [];
+      for await (const entry of scope.fingerprints(storageDelegate)) fingerprints.push(entry.fingerprint.longFilename);
+      assert.deepEqual(fingerprints, [longFilename]);
+    });
+  });
+
+  describe('Glob patterns', function() {
+    var dirName = __dirname + "/data/hierarchy";
+
+    async function files(scope) {
+      var names = [];
+      for await (const entry of scope.files()) names.push(entry.longFilename.substr(dirName.length + 1));
+      return names;
+    }
+
+    it('Should anchor patterns to the scope root', async function() {
+      // "tests" and "data" are parent folders of the scope root
+      assert.equal((await files(Scanner.newDirectoryScope(dirName).exclude(["tests", "data"]))).length, 3);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).exclude(["/sub folder/sub folder"])), ["certificate.png", "sub folder/query.png"]);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).exclude(["**/sub folder/*.png"])), ["certificate.png"]);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).exclude(["sub folder/"])), ["certificate.png"]);
+    });
+
+    it('Should re-include files with negations', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).exclude(["*.png", "!{query,certificate}.png"]);
+      assert.deepEqual(await files(scope), ["certificate.png", "sub folder/query.png"]);
+      // Files of excluded folders cannot be re-included
+      scope = Scanner.newDirectoryScope(dirName).exclude(["sub folder", "!query.png"]);
+      assert.deepEqual(await files(scope), ["certificate.png"]);
+    });
+
+    it('Should give precedence to exclusions over inclusions', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).includeFiles(["*.png", "!18px-*"]).exclude(["c*.png"]);
+      assert.deepEqual(await files(scope), ["sub folder/query.png"]);
+    });
+
+    it('Should apply patterns in the reverse scan', async function() {
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {});
+      var scope = Scanner.newDirectoryScope(dirName).exclude(["/sub folder/sub folder/", "data"]);
+      var inScope = {};
+      for await (const entry of scope.fingerprints(storageDelegate)) inScope[entry.fingerprint.shortFilename] = entry.isInScope;
+      assert.deepEqual(inScope, { "certificate.png": true, "query.png": true, "18px-FClef.svg.png": false });
+    });
+  });
+
+  describe('Ignore files', function() {
+    var dirName;
+    before(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.copySync(__dirname + "/data/hierarchy", dirName);
+      fse.writeFileSync(dirName + "/.scanignore", "# Ignore all png files, but the ones in sub folders\n*.png\n");
+      fse.writeFileSync(dirName + "/sub folder/.scanignore", "!*.png\n/sub folder/\n");
+      fse.writeFileSync(dirName + "/.ignore", "certificate.png\n");
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    async function files(scope) {
+      var names = [];
+      for await (const entry of scope.files()) names.push(entry.longFilename.substr(dirName.length + 1));
+      return names;
+    }
+
+    it('Should exclude files listed in ignore files', async function() {
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).useIgnoreFiles()), ["sub folder/query.png"]);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).useIgnoreFiles(".ignore")), ["sub folder/query.png", "sub folder/sub folder/18px-FClef.svg.png"]);
+      // Ignore files are only read when enabled
+      assert.equal((await files(Scanner.newDirectoryScope(dirName))).length, 3);
+    });
+
+    it('Should apply ignore files in the reverse scan', async function() {
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {});
+      var inScope = {};
+      var scope = Scanner.newDirectoryScope(dirName).useIgnoreFiles();
+      for await (const entry of scope.fingerprints(storageDelegate)) inScope[entry.fingerprint.shortFilename] = entry.isInScope;
+      assert.deepEqual(inScope, { "certificate.png": false, "query.png": true, "18px-FClef.svg.png": false });
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      checkStats(cumulatedStats, 1, 0, 0, 1, 0, 0);
+    });
+  });
+
+  describe('Symbolic links', function() {
+    var dirName;
+    before(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName + "/real/sub");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/real/a.png");
+      fse.copySync(__dirname + "/data/3 images/query.png", dirName + "/real/sub/b.png");
+      fse.symlinkSync(dirName + "/real", dirName + "/library");
+      fse.symlinkSync("..", dirName + "/real/sub/up");
+      fse.symlinkSync(dirName + "/real/a.png", dirName + "/link.png");
+      fse.symlinkSync(dirName + "/missing.png", dirName + "/broken.png");
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    async function files(scope) {
+      var names = [];
+      for await (const entry of scope.files()) names.push([entry.longFilename.substr(dirName.length + 1), entry.realFilename]);
+      return names;
+    }
+
+    it('Should exclude symbolic links by default', async function() {
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName)), [["real/a.png", undefined], ["real/sub/b.png", undefined]]);
+    });
+
+    it('Should follow symbolic links once', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).followSymlinks();
+      // "library" is scanned before "real", which is the same folder. The "up" link is a cycle
+      assert.deepEqual(await files(scope), [
+        ["link.png", dirName + "/real/a.png"],
+        ["library/sub/b.png", dirName + "/real/sub/b.png"]
+      ]);
+    });
+
+    it('Should not scan targets twice when resuming', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).followSymlinks();
+      await scope.startScan();
+      var first = await scope.nextFile();
+      assert.equal(first.longFilename, dirName + "/link.png");
+      // Restore the saved state in a new scope: "library/a.png" is the target of "link.png", which was already scanned
+      var state = JSON.parse(JSON.stringify(scope.getScanState()));
+      scope = Scanner.newDirectoryScope(dirName).followSymlinks();
+      await scope.restoreScanState(state);
+      var names = [];
+      for (var entry = await scope.nextFile(); entry && entry.longFilename; entry = await scope.nextFile())
+        names.push(entry.longFilename.substr(dirName.length + 1));
+      assert.deepEqual(names, ["library/sub/b.png"]);
+    });
+
+    it('Should only record folders and link targets', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).followSymlinks();
+      await files(scope);
+      var visited = scope.getScanState().visited;
+      var key = function(longFilename) { var stats = fse.statSync(longFilename); return stats.dev + ":" + stats.ino; };
+      assert(visited.indexOf(key(dirName + "/real/sub")) !== -1);
+      assert(visited.indexOf(key(dirName + "/real/a.png")) !== -1);
+      assert.equal(visited.indexOf(key(dirName + "/real/sub/b.png")), -1);
+      // Hard links to regular files are all scanned
+      fse.linkSync(dirName + "/real/sub/b.png", dirName + "/real/sub/c.png");
+      assert.deepEqual((await files(scope)).map(function(entry) { return entry[0]; }), ["link.png", "library/sub/b.png", "library/sub/c.png"]);
+      fse.removeSync(dirName + "/real/sub/c.png");
+    });
+
+    it('Should record the real path of fingerprints', async function() {
+      storageDelegate._clear();
+      var scope = Scanner.newDirectoryScope(dirName).followSymlinks();
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      checkStats(cumulatedStats, 2, 2, 0, 2, 0, 0);
+      var fingerprint = storageDelegate._getByShortFilename("link.png");
+      assert.equal(fingerprint.longFilename, dirName + "/link.png");
+      assert.equal(fingerprint.realFilename, dirName + "/real/a.png");
+      assert.equal(fingerprint.md5, '925c25907ab0da4ea7dcbb30a3af867d');
+      // Once the link is removed, the target is scanned through the "library" link, and detected as moved
+      fse.unlinkSync(dirName + "/link.png");
+      cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      checkStats(cumulatedStats, 2, 1, 0, 2, 0, 0);
+      assert.equal(cumulatedStats.forward.moved, 1);
+      var moved = storageDelegate._getByShortFilename("a.png");
+      assert.equal(moved.uuid, fingerprint.uuid);
+      assert.equal(moved.longFilename, dirName + "/library/a.png");
+      assert.equal(moved.realFilename, dirName + "/real/a.png");
+      fse.symlinkSync(dirName + "/real/a.png", dirName + "/link.png");
+    });
+  });
+
+  describe('Composite scopes', function() {
+    var dirName;
+    before(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.copySync(__dirname + "/data/hierarchy", dirName);
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    async function files(scope) {
+      var names = [];
+      for await (const entry of scope.files()) names.push(entry.longFilename.substr(dirName.length + 1));
+      return names;
+    }
+
+    function newScope() {
+      return Scanner.newCompositeScope([
+        Scanner.newDirectoryScope(dirName).exclude(["sub folder/"]),
+        Scanner.newFilesScope([dirName + "/sub folder/query.png", dirName + "/certificate.png"])
+      ]);
+    }
+
+    it('Should scan children in order, once per file', async function() {
+      assert.deepEqual(await files(newScope()), ["certificate.png", "sub folder/query.png"]);
+      var scope = Scanner.newCompositeScope([
+        Scanner.newDirectoryScope(dirName + "/sub folder"),
+        Scanner.newDirectoryScope(dirName)
+      ]);
+      assert.deepEqual(await files(scope), ["sub folder/query.png", "sub folder/sub folder/18px-FClef.svg.png", "certificate.png"]);
+      assert.deepEqual(await files(Scanner.newCompositeScope([])), []);
+    });
+
+    it('Should check if a file is in the scope of any child', async function() {
+      var scope = newScope();
+      assert.equal(await scope.isInScope(dirName + "/certificate.png"), true);
+      assert.equal(await scope.isInScope(dirName + "/sub folder/query.png"), true);
+      assert.equal(await scope.isInScope(dirName + "/sub folder/sub folder/18px-FClef.svg.png"), false);
+    });
+
+    it('Should reverse-scan the union of the children', async function() {
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {});
+      var scope = newScope();
+      // Counts are summed: 3 fingerprints in the folder, and 2 files
+      assert.equal(await scope.startReverseScan(storageDelegate), 5);
+      var inScope = {};
+      for await (const entry of scope.fingerprints(storageDelegate)) inScope[entry.fingerprint.shortFilename] = entry.isInScope;
+      assert.deepEqual(inScope, { "certificate.png": true, "query.png": true, "18px-FClef.svg.png": false });
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      checkStats(cumulatedStats, 2, 0, 0, 2, 0, 0);
+    });
+
+    it('Should save and restore the scan state', async function() {
+      var scope = Scanner.newCompositeScope([
+        Scanner.newFilesScope([dirName + "/certificate.png"]),
+        Scanner.newDirectoryScope(dirName + "/sub folder")
+      ]);
+      await scope.startScan();
+      assert.equal((await scope.nextFile()).shortFilename, "certificate.png");
+      assert.equal((await scope.nextFile()).shortFilename, "query.png");
+      var state = JSON.parse(JSON.stringify(scope.getScanState()));
+      assert.equal(state.index, 1);
+      var restored = Scanner.newCompositeScope([
+        Scanner.newFilesScope([dirName + "/certificate.png"]),
+        Scanner.newDirectoryScope(dirName + "/sub folder")
+      ]);
+      await restored.restoreScanState(state);
+      assert.equal((await restored.nextFile()).shortFilename, "18px-FClef.svg.png");
+      assert.equal(await restored.nextFile(), undefined);
+    });
+
+    it('Should support custom children', async function() {
+      // Custom scope which only implements the required functions (no contains, isFileInScope, getExclusionStats...)
+      var child = Scanner.newFilesScope([dirName + "/certificate.png", dirName + "/sub folder/query.png"]);
+      var custom = {};
+      ['getName', 'startScan', 'nextFile', 'getScanState', 'startReverseScan', 'nextFingerprint', 'getReverseScanState', 'isInScope'].forEach(function(name) {
+        custom[name] = function() { return child[name].apply(child, arguments); };
+      });
+      var scope = Scanner.newCompositeScope([custom, Scanner.newDirectoryScope(dirName)]);
+      assert.deepEqual(await files(scope), ["certificate.png", "sub folder/query.png", "sub folder/sub folder/18px-FClef.svg.png"]);
+      assert.equal(scope.contains(dirName + "/certificate.png"), true);
+      assert.equal(await scope.isFileInScope(dirName + "/certificate.png", fse.statSync(dirName + "/certificate.png")), true);
+      assert.equal((await scope.explain(dirName + "/certificate.png")).scope, "Dir:" + dirName);
+      assert.equal(scope.getExclusionPolicy(dirName + "/certificate.png").emptyFiles, true);
+      storageDelegate._clear();
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      checkStats(cumulatedStats, 3, 3, 0, 5, 0, 0);
+      assert.deepEqual(cumulatedStats.forward.excluded, {});
+    });
+  });
+
+  describe('Date, owner and depth filters', function() {
+    var dirName;
+    var day = 24*3600*1000;
+    before(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.copySync(__dirname + "/data/hierarchy", dirName);
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/.hidden/a.png");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/.b.png");
+      var now = new Date();
+      ["/.b.png", "/.hidden/a.png", "/sub folder/query.png", "/sub folder/sub folder/18px-FClef.svg.png"].forEach(function(filename) {
+        fse.utimesSync(dirName + filename, now, now);
+      });
+      var old = new Date(Date.now() - 30*day);
+      fse.utimesSync(dirName + "/certificate.png", old, old);
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    async function files(scope) {
+      var names = [];
+      for await (const entry of scope.files()) names.push(entry.longFilename.substr(dirName.length + 1));
+      return names;
+    }
+
+    it('Should filter files on their modification date', async function() {
+      var recent = ["sub folder/query.png", "sub folder/sub folder/18px-FClef.svg.png"];
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).excludeHiddenFiles().excludeFilesOlderThan(7*day)), recent);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).excludeHiddenFiles().excludeFilesNewerThan(7*day)), ["certificate.png"]);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).excludeHiddenFiles().excludeFilesModifiedBefore(new Date(Date.now() - 7*day))), recent);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).excludeHiddenFiles().excludeFilesModifiedAfter(new Date(Date.now() - 7*day))), ["certificate.png"]);
+    });
+
+    it('Should exclude hidden files and folders', async function() {
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName)), [".b.png", "certificate.png", ".hidden/a.png", "sub folder/query.png", "sub folder/sub folder/18px-FClef.svg.png"]);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).excludeHiddenFiles()), ["certificate.png", "sub folder/query.png", "sub folder/sub folder/18px-FClef.svg.png"]);
+    });
+
+    it('Should filter files on their owner', async function() {
+      var stats = fse.statSync(dirName + "/certificate.png");
+      assert.equal((await files(Scanner.newDirectoryScope(dirName).includeFilesOwnedBy(stats.uid))).length, 5);
+      assert.equal((await files(Scanner.newDirectoryScope(dirName).includeFilesOwnedBy(undefined, [stats.gid]))).length, 5);
+      assert.deepEqual(await files(Scanner.newDirectoryScope(dirName).includeFilesOwnedBy(stats.uid + 1)), []);
+    });
+
+    it('Should limit the depth of the scan', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).excludeHiddenFiles();
+      assert.deepEqual(await files(scope.limitDepth(0)), ["certificate.png"]);
+      assert.deepEqual(await files(scope.limitDepth(1)), ["certificate.png", "sub folder/query.png"]);
+    });
+
+    it('Should apply the filters in the reverse scan', async function() {
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {});
+      var scope = Scanner.newDirectoryScope(dirName).excludeHiddenFiles().excludeFilesOlderThan(7*day).limitDepth(1);
+      var inScope = {};
+      for await (const entry of scope.fingerprints(storageDelegate)) inScope[entry.fingerprint.longFilename.substr(dirName.length + 1)] = entry.isInScope;
+      assert.deepEqual(inScope, {
+        ".b.png": false, ".hidden/a.png": false, "certificate.png": false,
+        "sub folder/query.png": true, "sub folder/sub folder/18px-FClef.svg.png": false
+      });
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      checkStats(cumulatedStats, 1, 0, 0, 1, 0, 0);
+    });
+  });
+
+  describe('Exclusion policy', function() {
+    var dirName;
+    before(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName);
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/a.png");
+      fse.writeFileSync(dirName + "/Makefile", "all:\n");
+      fse.writeFileSync(dirName + "/empty.txt", "");
+      fse.symlinkSync(dirName + "/a.png", dirName + "/link.png");
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    async function files(scope) {
+      var names = [];
+      for await (const entry of scope.files()) names.push(entry.shortFilename);
+      return names;
+    }
+
+    it('Should exclude files by default', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      assert.deepEqual(scope.getExclusionPolicy(), { noExtension: true, symlinks: true, emptyFiles: true });
+      assert.deepEqual(await files(scope), ["a.png"]);
+      scope = Scanner.newFilesScope([dirName + "/Makefile", dirName + "/empty.txt", dirName + "/link.png"]);
+      assert.deepEqual(await files(scope), ["Makefile"]);
+    });
+
+    it('Should turn built-in exclusions off', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).setExclusionPolicy({ noExtension: false, emptyFiles: false });
+      assert.deepEqual(await files(scope), ["Makefile", "a.png", "empty.txt"]);
+      // Only link targets are recorded: the target was scanned directly, so the link is scanned too
+      scope.setExclusionPolicy({ symlinks: false });
+      assert.deepEqual(await files(scope), ["Makefile", "a.png", "empty.txt", "link.png"]);
+      scope = Scanner.newFilesScope([dirName + "/link.png"]).setExclusionPolicy({ symlinks: false });
+      assert.deepEqual(await files(scope), ["link.png"]);
+    });
+
+    it('Should apply the same policy in the reverse scan', async function() {
+      storageDelegate._clear();
+      var scope = Scanner.newDirectoryScope(dirName).setExclusionPolicy({ noExtension: false, emptyFiles: false });
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 0);
+      // Empty files are in scope, and not vanished
+      var inScope = {};
+      for await (const entry of scope.fingerprints(storageDelegate)) inScope[entry.fingerprint.shortFilename] = entry.isInScope;
+      assert.deepEqual(inScope, { "Makefile": true, "a.png": true, "empty.txt": true });
+      assert.equal(storageDelegate._getByShortFilename("empty.txt").vanishedAt, undefined);
+      // With the default policy, they are out of scope
+      inScope = {};
+      for await (const entry of Scanner.newDirectoryScope(dirName).fingerprints(storageDelegate)) inScope[entry.fingerprint.shortFilename] = entry.isInScope;
+      assert.deepEqual(inScope, { "Makefile": false, "a.png": true, "empty.txt": false });
+    });
+
+    it('Should mark files excluded by the policy as vanished', async function() {
+      storageDelegate._clear();
+      var filenames = [dirName + "/Makefile", dirName + "/empty.txt"];
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, Scanner.newFilesScope(filenames).setExclusionPolicy({ emptyFiles: false }), [], {});
+      checkStats(cumulatedStats, 2, 2, 0, 2, 0, 0);
+      cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, Scanner.newFilesScope(filenames), [], {});
+      checkStats(cumulatedStats, 1, 0, 0, 2, 1, 0);
+      assert.equal(storageDelegate._getByShortFilename("Makefile").vanishedAt, undefined);
+      assert.notEqual(storageDelegate._getByShortFilename("empty.txt").vanishedAt, undefined);
+    });
+
+    it('Should only mark empty files as vanished for scopes without policy', async function() {
+      storageDelegate._clear();
+      var filenames = [dirName + "/Makefile", dirName + "/empty.txt"];
+      var scope = Object.create(Scanner.newFilesScope(filenames).setExclusionPolicy({ emptyFiles: false }));
+      scope.getExclusionPolicy = undefined;
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      checkStats(cumulatedStats, 2, 2, 0, 2, 1, 0);
+      assert.equal(storageDelegate._getByShortFilename("Makefile").vanishedAt, undefined);
+      assert.notEqual(storageDelegate._getByShortFilename("empty.txt").vanishedAt, undefined);
+    });
+  });
+
+  describe('Exclusion presets', function() {
+    var dirName;
+    before(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.copySync(__dirname + "/data/hierarchy", dirName);
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/.DS_Store.png");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/Thumbs.db");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/@eaDir/certificate.png");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/node_modules/a/certificate.png");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/sub folder/iPhoto Library/certificate.png");
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    async function files(scope) {
+      var names = [];
+      for await (const entry of scope.files()) names.push(entry.longFilename.substr(dirName.length + 1));
+      return names;
+    }
+
+    it('Should list presets', function() {
+      assert.deepEqual(Scanner.getPresetNames(), ["macos", "windows", "synology", "photo-libraries", "dev"]);
+      var preset = Scanner.getPreset("windows");
+      assert.equal(preset.version, 1);
+      assert.equal(preset.source, "preset:windows@1");
+      assert.notEqual(preset.patterns.indexOf("Thumbs.db"), -1);
+      assert.equal(Scanner.getPreset("windows@1").source, "preset:windows@1");
+      assert.throws(function() { Scanner.getPreset("amiga"); });
+      assert.throws(function() { Scanner.getPreset("windows@99"); });
+    });
+
+    it('Should combine presets', async function() {
+      var all = await files(Scanner.newDirectoryScope(dirName).setExclusionPolicy({ noExtension: false }));
+      assert.equal(all.length, 8);
+      var scope = Scanner.newDirectoryScope(dirName).setExclusionPolicy({ noExtension: false }).usePreset(["windows", "synology"]).usePreset("photo-libraries");
+      assert.deepEqual((await files(scope)).sort(), [".DS_Store.png", "certificate.png", "node_modules/a/certificate.png", "sub folder/query.png", "sub folder/sub folder/18px-FClef.svg.png"]);
+      scope.usePreset("dev@1");
+      assert.deepEqual(await files(scope), [".DS_Store.png", "certificate.png", "sub folder/query.png", "sub folder/sub folder/18px-FClef.svg.png"]);
+    });
+
+    it('Should tell which rule excluded a path', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).exclude(["*.svg.png"]).usePreset(["windows", "synology", "photo-libraries"]);
+      assert.deepEqual(await scope.getExclusionRule(dirName + "/Thumbs.db"), { pattern: "Thumbs.db", source: "preset:windows@1" });
+      assert.deepEqual(await scope.getExclusionRule(dirName + "/@eaDir/certificate.png"), { pattern: "@eaDir/", source: "preset:synology@1" });
+      assert.deepEqual(await scope.getExclusionRule(dirName + "/sub folder/iPhoto Library/certificate.png"), { pattern: "iPhoto Library/", source: "preset:photo-libraries@1" });
+      assert.deepEqual(await scope.getExclusionRule(dirName + "/sub folder/sub folder/18px-FClef.svg.png"), { pattern: "*.svg.png", source: undefined });
+      assert.equal(await scope.getExclusionRule(dirName + "/certificate.png"), undefined);
+    });
+  });
+
+  describe('Exclusion explainer', function() {
+    var dirName;
+    before(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.copySync(__dirname + "/data/hierarchy", dirName);
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/@eaDir/a.png");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/@eaDir/b.png");
+      fse.writeFileSync(dirName + "/Makefile", "all:\n");
+      fse.writeFileSync(dirName + "/notes.txt", "notes\n");
+      fse.symlinkSync(dirName + "/certificate.png", dirName + "/link.png");
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    function newScope() {
+      return Scanner.newDirectoryScope(dirName).usePreset("synology").includeFiles(["*.png", "*.svg.png", "!*.svg.png"]).excludeFilesLargerThan(100000);
+    }
+
+    it('Should explain why a file is excluded', async function() {
+      var scope = newScope();
+      assert.deepEqual(await scope.explain(dirName + "/sub folder/query.png"), { longFilename: dirName + "/sub folder/query.png", excluded: false, reason: undefined });
+      assert.deepEqual((await scope.explain(dirName + "/@eaDir/a.png")).reason, { rule: "exclusion", pattern: "@eaDir/", source: "preset:synology@1" });
+      assert.deepEqual((await scope.explain(dirName + "/@eaDir")).reason, { rule: "exclusion", pattern: "@eaDir/", source: "preset:synology@1" });
+      assert.deepEqual((await scope.explain(dirName + "/Makefile")).reason, { rule: "noExtension" });
+      assert.deepEqual((await scope.explain(dirName + "/notes.txt")).reason, { rule: "inclusion" });
+      assert.deepEqual((await scope.explain(dirName + "/sub folder/sub folder/18px-FClef.svg.png")).reason, { rule: "inclusion", pattern: "!*.svg.png" });
+      assert.deepEqual((await scope.explain(dirName + "/certificate.png")).reason, { rule: "maxFileSize", value: 100000 });
+      assert.deepEqual((await scope.explain(dirName + "/link.png")).reason, { rule: "symlinks" });
+      assert.deepEqual((await scope.explain(dirName + "/missing.png")).reason, { rule: "notFound" });
+      assert.deepEqual((await scope.explain("/tmp/elsewhere.png")).reason, { rule: "outsideScope" });
+    });
+
+    it('Should explain files and composite scopes', async function() {
+      var scope = Scanner.newFilesScope([dirName + "/Makefile", dirName + "/link.png"]);
+      assert.equal((await scope.explain(dirName + "/Makefile")).excluded, false);
+      assert.deepEqual((await scope.explain(dirName + "/link.png")).reason, { rule: "symlinks" });
+      assert.deepEqual((await scope.explain(dirName + "/notes.txt")).reason, { rule: "notListed" });
+      var composite = Scanner.newCompositeScope([newScope(), scope]);
+      var explanation = await composite.explain(dirName + "/Makefile");
+      assert.equal(explanation.excluded, false);
+      assert.equal(explanation.scope, scope.getName());
+      explanation = await composite.explain(dirName + "/notes.txt");
+      assert.deepEqual(explanation.reason, { rule: "inclusion" });
+      assert.equal(explanation.scope, "Dir:" + dirName);
+    });
+
+    it('Should count exclusions per rule', async function() {
+      storageDelegate._clear();
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, newScope(), [], {});
+      checkStats(cumulatedStats, 1, 1, 0, 1, 0, 0);
+      // Files in an excluded folder are not counted
+      assert.deepEqual(cumulatedStats.forward.excluded, {
+        "exclusion:@eaDir/": 1, "noExtension": 1, "inclusion": 2, "symlinks": 1, "maxFileSize": 1
+      });
+    });
+  });
+
+  describe('Abort', function() {
+    // Progress delegate which records the calls it receives
+    function recordingProgressDelegate(calls, onCall) {
+      var delegate = {};
+      Object.keys(progressDelegate).forEach(function(name) {
+        delegate[name] = function() {
+          calls.push([name].concat(Array.prototype.slice.call(arguments)));
+          if (onCall) onCall(name, arguments);
+        };
+      });
+      return delegate;
+    }
+
+    it('Should stop the forward scan between files', async function() {
+      var dirName = __dirname + "/data/3 images";
+      var scope = Scanner.newDirectoryScope(dirName);
+      var controller = new AbortController();
+      var calls = [];
+      var progress = recordingProgressDelegate(calls, function(name, args) {
+        if (name === 'forwardScanProgress' && args[0] === 1) controller.abort();
+      });
+      storageDelegate._clear();
+      var cumulatedStats = await Scanner.scan(storageDelegate, progress, scope, [], { signal: controller.signal });
+      checkStats(cumulatedStats, 1, 1, 0, 0, 0, 0);
+      assert.equal(cumulatedStats.status, Scanner.ScanStatus.ABORTED);
+      // The file being processed when the scan was aborted is stored
+      assert.equal(storageDelegate.test_length(), 1);
+      var names = calls.map(function(call) { return call[0]; });
+      assert(names.indexOf('reverseScanStarted') === -1);
+      assert.deepEqual(calls[calls.length-2], ['forwardScanEnded', 'aborted']);
+      assert.deepEqual(calls[calls.length-1], ['scanEnded', 'aborted']);
+    });
+
+    it('Should stop the reverse scan between handlers', async function() {
+      var dirName = __dirname + "/data/3 images";
+      var scope = Scanner.newDirectoryScope(dirName);
+      var controller = new AbortController();
+      var processed = [];
+      var AbortingHandler = function(reverseScanner, scanOptions) {};
+      AbortingHandler.prototype.getName = function() { return "AbortingHandler"; };
+      AbortingHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+        processed.push(fingerprint.shortFilename);
+        controller.abort();
+        return callback(null, true);
+      };
+      var NeverCalledHandler = function(reverseScanner, scanOptions) {};
+      NeverCalledHandler.prototype.getName = function() { return "NeverCalledHandler"; };
+      NeverCalledHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+        return callback(new Error("Should not be called after abort"));
+      };
+      var calls = [];
+      storageDelegate._clear();
+      var handlers = [AbortingHandler, NeverCalledHandler];
+      var cumulatedStats = await Scanner.scan(storageDelegate, recordingProgressDelegate(calls), scope, handlers, { signal: controller.signal });
+      checkStats(cumulatedStats, 3, 3, 0, 1, 1, 0);
+      assert.equal(cumulatedStats.status, Scanner.ScanStatus.ABORTED);
+      assert.equal(processed.length, 1);
+      assert.deepEqual(calls[calls.length-1], ['scanEnded', 'aborted']);
+      assert.deepEqual(calls[calls.length-2], ['reverseScanEnded', 'aborted']);
+      assert(calls.some(function(call) { return call[0] === 'forwardScanEnded' && call[1] === 'completed'; }));
+    });
+  });
+
+  describe('Checkpoints', function() {
+    var checkpointStore = helpers.checkpointStore;
+
+    // Progress delegate which aborts the scan after a number of files (forward scan) or fingerprints (reverse scan)
+    function abortingProgressDelegate(controller, forwardCount, reverseCount, names) {
+      return extend({}, progressDelegate, {
+        forwardScanStarted: function() { names.push('forwardScanStarted'); },
+        forwardScanProgress: function(scanned, processed, inserted, updated) {
+          if (scanned === forwardCount) controller.abort();
+        },
+        reverseScanProgress: function(fingerprints, scanned, processed, errors) {
+          if (scanned === reverseCount) controller.abort();
+        }
+      });
+    }
+
+    it('Should resume an interrupted forward scan', async function() {
+      var dirName = __dirname + "/data/hierarchy";
+      var scope = Scanner.newDirectoryScope(dirName);
+      var controller = new AbortController();
+      var names = [];
+      var scanOptions = { signal: controller.signal, checkpointStore: checkpointStore, checkpointInterval: 1 };
+      storageDelegate._clear();
+      checkpointStore._clear();
+      var cumulatedStats = await Scanner.scan(storageDelegate, abortingProgressDelegate(controller, 2, -1, names), scope, [], scanOptions);
+      checkStats(cumulatedStats, 2, 2, 0, 0, 0, 0);
+      var checkpoint = checkpointStore.test_get(scope.getName());
+      assert.equal(checkpoint.phase, "forward");
+      assert.equal(checkpoint.forward.stats.scanned, 2);
+
+      // Resume: the third file is scanned, and counters include the first run
+      scanOptions = { resume: true, checkpointStore: checkpointStore, checkpointInterval: 1 };
+      var inserted = [];
+      var delegate = extend({}, storageDelegate, {
+        insertFingerprint: function(newFingerPrint, callback) {
+          inserted.push(newFingerPrint.shortFilename);
+          return storageDelegate.insertFingerprint(newFingerPrint, callback);
+        }
+      });
+      cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 0);
+      assert.equal(cumulatedStats.status, Scanner.ScanStatus.COMPLETED);
+      assert.deepEqual(inserted, ["18px-FClef.svg.png"]);
+      assert.equal(storageDelegate.test_length(), 3);
+      // Checkpoint is removed when the scan completes
+      assert.equal(checkpointStore.test_get(scope.getName()), undefined);
+    });
+
+    it('Should resume an interrupted reverse scan without rescanning files', async function() {
+      var dirName = __dirname + "/data/3 images";
+      var scope = Scanner.newDirectoryScope(dirName);
+      var controller = new AbortController();
+      var names = [];
+      var scanOptions = { signal: controller.signal, checkpointStore: checkpointStore, checkpointInterval: 1 };
+      storageDelegate._clear();
+      checkpointStore._clear();
+      var cumulatedStats = await Scanner.scan(storageDelegate, abortingProgressDelegate(controller, -1, 2, names), scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 3, 0, 2, 0, 0);
+      var checkpoint = checkpointStore.test_get(scope.getName());
+      assert.equal(checkpoint.phase, "reverse");
+      assert.equal(checkpoint.reverse.state.offset, 2);
+
+      names = [];
+      scanOptions = { resume: true, checkpointStore: checkpointStore };
+      cumulatedStats = await Scanner.scan(storageDelegate, abortingProgressDelegate(controller, -1, -1, names), scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 0);
+      assert.deepEqual(names, []);  // forward scan was not restarted
+    });
+
+    it('Should save checkpoints under the checkpoint key', async function() {
+      var dirName = __dirname + "/data/hierarchy";
+      var scope = Scanner.newDirectoryScope(dirName);
+      var controller = new AbortController();
+      var scanOptions = { signal: controller.signal, checkpointStore: checkpointStore, checkpointInterval: 1, checkpointKey: "filtered" };
+      storageDelegate._clear();
+      checkpointStore._clear();
+      await Scanner.scan(storageDelegate, abortingProgressDelegate(controller, 2, -1, []), scope, [], scanOptions);
+      assert.equal(checkpointStore.test_get("filtered").forward.stats.scanned, 2);
+      assert.equal(checkpointStore.test_get(scope.getName()), undefined);
+
+      // Another scan of the same scope does not resume from this checkpoint, nor clears it
+      scanOptions = { resume: true, checkpointStore: checkpointStore };
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 1, 0, 3, 0, 0);
+      assert.equal(checkpointStore.test_get("filtered").forward.stats.scanned, 2);
+
+      // The scan with the same key resumes and clears it
+      scanOptions = { resume: true, checkpointStore: checkpointStore, checkpointKey: "filtered" };
+      cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 2, 0, 3, 0, 0);
+      assert.equal(checkpointStore.test_get("filtered"), undefined);
+    });
+
+    it('Should ignore checkpoints when not resuming', async function() {
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      storageDelegate._clear();
+      checkpointStore._clear();
+      checkpointStore.saveCheckpoint(scope.getName(), { phase: "reverse", forward: { state: null, stats: { scanned: 12 } } }, function() {});
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], { checkpointStore: checkpointStore });
+      checkStats(cumulatedStats, 1, 1, 0, 1, 0, 0);
+    });
+
+    it('Should save checkpoints in a file', async function() {
+      var filename = '/tmp/willie.' + uuid.v4() + '.json';
+      var store = Scanner.newFileCheckpointStore(filename);
+      await new Promise(function(resolve, reject) {
+        store.saveCheckpoint("a", { phase: "forward" }, function(err) { return err ? reject(err) : resolve(); });
+      });
+      var checkpoint = await new Promise(function(resolve, reject) {
+        store.loadCheckpoint("a", function(err, checkpoint) { return err ? reject(err) : resolve(checkpoint); });
+      });
+      assert.deepEqual(checkpoint, { phase: "forward" });
+      await new Promise(function(resolve, reject) {
+        store.clearCheckpoint("a", function(err) { return err ? reject(err) : resolve(); });
+      });
+      assert.deepEqual(JSON.parse(fse.readFileSync(filename, 'utf8')), {});
+      fse.removeSync(filename);
+    });
+  });
+
+  describe('Batches', function() {
+    var batchStorageDelegate = helpers.batchStorageDelegate;
+    var dirName;
+    before(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.copySync(__dirname + "/data/3 images", dirName);
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    it('Should insert and update fingerprints in batches', async function() {
+      storageDelegate._clear();
+      batchStorageDelegate._clearBatches();
+      var scope = Scanner.newDirectoryScope(dirName);
+      var cumulatedStats = await Scanner.scan(batchStorageDelegate, progressDelegate, scope, [], { batchSize: 2 });
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 0);
+      assert.equal(storageDelegate.test_length(), 3);
+      assert.deepEqual(batchStorageDelegate._getBatches(), [{ inserts: 2, updates: 0 }, { inserts: 1, updates: 0 }]);
+      // Vanished files are updated in batches too
+      batchStorageDelegate._clearBatches();
+      fse.removeSync(dirName + "/query.png");
+      fse.removeSync(dirName + "/certificate.png");
+      cumulatedStats = await Scanner.scan(batchStorageDelegate, progressDelegate, scope, [], { batchSize: 10 });
+      checkStats(cumulatedStats, 1, 0, 0, 3, 2, 0);
+      assert.deepEqual(batchStorageDelegate._getBatches(), [{ inserts: 0, updates: 2 }]);
+      assert.notEqual(storageDelegate._getByShortFilename("query.png").vanishedAt, undefined);
+      fse.copySync(__dirname + "/data/3 images/query.png", dirName + "/query.png");
+      fse.copySync(__dirname + "/data/3 images/certificate.png", dirName + "/certificate.png");
+    });
+
+    it('Should flush batches after an interval', async function() {
+      storageDelegate._clear();
+      batchStorageDelegate._clearBatches();
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(batchStorageDelegate, progressDelegate, scope, [], { batchInterval: 0 });
+      assert.deepEqual(batchStorageDelegate._getBatches(), [{ inserts: 1, updates: 0 }, { inserts: 1, updates: 0 }, { inserts: 1, updates: 0 }]);
+    });
+
+    it('Should flush batches once the oldest write has been waiting batchInterval ms', async function() {
+      storageDelegate._clear();
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      batchStorageDelegate._clearBatches();
+      var flushed = [];
+      var WaitingHandler = function(reverseScanner) { this._reverseScanner = reverseScanner; };
+      WaitingHandler.prototype.getName = function() { return "WaitingHandler"; };
+      WaitingHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+        return this._reverseScanner.getBatchWriter().update({ uuid: fingerprint.uuid, hidden: false }, function(err) {
+          if (err) return callback(err);
+          return setTimeout(function() {
+            flushed.push(batchStorageDelegate._getBatches().length);
+            return callback(null, true);
+          }, 50);
+        });
+      };
+      await Scanner.scan(batchStorageDelegate, progressDelegate, scope, [WaitingHandler], { batchInterval: 10 });
+      assert.deepEqual(flushed, [1, 2, 3]);
+      assert.deepEqual(batchStorageDelegate._getBatches(), [{ inserts: 0, updates: 1 }, { inserts: 0, updates: 1 }, { inserts: 0, updates: 1 }]);
+    });
+
+    it('Should roll back failed batches', async function() {
+      storageDelegate._clear();
+      var calls = [];
+      var delegate = extend({}, storageDelegate, {
+        beginBatch: function(callback) { calls.push("begin"); return callback(); },
+        commitBatch: function(callback) { calls.push("commit"); return callback(); },
+        rollbackBatch: function(callback) { calls.push("rollback"); return callback(); },
+        insertFingerprints: function(newFingerPrints, callback) { calls.push("insert"); return callback(new Error("Disk full")); }
+      });
+      await assert.rejects(Scanner.scan(delegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {}), /Disk full/);
+      assert.deepEqual(calls, ["begin", "insert", "rollback"]);
+      assert.equal(storageDelegate.test_length(), 0);
+    });
+
+    it('Should commit the written fingerprints when batches cannot be rolled back', async function() {
+      storageDelegate._clear();
+      var calls = [];
+      var delegate = extend({}, storageDelegate, {
+        beginBatch: function(callback) { calls.push("begin"); return callback(); },
+        commitBatch: function(callback) { calls.push("commit"); return callback(); },
+        insertFingerprint: function(newFingerPrint, callback) {
+          calls.push("insert");
+          if (calls.length === 3) return callback(new Error("Disk full"));
+          return storageDelegate.insertFingerprint(newFingerPrint, callback);
+        }
+      });
+      await assert.rejects(Scanner.scan(delegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {}), /Disk full/);
+      assert.deepEqual(calls, ["begin", "insert", "insert", "commit"]);
+      assert.equal(storageDelegate.test_length(), 1);
+    });
+
+    it('Should fall back to unitary writes within batches', async function() {
+      storageDelegate._clear();
+      var calls = [];
+      var delegate = extend({}, storageDelegate, {
+        beginBatch: function(callback) { calls.push("begin"); return callback(); },
+        commitBatch: function(callback) { calls.push("commit"); return callback(); },
+        insertFingerprint: function(newFingerPrint, callback) { calls.push("insert"); return storageDelegate.insertFingerprint(newFingerPrint, callback); }
+      });
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {});
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 0);
+      assert.deepEqual(calls, ["begin", "insert", "insert", "insert", "commit"]);
+    });
+
+    it('Should flush batches before saving checkpoints', async function() {
+      var checkpointStore = helpers.checkpointStore;
+      storageDelegate._clear();
+      checkpointStore._clear();
+      var scope = Scanner.newDirectoryScope(dirName);
+      var controller = new AbortController();
+      var aborting = extend({}, progressDelegate, {
+        forwardScanProgress: function(scanned) { if (scanned === 2) controller.abort(); }
+      });
+      var scanOptions = { signal: controller.signal, checkpointStore: checkpointStore, checkpointInterval: 100 };
+      var cumulatedStats = await Scanner.scan(batchStorageDelegate, aborting, scope, [], scanOptions);
+      assert.equal(cumulatedStats.status, Scanner.ScanStatus.ABORTED);
+      assert.equal(storageDelegate.test_length(), 2);
+      assert.equal(checkpointStore.test_get(scope.getName()).forward.stats.processed, 2);
+    });
+  });
+
+  describe('Pagination', function() {
+    var dirName = __dirname + "/data/hierarchy";
+
+    // Storage delegate which records the pages it returns
+    function recordingDelegate(pages, keyset) {
+      var delegate = extend({}, storageDelegate, {
+        getFingerPrints: function(folder, offset, limit, callback) {
+          return storageDelegate.getFingerPrints(folder, offset, limit, function(err, fingerprints) {
+            pages.push({ offset: offset, limit: limit, count: fingerprints.length });
+            return callback(err, fingerprints);
+          });
+        },
+        getFingerPrintsAfter: function(folder, after, limit, callback) {
+          return storageDelegate.getFingerPrintsAfter(folder, after, limit, function(err, fingerprints) {
+            pages.push({ after: after === undefined ? undefined : after.substr(dirName.length + 1), limit: limit, count: fingerprints.length });
+            return callback(err, fingerprints);
+          });
+        }
+      });
+      if (!keyset) delete delegate.getFingerPrintsAfter;
+      return delegate;
+    }
+
+    it('Should prefer keyset pagination', async function() {
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {});
+      var pages = [];
+      var cumulatedStats = await Scanner.scan(recordingDelegate(pages, true), progressDelegate, Scanner.newDirectoryScope(dirName).setPageSize(2), [], {});
+      checkStats(cumulatedStats, 3, 0, 0, 3, 0, 0);
+      assert.deepEqual(pages, [
+        { after: undefined, limit: 2, count: 2 },
+        { after: "sub folder/query.png", limit: 2, count: 1 }
+      ]);
+    });
+
+    it('Should fall back to offsets', async function() {
+      var pages = [];
+      var cumulatedStats = await Scanner.scan(recordingDelegate(pages, false), progressDelegate, Scanner.newDirectoryScope(dirName).setPageSize(2), [], {});
+      checkStats(cumulatedStats, 3, 0, 0, 3, 0, 0);
+      assert.deepEqual(pages, [{ offset: 0, limit: 2, count: 2 }, { offset: 2, limit: 2, count: 1 }]);
+    });
+
+    it('Should not skip fingerprints inserted during the scan', async function() {
+      var pages = [];
+      var scope = Scanner.newDirectoryScope(dirName).setPageSize(1);
+      var delegate = recordingDelegate(pages, true);
+      var seen = [];
+      // Insert a fingerprint before the current one while the first one is processed
+      function InsertingHandler(reverseScanner) {}
+      InsertingHandler.prototype.getName = function() { return "InsertingHandler"; };
+      InsertingHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+        seen.push(fingerprint.shortFilename);
+        if (seen.length > 1) return callback(null, false);
+        return storageDelegate.insertFingerprint({ longFilename: dirName + "/0.png", shortFilename: "0.png", mtime: new Date() }, function(err) {
+          return callback(err, false);
+        });
+      };
+      await Scanner.scan(delegate, progressDelegate, scope, [InsertingHandler], {});
+      assert.deepEqual(seen, ["certificate.png", "query.png", "18px-FClef.svg.png"]);
+    });
+  });
+
+  describe('Concurrency', function() {
+    // Scan a folder, and return the stats, the progress calls and the stored fingerprints
+    async function scanFolder(dirName, scanOptions) {
+      var calls = [];
+      var progress = extend({}, progressDelegate, {
+        forwardScanProgress: function(scanned, processed, inserted, updated) {
+          calls.push([scanned, processed, inserted, updated]);
+        }
+      });
+      storageDelegate._clear();
+      var scope = Scanner.newDirectoryScope(dirName);
+      var cumulatedStats = await Scanner.scan(storageDelegate, progress, scope, [], scanOptions);
+      var fingerprints = storageDelegate._getSortedKeys().map(function(key) {
+        var fingerprint = storageDelegate._getByShortFilename(utils.getShortFilename(key));
+        return [fingerprint.uuid, fingerprint.longFilename, fingerprint.md5];
+      });
+      return { stats: cumulatedStats, calls: calls, fingerprints: fingerprints };
+    }
+
+    it('Should hash files in parallel with the same result', async function() {
+      var dirName = __dirname + "/data/hierarchy";
+      var sequential = await scanFolder(dirName, {});
+      var parallel = await scanFolder(dirName, { concurrency: 3 });
+      checkStats(parallel.stats, 3, 3, 0, 3, 0, 0);
+      assert.deepEqual(parallel.calls, sequential.calls);
+      assert.deepEqual(parallel.fingerprints, sequential.fingerprints);
+    });
+
+    it('Should hash files in worker threads', async function() {
+      var dirName = __dirname + "/data/3 images";
+      var sequential = await scanFolder(dirName, {});
+      var parallel = await scanFolder(dirName, { concurrency: 2, hashWorkers: true });
+      checkStats(parallel.stats, 3, 3, 0, 3, 0, 0);
+      assert.deepEqual(parallel.fingerprints, sequential.fingerprints);
+      assert.equal(storageDelegate._getByShortFilename('certificate.png').md5, '925c25907ab0da4ea7dcbb30a3af867d');
+    });
+
+    it('Should report hash errors from worker threads', async function() {
+      var HashPool = require('../lib/hashpool.js').HashPool;
+      var pool = new HashPool(1);
+      var err = await new Promise(function(resolve) {
+        pool.hash(__dirname + "/data/missing.png", ['md5'], function(err, hashes) { resolve(err); });
+      });
+      assert.equal(err.code, 'ENOENT');
+      await new Promise(function(resolve) { pool.close(resolve); });
+    });
+
+    it('Should stop on the first storage error', async function() {
+      var dirName = __dirname + "/data/3 images";
+      var scope = Scanner.newDirectoryScope(dirName);
+      var inserted = [];
+      var delegate = extend({}, storageDelegate, {
+        insertFingerprint: function(newFingerPrint, callback) {
+          if (newFingerPrint.shortFilename === 'certificate.png') return callback(new Error("Storage is down"));
+          inserted.push(newFingerPrint.shortFilename);
+          return storageDelegate.insertFingerprint(newFingerPrint, callback);
+        }
+      });
+      storageDelegate._clear();
+      try {
+        await Scanner.scan(delegate, progressDelegate, scope, [], { concurrency: 3 });
+        assert.fail("Scan should have failed");
+      }
+      catch (err) {
+        assert.equal(err.message, "Storage is down");
+      }
+      assert.deepEqual(inserted, ["18px-FClef.svg.png"]);
+    });
+
+    it('Should save exact checkpoints when hashing in parallel', async function() {
+      var dirName = __dirname + "/data/hierarchy";
+      var scope = Scanner.newDirectoryScope(dirName);
+      var controller = new AbortController();
+      var checkpointStore = helpers.checkpointStore;
+      var progress = extend({}, progressDelegate, {
+        forwardScanProgress: function(scanned, processed, inserted, updated) {
+          if (scanned === 1) controller.abort();
+        }
+      });
+      var scanOptions = { concurrency: 3, signal: controller.signal, checkpointStore: checkpointStore, checkpointInterval: 1 };
+      storageDelegate._clear();
+      checkpointStore._clear();
+      var cumulatedStats = await Scanner.scan(storageDelegate, progress, scope, [], scanOptions);
+      assert.equal(cumulatedStats.status, Scanner.ScanStatus.ABORTED);
+      var scanned = cumulatedStats.forward.scanned;
+      assert.equal(storageDelegate.test_length(), scanned);
+
+      scanOptions = { concurrency: 3, resume: true, checkpointStore: checkpointStore };
+      cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 0);
+      assert.equal(storageDelegate.test_length(), 3);
+    });
+  });
+
+  describe('Hashes', function() {
+    var SHA256 = '7fdc008843b3f936e47e07844db6cbb54ee93424a98f171e034b34497a090a5e';
+
+    it('Should compute several hashes', async function() {
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], { hashes: ['sha256', 'fnv1a64'] });
+      var found = storageDelegate._getByShortFilename('certificate.png');
+      assert.equal(found.md5, '925c25907ab0da4ea7dcbb30a3af867d');
+      assert.deepEqual(Object.keys(found.hashes), ['md5', 'sha256', 'fnv1a64']);
+      assert.equal(found.hashes.md5, found.md5);
+      assert.equal(found.hashes.sha256, SHA256);
+      assert.equal(found.hashes.fnv1a64.length, 16);
+    });
 
+    it('Should compute hashes in worker threads', async function() {
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], { hashes: ['sha256'], hashWorkers: true });
+      var found = storageDelegate._getByShortFilename('certificate.png');
+      assert.equal(found.hashes.sha256, SHA256);
+    });
+
+    it('Should use custom hash algorithms', async function() {
+      // Counts the number of bytes, to check that the file is read entirely
+      Scanner.registerHash('length', function() {
+        var length = 0;
+        return {
+          update: function(buffer) { length = length + buffer.length; },
+          digest: function() { return "" + length; }
+        };
+      });
+      assert(Scanner.getHashNames().indexOf('length') !== -1);
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], { hashes: ['length'], hashWorkers: true });
+      var found = storageDelegate._getByShortFilename('certificate.png');
+      assert.equal(found.hashes.length, "340309");
+      assert.equal(found.md5, '925c25907ab0da4ea7dcbb30a3af867d');
+    });
+
+    it('Should fail on unknown hash algorithms', async function() {
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      storageDelegate._clear();
+      try {
+        await Scanner.scan(storageDelegate, progressDelegate, scope, [], { hashes: ['nope'] });
+        assert.fail("Scan should have failed");
+      }
+      catch (err) {
+        assert.equal(err.message, "Unknown hash algorithm");
+      }
+      assert.equal(storageDelegate.test_length(), 0);
+    });
+  });
+
+  describe('Quick hashes', function() {
+    var scanOptions = { quickHash: { minSize: 100000, blockSize: 4096 } };
+
+    it('Should compute quick hashes for large files', async function() {
+      var dirName = __dirname + "/data/3 images";
+      var scope = Scanner.newDirectoryScope(dirName);
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], scanOptions);
+      var large = storageDelegate._getByShortFilename('certificate.png');
+      assert.equal(large.hashKind, Scanner.HashKind.QUICK);
+      assert.equal(large.md5, null);
+      assert.deepEqual(large.hashes, {});
+      assert.equal(large.quickHash.length, 32);
+      var small = storageDelegate._getByShortFilename('query.png');
+      assert.equal(small.hashKind, Scanner.HashKind.FULL);
+      assert.equal(small.quickHash, null);
+      assert(small.md5);
+    });
+
+    it('Should compute full hashes in the reverse scan', async function() {
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      storageDelegate._clear();
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [Scanner.FullHashHandler], scanOptions);
+      checkStats(cumulatedStats, 1, 1, 0, 1, 1, 0);
+      var found = storageDelegate._getByShortFilename('certificate.png');
+      assert.equal(found.hashKind, Scanner.HashKind.FULL);
+      assert.equal(found.md5, '925c25907ab0da4ea7dcbb30a3af867d');
+      // Next scan has nothing to do
+      cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [Scanner.FullHashHandler], scanOptions);
+      checkStats(cumulatedStats, 1, 0, 0, 1, 0, 0);
+    });
+
+    it('Should compute full hashes on demand', async function() {
+      var scope = Scanner.newFilesScope([__dirname + "/data/certificate.png"]);
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], scanOptions);
+      var found = storageDelegate._getByShortFilename('certificate.png');
+      var quickHash = found.quickHash;
+      var fingerprint = await Scanner.computeFullHash(storageDelegate, extend({}, found), { hashes: ['sha256'] });
+      assert.equal(fingerprint.hashKind, Scanner.HashKind.FULL);
+      assert.equal(fingerprint.md5, '925c25907ab0da4ea7dcbb30a3af867d');
+      found = storageDelegate._getByShortFilename('certificate.png');
+      assert.equal(found.hashKind, Scanner.HashKind.FULL);
+      assert.equal(found.hashes.sha256, '7fdc008843b3f936e47e07844db6cbb54ee93424a98f171e034b34497a090a5e');
+      assert.equal(found.quickHash, quickHash);
+    });
+  });
+
+  describe('Moves', function() {
+    var dirName;
+    beforeEach(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName + "/a");
+      fse.copySync(__dirname + "/data/3 images", dirName + "/a");
+      storageDelegate._clear();
+    });
+    afterEach(function() {
+      fse.removeSync(dirName);
+    });
 
+    it('Should update the fingerprint of a moved file', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      var before = extend({}, storageDelegate._getByShortFilename('query.png'));
+      var moved = [];
+      var progress = extend({}, progressDelegate, {
+        forwardScanProgress: function(scanned, processed, inserted, updated, count) { moved.push(count); }
+      });
+      fse.mkdirsSync(dirName + "/b");
+      fse.renameSync(dirName + "/a/query.png", dirName + "/b/renamed.png");
+      var cumulatedStats = await Scanner.scan(storageDelegate, progress, scope, [], {});
+      checkStats(cumulatedStats, 3, 1, 0, 3, 0, 0);
+      assert.equal(cumulatedStats.forward.moved, 1);
+      assert.equal(moved[moved.length-1], 1);
+      assert.equal(storageDelegate.test_length(), 3);
+      var after = storageDelegate._getByShortFilename('renamed.png');
+      assert.equal(after.uuid, before.uuid);
+      assert.equal(after.longFilename, dirName + "/b/renamed.png");
+      assert.equal(after.md5, before.md5);
+      assert.equal(after.vanishedAt, null);
+      assert.equal(storageDelegate._getByShortFilename('query.png'), undefined);
+    });
+
+    it('Should match vanished fingerprints', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      var before = extend({}, storageDelegate._getByShortFilename('query.png'));
+      fse.renameSync(dirName + "/a/query.png", dirName + "/query.png");
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName + "/a"), [], {});
+      assert(storageDelegate._getByShortFilename('query.png').vanishedAt);
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      assert.equal(cumulatedStats.forward.moved, 1);
+      var after = storageDelegate._getByShortFilename('query.png');
+      assert.equal(after.uuid, before.uuid);
+      assert.equal(after.longFilename, dirName + "/query.png");
+      assert.equal(after.vanishedAt, null);
+    });
+
+    it('Should insert copies of existing files', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      fse.copySync(dirName + "/a/query.png", dirName + "/copy.png");
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      assert.equal(cumulatedStats.forward.moved, 0);
+      assert.equal(storageDelegate.test_length(), 4);
+      assert.notEqual(storageDelegate._getByShortFilename('copy.png').uuid, storageDelegate._getByShortFilename('query.png').uuid);
+    });
+
+    it('Should not detect moves when disabled', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], {});
+      fse.renameSync(dirName + "/a/query.png", dirName + "/renamed.png");
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], { detectMoves: false });
+      assert.equal(cumulatedStats.forward.moved, 0);
+      assert.equal(storageDelegate.test_length(), 4);
+      assert(storageDelegate._getByShortFilename('query.png').vanishedAt);
+    });
+  });
+
+  describe('Events', function() {
+    const EventEmitter = require('events').EventEmitter;
+    var dirName;
+    beforeEach(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName);
+      fse.copySync(__dirname + "/data/3 images", dirName);
+      storageDelegate._clear();
+    });
+    afterEach(function() {
+      fse.removeSync(dirName);
+    });
+
+    // Record the events of a scan, as [name, event] pairs
+    function recordEvents(events) {
+      var recorded = [];
+      Object.keys(Scanner.ScanEvent).forEach(function(key) {
+        var name = Scanner.ScanEvent[key];
+        events.on(name, function(event) { recorded.push([name, event]); });
+      });
+      return recorded;
+    }
+    function named(recorded, name) {
+      return recorded.filter(function(entry) { return entry[0] === name; }).map(function(entry) { return entry[1]; });
+    }
+
+    it('Should emit phase events', async function() {
+      var events = new EventEmitter();
+      var recorded = recordEvents(events);
+      var scope = Scanner.newDirectoryScope(dirName);
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [], { events: events });
+      var phases = recorded.map(function(entry) { return entry[0]; }).filter(function(name) {
+        return /:(started|ended)$/.test(name);
+      });
+      assert.deepEqual(phases, ["scan:started", "forward:started", "forward:ended", "reverse:started", "reverse:ended", "scan:ended"]);
+      var ended = named(recorded, "scan:ended")[0];
+      assert.equal(ended.status, Scanner.ScanStatus.COMPLETED);
+      assert.strictEqual(ended.counters, cumulatedStats);
+      assert.equal(named(recorded, "forward:ended")[0].counters.inserted, 3);
+      assert.equal(named(recorded, "reverse:ended")[0].counters.fingerprints, 3);
+    });
+
+    it('Should emit file events', async function() {
+      var events = new EventEmitter();
+      var recorded = recordEvents(events);
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], { events: events });
+      var inserted = named(recorded, "file:inserted");
+      assert.deepEqual(inserted.map(function(event) { return event.fingerprint.shortFilename; }).sort(), ["18px-FClef.svg.png", "certificate.png", "query.png"]);
+      assert.equal(inserted[0].stats.size, inserted[0].fingerprint.size);
+      assert.equal(inserted[2].counters.inserted, 3);
+
+      recorded.length = 0;
+      var before = extend({}, storageDelegate._getByShortFilename('query.png'));
+      fse.utimesSync(dirName + "/query.png", new Date(), new Date(Date.now() + 10000));
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], { events: events });
+      assert.equal(named(recorded, "file:inserted").length, 0);
+      assert.equal(named(recorded, "file:unchanged").length, 2);
+      var updated = named(recorded, "file:updated");
+      assert.equal(updated.length, 1);
+      assert.equal(updated[0].fingerprint.shortFilename, 'query.png');
+      assert.equal(updated[0].moved, false);
+      assert.equal(updated[0].previous.mtime.getTime(), before.mtime.getTime());
+      assert(updated[0].fingerprint.mtime > before.mtime);
+      assert.equal(updated[0].counters.updated, 1);
+    });
+
+    it('Should emit vanished and reappeared events', async function() {
+      var events = new EventEmitter();
+      var recorded = recordEvents(events);
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], { events: events });
+      fse.renameSync(dirName + "/query.png", dirName + "/query.tmp");
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName).exclude(["*.tmp"]), [], { events: events });
+      var vanished = named(recorded, "fingerprint:vanished");
+      assert.equal(vanished.length, 1);
+      assert.equal(vanished[0].fingerprint.shortFilename, 'query.png');
+      assert(vanished[0].fingerprint.vanishedAt);
+      assert.equal(vanished[0].stats, null);
+      fse.renameSync(dirName + "/query.tmp", dirName + "/query.png");
+      await Scanner.scan(storageDelegate, progressDelegate, scope, [], { events: events });
+      var reappeared = named(recorded, "fingerprint:reappeared");
+      assert.equal(reappeared.length, 1);
+      assert.equal(reappeared[0].fingerprint.vanishedAt, null);
+      assert(reappeared[0].stats);
+    });
+
+    it('Should emit handler errors', async function() {
+      var FailingHandler = function(reverseScanner, scanOptions) {};
+      FailingHandler.prototype.getName = function() { return "FailingHandler"; };
+      FailingHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+        return callback(new Error("Handler failed"));
+      };
+      var events = new EventEmitter();
+      var recorded = recordEvents(events);
+      var scope = Scanner.newDirectoryScope(dirName);
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [FailingHandler], { events: events });
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 3);
+      var errors = named(recorded, "handler:error");
+      assert.equal(errors.length, 3);
+      assert.equal(errors[0].handler, "FailingHandler");
+      assert.equal(errors[0].err.message, "Handler failed");
+      assert(errors[0].fingerprint.uuid);
+      assert(errors[0].stats);
+    });
+
+    it('Should notify the progress delegate through the events', async function() {
+      var calls = [];
+      var progress = {
+        forwardScanProgress: function(scanned, processed, inserted, updated, moved) { calls.push([scanned, processed, inserted, updated, moved]); }
+      };
+      var events = new EventEmitter();
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(storageDelegate, progress, scope, [], { events: events });
+      assert.deepEqual(calls[calls.length-1], [3, 3, 3, 0, 0]);
+      // The progress delegate stops listening when the scan ends
+      assert.equal(events.listenerCount("forward:progress"), 0);
+    });
+
+    it('Should not compute counters for events without listeners', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      var getExclusionStats = scope.getExclusionStats;
+      var calls = 0;
+      scope.getExclusionStats = function() {
+        calls = calls + 1;
+        return getExclusionStats.apply(scope, arguments);
+      };
+      var events = new EventEmitter();
+      await Scanner.scan(storageDelegate, {}, scope, [], { events: events });
+      assert.equal(calls, 2);     // forward scan results and final checkpoint only
+      events.on("forward:progress", function() {});
+      await Scanner.scan(storageDelegate, {}, scope, [], { events: events, force: true });
+      assert.equal(calls, 2 + 2 + 4);   // and one per forward:progress event (one per file, and a final one)
+    });
+
+    it('Should emit scan:ended when the scan fails', async function() {
+      var delegate = extend({}, storageDelegate, {
+        preLoadFingerprints: function(longFilename, count, callback) { return callback(new Error("Storage is down")); }
+      });
+      var events = new EventEmitter();
+      var recorded = recordEvents(events);
+      var statuses = [];
+      var progress = { scanEnded: function(status) { statuses.push(status); } };
+      var scope = Scanner.newDirectoryScope(dirName);
+      await assert.rejects(Scanner.scan(delegate, progress, scope, [], { events: events }), /Storage is down/);
+      var ended = named(recorded, "scan:ended");
+      assert.equal(ended.length, 1);
+      assert.equal(ended[0].status, Scanner.ScanStatus.FAILED);
+      assert.equal(ended[0].err.message, "Storage is down");
+      assert.deepEqual(statuses, [Scanner.ScanStatus.FAILED]);
+    });
+  });
+
+  describe('Dry run', function() {
+    var dirName;
+    var writes;
+    var delegate;
+    beforeEach(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName);
+      fse.copySync(__dirname + "/data/3 images", dirName);
+      storageDelegate._clear();
+      writes = [];
+      delegate = extend({}, storageDelegate, {
+        insertFingerprint: function(fingerprint, callback) { writes.push(fingerprint); return storageDelegate.insertFingerprint(fingerprint, callback); },
+        updateFingerprint: function(fingerprint, callback) { writes.push(fingerprint); return storageDelegate.updateFingerprint(fingerprint, callback); }
+      });
+    });
+    afterEach(function() {
+      fse.removeSync(dirName);
+    });
+
+    it('Should report new files without writing them', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], { dryRun: true });
+      checkStats(cumulatedStats, 3, 3, 0, 0, 0, 0);
+      assert.equal(writes.length, 0);
+      assert.equal(storageDelegate.test_length(), 0);
+      var changes = cumulatedStats.changes;
+      assert.deepEqual(changes.new.map(function(file) { return file.longFilename; }).sort(),
+                       [dirName + "/18px-FClef.svg.png", dirName + "/certificate.png", dirName + "/query.png"]);
+      assert.equal(changes.new.filter(function(file) { return file.md5 === '925c25907ab0da4ea7dcbb30a3af867d'; }).length, 1);
+      assert.deepEqual([changes.modified, changes.moved, changes.vanished, changes.reappeared], [[], [], [], []]);
+    });
+
+    it('Should report modified, moved and vanished files', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      writes.length = 0;
+      var certificate = extend({}, storageDelegate._getByShortFilename('certificate.png'));
+      var clef = extend({}, storageDelegate._getByShortFilename('18px-FClef.svg.png'));
+      var query = extend({}, storageDelegate._getByShortFilename('query.png'));
+      fse.copySync(__dirname + "/data/hierarchy/sub folder/query.png", dirName + "/certificate.png");
+      fse.utimesSync(dirName + "/certificate.png", new Date(), new Date(Date.now() + 10000));
+      fse.renameSync(dirName + "/query.png", dirName + "/renamed.png");
+      fse.removeSync(dirName + "/18px-FClef.svg.png");
+
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], { dryRun: true });
+      assert.equal(writes.length, 0);
+      assert.equal(storageDelegate._getByShortFilename('18px-FClef.svg.png').vanishedAt, null);
+      var changes = cumulatedStats.changes;
+      assert.equal(changes.new.length, 0);
+      assert.equal(changes.modified.length, 1);
+      var modified = changes.modified[0];
+      assert.equal(modified.uuid, certificate.uuid);
+      assert.equal(modified.oldMd5, certificate.md5);
+      assert.notEqual(modified.newMd5, certificate.md5);
+      assert.equal(modified.oldMtime.getTime(), certificate.mtime.getTime());
+      assert(modified.newMtime > modified.oldMtime);
+      assert.deepEqual(changes.moved, [{ uuid: query.uuid, from: dirName + "/query.png", to: dirName + "/renamed.png" }]);
+      assert.deepEqual(changes.vanished, [{ uuid: clef.uuid, longFilename: dirName + "/18px-FClef.svg.png" }]);
+      assert.deepEqual(changes.reappeared, []);
+    });
+
+    it('Should leave stored fingerprints unchanged', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      var snapshot = function() {
+        return storageDelegate._getSortedKeys().map(function(key) {
+          var fingerprint = extend({}, storageDelegate._getByShortFilename(key.split('/').pop()));
+          fingerprint.mtime = fingerprint.mtime.getTime();
+          return fingerprint;
+        });
+      };
+      var before = snapshot();
+      fse.copySync(__dirname + "/data/hierarchy/sub folder/query.png", dirName + "/certificate.png");
+      fse.utimesSync(dirName + "/certificate.png", new Date(), new Date(Date.now() + 10000));
+      fse.renameSync(dirName + "/query.png", dirName + "/renamed.png");
+
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], { dryRun: true });
+      assert.equal(cumulatedStats.changes.modified.length, 1);
+      assert.equal(cumulatedStats.changes.moved.length, 1);
+      assert.deepEqual(snapshot(), before);
+    });
+
+    it('Should report reappeared files', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      fse.renameSync(dirName + "/query.png", dirName + "/query.tmp");
+      await Scanner.scan(delegate, progressDelegate, Scanner.newDirectoryScope(dirName).exclude(["*.tmp"]), [], {});
+      fse.renameSync(dirName + "/query.tmp", dirName + "/query.png");
+      writes.length = 0;
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], { dryRun: true });
+      assert.equal(writes.length, 0);
+      assert(storageDelegate._getByShortFilename('query.png').vanishedAt);
+      assert.deepEqual(cumulatedStats.changes.reappeared, [{ uuid: storageDelegate._getByShortFilename('query.png').uuid, longFilename: dirName + "/query.png" }]);
+    });
+
+    it('Should tell handlers and skip checkpoints', async function() {
+      var flags = [];
+      var DryRunHandler = function(reverseScanner, scanOptions) { this._reverseScanner = reverseScanner; };
+      DryRunHandler.prototype.getName = function() { return "DryRunHandler"; };
+      DryRunHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+        flags.push([this._reverseScanner.isDryRun(), scanOptions.dryRun]);
+        return callback(null, false);
+      };
+      var saved = [];
+      var checkpointStore = {
+        loadCheckpoint: function(key, callback) { return callback(new Error("Should not be called")); },
+        saveCheckpoint: function(key, checkpoint, callback) { saved.push(key); return callback(); },
+        clearCheckpoint: function(key, callback) { saved.push(key); return callback(); }
+      };
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      var options = { dryRun: true, checkpointStore: checkpointStore, checkpointInterval: 1, resume: true };
+      await Scanner.scan(delegate, progressDelegate, scope, [DryRunHandler], options);
+      assert.deepEqual(flags, [[true, true], [true, true], [true, true]]);
+      assert.equal(saved.length, 0);
+    });
+  });
+
+  describe('Error policy', function() {
+    const EventEmitter = require('events').EventEmitter;
+    var dirName;
+    beforeEach(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName);
+      fse.copySync(__dirname + "/data/3 images", dirName);
+      storageDelegate._clear();
+    });
+    afterEach(function() {
+      fse.removeSync(dirName);
+    });
+
+    // Storage delegate which removes a file when it's looked up, before it's hashed
+    function removingDelegate(shortFilename) {
+      return extend({}, storageDelegate, {
+        preLoadFingerprints: function(longFilename, count, callback) {
+          if (utils.getShortFilename(longFilename) === shortFilename) fse.removeSync(longFilename);
+          return storageDelegate.preLoadFingerprints(longFilename, count, callback);
+        }
+      });
+    }
+
+    // Storage delegate which fails to insert a file a given number of times
+    function failingDelegate(shortFilename, failures) {
+      return extend({}, storageDelegate, {
+        insertFingerprint: function(fingerprint, callback) {
+          if (fingerprint.shortFilename === shortFilename && failures > 0) {
+            failures = failures - 1;
+            return callback(new Error("Storage is busy"));
+          }
+          return storageDelegate.insertFingerprint(fingerprint, callback);
+        }
+      });
+    }
+
+    // Batching storage delegate which fails the batches with a file a given number of times, and
+    // then fails to insert that file alone a given number of times
+    function failingBatchDelegate(shortFilename, batchFailures, failures) {
+      var batchStorageDelegate = helpers.batchStorageDelegate;
+      batchStorageDelegate._clearBatches();
+      return extend({}, batchStorageDelegate, {
+        insertFingerprints: function(fingerprints, callback) {
+          var failing = fingerprints.some(function(fingerprint) { return fingerprint.shortFilename === shortFilename; });
+          if (failing && batchFailures > 0) {
+            batchFailures = batchFailures - 1;
+            return callback(new Error("Storage is busy"));
+          }
+          return batchStorageDelegate.insertFingerprints(fingerprints, callback);
+        },
+        insertFingerprint: failingDelegate(shortFilename, failures).insertFingerprint
+      });
+    }
+
+    it('Should fail the scan by default', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await assert.rejects(Scanner.scan(removingDelegate('query.png'), progressDelegate, scope, [], {}), { code: 'ENOENT' });
+    });
+
+    it('Should skip and record failed files', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      var scanOptions = { errorPolicy: Scanner.ErrorPolicy.SKIP };
+      var cumulatedStats = await Scanner.scan(removingDelegate('query.png'), progressDelegate, scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 2, 1, 2, 0, 0);
+      assert.equal(storageDelegate.test_length(), 2);
+      assert.equal(cumulatedStats.errorList.length, 1);
+      var error = cumulatedStats.errorList[0];
+      assert.equal(error.path, dirName + "/query.png");
+      assert.equal(error.phase, "forward");
+      assert.equal(error.code, "ENOENT");
+      assert(error.message.indexOf("query.png") !== -1);
+    });
+
+    it('Should limit the error list', async function() {
+      for (var i=0; i<1005; i++) fse.writeFileSync(dirName + "/file" + i + ".txt", "content " + i);
+      var delegate = extend({}, storageDelegate, {
+        preLoadFingerprints: function(longFilename, count, callback) { return callback(new Error("Storage is down")); }
+      });
+      var events = new EventEmitter();
+      var withErrorList = 0;
+      events.on(Scanner.ScanEvent.FORWARD_PROGRESS, function(event) { if (event.counters.errorList) withErrorList = withErrorList + 1; });
+      var scope = Scanner.newDirectoryScope(dirName);
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], { errorPolicy: Scanner.ErrorPolicy.SKIP, events: events });
+      assert.equal(cumulatedStats.forward.errors, 1008);
+      assert.equal(cumulatedStats.errorList.length, 1000);
+      assert.equal(withErrorList, 0);
+    });
+
+    it('Should retry failed files', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      var scanOptions = { errorPolicy: { retries: 2, backoff: 1 } };
+      var cumulatedStats = await Scanner.scan(failingDelegate('certificate.png', 2), progressDelegate, scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 0);
+      assert.deepEqual(cumulatedStats.errorList, []);
+      assert.equal(storageDelegate._getByShortFilename('certificate.png').md5, '925c25907ab0da4ea7dcbb30a3af867d');
+    });
+
+    it('Should record files which still fail after the retries', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      var scanOptions = { errorPolicy: { retries: 1, backoff: 1 } };
+      var cumulatedStats = await Scanner.scan(failingDelegate('certificate.png', 2), progressDelegate, scope, [], scanOptions);
+      checkStats(cumulatedStats, 3, 2, 1, 2, 0, 0);
+      assert.deepEqual(cumulatedStats.errorList, [{ path: dirName + "/certificate.png", phase: "forward", code: null, message: "Storage is busy" }]);
+    });
+
+    it('Should retry failed batches', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      var delegate = failingBatchDelegate('query.png', 1, 0);
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], { errorPolicy: { retries: 1, backoff: 1 } });
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 0);
+      assert.deepEqual(cumulatedStats.errorList, []);
+      assert.equal(storageDelegate.test_length(), 3);
+      // The failed batch is ended with a commit, as the delegate cannot roll back
+      assert.deepEqual(helpers.batchStorageDelegate._getBatches(), [{ inserts: 0, updates: 0 }, { inserts: 3, updates: 0 }]);
+    });
+
+    it('Should skip the fingerprints which cannot be written in batches', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      var delegate = failingBatchDelegate('query.png', 1, 1);
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [], { errorPolicy: Scanner.ErrorPolicy.SKIP });
+      assert.equal(cumulatedStats.forward.errors, 1);
+      assert.deepEqual(cumulatedStats.errorList, [{ path: dirName + "/query.png", phase: "forward", code: null, message: "Storage is busy" }]);
+      assert.deepEqual(storageDelegate._getSortedKeys(), [dirName + "/18px-FClef.svg.png", dirName + "/certificate.png"]);
+    });
+
+    it('Should fail the scan when a batch fails by default', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await assert.rejects(Scanner.scan(failingBatchDelegate('query.png', 1, 0), progressDelegate, scope, [], {}), /Storage is busy/);
+    });
+
+    it('Should record handler errors', async function() {
+      var FailingHandler = function(reverseScanner, scanOptions) {};
+      FailingHandler.prototype.getName = function() { return "FailingHandler"; };
+      FailingHandler.prototype.processNext = function(fingerprint, stats, isInScope, scanOptions, callback) {
+        if (fingerprint.shortFilename !== 'query.png') return callback(null, false);
+        var err = new Error("Cannot read tags");
+        err.code = "ETAGS";
+        return callback(err);
+      };
+      var scope = Scanner.newDirectoryScope(dirName);
+      var cumulatedStats = await Scanner.scan(storageDelegate, progressDelegate, scope, [FailingHandler], {});
+      checkStats(cumulatedStats, 3, 3, 0, 3, 0, 1);
+      assert.deepEqual(cumulatedStats.errorList, [{ path: dirName + "/query.png", phase: "reverse", code: "ETAGS", message: "Cannot read tags", handler: "FailingHandler" }]);
+    });
+
+    it('Should reject invalid policies', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await assert.rejects(Scanner.scan(storageDelegate, progressDelegate, scope, [], { errorPolicy: "ignore" }));
+    });
+  });
+
+  describe('Verify', function() {
+    const EventEmitter = require('events').EventEmitter;
+    var dirName;
+    var verified;
+    var delegate;
+    beforeEach(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName);
+      fse.copySync(__dirname + "/data/3 images", dirName);
+      storageDelegate._clear();
+      verified = [];
+      delegate = extend({}, storageDelegate, {
+        updateFingerprint: function(fingerprint, callback) {
+          if (fingerprint.verifiedAt) verified.push(fingerprint.uuid);
+          return storageDelegate.updateFingerprint(fingerprint, callback);
+        }
+      });
+    });
+    afterEach(function() {
+      fse.removeSync(dirName);
+    });
+
+    // Change the content of a file, keeping its size and modification time
+    function corrupt(longFilename) {
+      var stats = fse.statSync(longFilename);
+      var buffer = fse.readFileSync(longFilename);
+      buffer[0] = buffer[0] ^ 0xFF;
+      fse.writeFileSync(longFilename, buffer);
+      fse.utimesSync(longFilename, stats.atime, stats.mtime);
+    }
+
+    it('Should verify unchanged files', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      assert.equal(verified.length, 0);
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [Scanner.VerifyHandler], {});
+      checkStats(cumulatedStats, 3, 0, 0, 3, 3, 0);
+      assert.equal(verified.length, 3);
+      assert.ok(storageDelegate._getByShortFilename('query.png').verifiedAt instanceof Date);
+    });
+
+    it('Should report corrupted files without updating their hash', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      var md5 = storageDelegate._getByShortFilename('query.png').md5;
+      corrupt(dirName + "/query.png");
+
+      var events = new EventEmitter();
+      var corrupted = [];
+      events.on(Scanner.ScanEvent.FINGERPRINT_CORRUPTED, function(event) { corrupted.push(event); });
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [Scanner.VerifyHandler], { events: events });
+      checkStats(cumulatedStats, 3, 0, 0, 3, 3, 0);
+      assert.equal(cumulatedStats.reverse.corrupted, 1);
+      assert.equal(cumulatedStats.errorList.length, 0);
+      assert.equal(corrupted.length, 1);
+      assert.equal(corrupted[0].fingerprint.longFilename, dirName + "/query.png");
+      assert.equal(corrupted[0].counters.corrupted, 1);
+      assert.equal(corrupted[0].expected.md5, md5);
+      assert.notEqual(corrupted[0].actual.md5, md5);
+      var fingerprint = storageDelegate._getByShortFilename('query.png');
+      assert.equal(fingerprint.md5, md5);
+      assert.ok(fingerprint.verifiedAt instanceof Date);
+      assert.equal(verified.length, 3);
+    });
+
+    it('Should verify a fraction of the fingerprints per run', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      await Scanner.scan(delegate, progressDelegate, scope, [Scanner.VerifyHandler], { verify: { fraction: 0.5, run: 0 } });
+      var first = verified.length;
+      await Scanner.scan(delegate, progressDelegate, scope, [Scanner.VerifyHandler], { verify: { fraction: 0.5, run: 1 } });
+      assert.ok(first < 3);
+      assert.deepEqual(verified.slice(0).sort(), ["XXX-0", "XXX-1", "XXX-2"]);
+      await Scanner.scan(delegate, progressDelegate, scope, [Scanner.VerifyHandler], { verify: { fraction: 0.5, run: 2 } });
+      assert.deepEqual(verified.slice(3), verified.slice(0, first));
+    });
+
+    it('Should slice fingerprints without uuid by file name', async function() {
+      for (var i=0; i<20; i++) fse.writeFileSync(dirName + "/file" + i + ".txt", "content " + i);
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      var withoutUuid = function(fingerprints) {
+        return fingerprints.map(function(fingerprint) {
+          fingerprint = extend({}, fingerprint);
+          delete fingerprint.uuid;
+          return fingerprint;
+        });
+      };
+      var noUuidDelegate = extend({}, delegate, {
+        getFingerPrints: function(folder, offset, limit, callback) {
+          return storageDelegate.getFingerPrints(folder, offset, limit, function(err, fingerprints) { return callback(err, withoutUuid(fingerprints)); });
+        },
+        getFingerPrintsAfter: function(folder, after, limit, callback) {
+          return storageDelegate.getFingerPrintsAfter(folder, after, limit, function(err, fingerprints) { return callback(err, withoutUuid(fingerprints)); });
+        }
+      });
+      var first = await Scanner.scan(noUuidDelegate, progressDelegate, scope, [Scanner.VerifyHandler], { verify: { fraction: 0.5, run: 0 } });
+      var second = await Scanner.scan(noUuidDelegate, progressDelegate, scope, [Scanner.VerifyHandler], { verify: { fraction: 0.5, run: 1 } });
+      assert.ok(first.reverse.processed > 0 && second.reverse.processed > 0);
+      assert.equal(first.reverse.processed + second.reverse.processed, 23);
+    });
+
+    it('Should not write in dry run', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      await Scanner.scan(delegate, progressDelegate, scope, [], {});
+      corrupt(dirName + "/query.png");
+      var cumulatedStats = await Scanner.scan(delegate, progressDelegate, scope, [Scanner.VerifyHandler], { dryRun: true });
+      assert.equal(cumulatedStats.reverse.corrupted, 1);
+      assert.equal(cumulatedStats.errorList.length, 0);
+      assert.equal(verified.length, 0);
+      assert.equal(storageDelegate._getByShortFilename('query.png').verifiedAt, undefined);
+    });
+  });
+
+  describe('Watch mode', function() {
+    var dirName;
+    var watcher;
+    beforeEach(function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName + "/a");
+      fse.copySync(__dirname + "/data/3 images", dirName + "/a");
+      storageDelegate._clear();
+      watcher = undefined;
+    });
+    afterEach(async function() {
+      if (watcher) await watcher.close();
+      fse.removeSync(dirName);
+    });
+
+    // Wait for the next scan of a given kind ("full" or "changes")
+    function scanned(watcher, kind) {
+      return new Promise(function(resolve, reject) {
+        var onScanned = function(result) {
+          if (result.kind !== kind) return;
+          watcher.removeListener('scanned', onScanned);
+          return resolve(result);
+        };
+        watcher.on('scanned', onScanned);
+        watcher.once('error', reject);
+      });
+    }
+
+    it('Should run an initial full scan', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      watcher = await Scanner.watch(storageDelegate, progressDelegate, scope, [], {}, { debounce: 50 });
+      var result = await scanned(watcher, "full");
+      checkStats(result.stats, 3, 3, 0, 3, 0, 0);
+      assert.equal(storageDelegate.test_length(), 3);
+    });
+
+    it('Should scan new and changed files', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      watcher = await Scanner.watch(storageDelegate, progressDelegate, scope, [], {}, { debounce: 50, recursive: false });
+      await scanned(watcher, "full");
+      var changes = scanned(watcher, "changes");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/a/new.png");
+      var result = await changes;
+      assert.deepEqual(result.paths, [dirName + "/a/new.png"]);
+      assert.equal(result.stats.forward.processed, 1);
+      assert.equal(storageDelegate.test_length(), 4);
+      assert.equal(storageDelegate._getByShortFilename('new.png').md5, '925c25907ab0da4ea7dcbb30a3af867d');
+    });
+
+    it('Should scan folders which change constantly', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      watcher = await Scanner.watch(storageDelegate, progressDelegate, scope, [], {}, { debounce: 100, maxWait: 200, recursive: false });
+      await scanned(watcher, "full");
+      var changes = scanned(watcher, "changes");
+      var count = 0;
+      var writing = setInterval(function() {
+        count = count + 1;
+        fse.writeFileSync(dirName + "/a/download.txt", "downloading " + count);
+      }, 20);
+      try {
+        var result = await changes;
+        assert.deepEqual(result.paths, [dirName + "/a/download.txt"]);
+      }
+      finally {
+        clearInterval(writing);
+      }
+    });
+
+    it('Should scan new folders', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      watcher = await Scanner.watch(storageDelegate, progressDelegate, scope, [], {}, { debounce: 50, recursive: false });
+      await scanned(watcher, "full");
+      var changes = scanned(watcher, "changes");
+      fse.copySync(__dirname + "/data/hierarchy", dirName + "/b");
+      await changes;
+      assert.equal(storageDelegate.test_length(), 6);
+      assert(storageDelegate._getSortedKeys().indexOf(dirName + "/b/sub folder/sub folder/18px-FClef.svg.png") !== -1);
+      // New folders are watched too
+      changes = scanned(watcher, "changes");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/b/sub folder/new.png");
+      await changes;
+      assert.equal(storageDelegate.test_length(), 7);
+    });
+
+    it('Should mark removed files and folders as vanished', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/removed.png");
+      watcher = await Scanner.watch(storageDelegate, progressDelegate, scope, [], {}, { debounce: 50, recursive: false });
+      await scanned(watcher, "full");
+      var changes = scanned(watcher, "changes");
+      fse.removeSync(dirName + "/removed.png");
+      var result = await changes;
+      assert.equal(result.stats.reverse.processed, 1);
+      assert(storageDelegate._getByShortFilename('removed.png').vanishedAt);
+      assert.equal(storageDelegate._getByShortFilename('query.png').vanishedAt, null);
+      changes = scanned(watcher, "changes");
+      fse.removeSync(dirName + "/a");
+      await changes;
+      assert(storageDelegate._getByShortFilename('query.png').vanishedAt);
+      assert(storageDelegate._getByShortFilename('certificate.png').vanishedAt);
+    });
+
+    it('Should apply the scope filters to changes', async function() {
+      var scope = Scanner.newDirectoryScope(dirName).exclude(["*.svg.png"]);
+      watcher = await Scanner.watch(storageDelegate, progressDelegate, scope, [], {}, { debounce: 50 });
+      await scanned(watcher, "full");
+      assert.equal(storageDelegate.test_length(), 2);
+      var changes = scanned(watcher, "changes");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/a/new.svg.png");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/a/new.png");
+      await changes;
+      assert.equal(storageDelegate.test_length(), 3);
+      assert.equal(storageDelegate._getByShortFilename('new.svg.png'), undefined);
+    });
+
+    it('Should apply changed ignore files', async function() {
+      fse.writeFileSync(dirName + "/a/.scanignore", "query.png\n");
+      var scope = Scanner.newDirectoryScope(dirName).useIgnoreFiles();
+      watcher = await Scanner.watch(storageDelegate, progressDelegate, scope, [], {}, { debounce: 50, recursive: false });
+      await scanned(watcher, "full");
+      assert.equal(storageDelegate.test_length(), 2);
+      assert.equal(storageDelegate._getByShortFilename('query.png'), undefined);
+      // The ignore file is read again, and its folder is scanned
+      var changes = scanned(watcher, "changes");
+      fse.writeFileSync(dirName + "/a/.scanignore", "certificate.png\n");
+      var result = await changes;
+      assert.deepEqual(result.paths, [dirName + "/a/.scanignore"]);
+      assert.equal(storageDelegate.test_length(), 3);
+      assert.notEqual(storageDelegate._getByShortFilename('query.png'), undefined);
+    });
+
+    it('Should run periodic full scans', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      watcher = await Scanner.watch(storageDelegate, progressDelegate, scope, [], {}, { initialScan: false, fullScanInterval: 100 });
+      assert.equal(storageDelegate.test_length(), 0);
+      await scanned(watcher, "full");
+      assert.equal(storageDelegate.test_length(), 3);
+      await scanned(watcher, "full");
+    });
+  });
+
+  describe('Duplicates', function() {
+    var dirName;
+    before(async function() {
+      dirName = '/tmp/willie.' + uuid.v4();
+      fse.mkdirsSync(dirName + "/a");
+      fse.mkdirsSync(dirName + "/b/c");
+      fse.copySync(__dirname + "/data/3 images", dirName + "/a");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/b/c/certificate.png");
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/b/certificate copy.png");
+      fse.copySync(__dirname + "/data/3 images/query.png", dirName + "/query.png");
+      fse.utimesSync(dirName + "/b/c/certificate.png", new Date(2010, 0, 1), new Date(2010, 0, 1));
+      storageDelegate._clear();
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newDirectoryScope(dirName), [], {});
+    });
+    after(function() {
+      fse.removeSync(dirName);
+    });
+
+    // Storage delegate without getDuplicateFingerPrints, so that all the fingerprints of the scope are read
+    function withoutGrouping(delegate) {
+      delegate = extend({}, delegate);
+      delete delegate.getDuplicateFingerPrints;
+      return delegate;
+    }
+
+    function check(report) {
+      assert.equal(report.totalGroups, 2);
+      assert.equal(report.totalDuplicates, 3);
+      var certificate = report.groups[0];
+      assert.equal(certificate.md5, '925c25907ab0da4ea7dcbb30a3af867d');
+      assert.equal(certificate.wasted, 2*certificate.size);
+      assert.equal(report.totalWasted, certificate.wasted + report.groups[1].wasted);
+    }
+
+    it('Should find duplicates with the storage delegate', async function() {
+      var report = await Scanner.findDuplicates(storageDelegate, Scanner.newDirectoryScope(dirName));
+      check(report);
+      assert.equal(report.groups[0].keeper.longFilename, dirName + "/b/c/certificate.png");
+    });
+
+    it('Should find duplicates by reading all fingerprints', async function() {
+      var report = await Scanner.findDuplicates(withoutGrouping(storageDelegate), Scanner.newDirectoryScope(dirName));
+      check(report);
+      assert.equal(report.groups[0].keeper.longFilename, dirName + "/b/c/certificate.png");
+    });
+
+    it('Should only consider files within the scope', async function() {
+      var report = await Scanner.findDuplicates(storageDelegate, Scanner.newDirectoryScope(dirName).exclude(["b"]));
+      assert.equal(report.totalGroups, 1);
+      assert.equal(report.groups[0].keeper.shortFilename, "query.png");
+      report = await Scanner.findDuplicates(storageDelegate, Scanner.newFilesScope([dirName + "/query.png", dirName + "/a/query.png"]));
+      assert.equal(report.totalGroups, 1);
+    });
+
+    it('Should select keepers', async function() {
+      var scope = Scanner.newDirectoryScope(dirName);
+      var report = await Scanner.findDuplicates(storageDelegate, scope, { keeper: "shortestPath" });
+      assert.equal(report.groups[0].keeper.longFilename, dirName + "/a/certificate.png");
+      report = await Scanner.findDuplicates(storageDelegate, scope, { keeper: Scanner.Keepers.preferredFolder([dirName + "/b"], Scanner.Keepers.shortestPath) });
+      assert.equal(report.groups[0].keeper.longFilename, dirName + "/b/c/certificate.png");
+      assert.equal(report.groups[1].keeper.longFilename, dirName + "/query.png");
+      await assert.rejects(Scanner.findDuplicates(storageDelegate, scope, { keeper: "newest" }));
+    });
+
+    it('Should find duplicates in promise-based custom scopes', async function() {
+      // Custom scope whose functions return promises, without getFolders, contains or isFileInScope
+      var child = Scanner.newDirectoryScope(dirName);
+      var custom = {};
+      ['getName', 'startReverseScan', 'nextFingerprint', 'getExclusionPolicy', 'isInScope'].forEach(function(name) {
+        custom[name] = function() { return child[name].apply(child, Array.prototype.slice.call(arguments, 0, child[name].length - 1)); };
+      });
+      check(await Scanner.findDuplicates(storageDelegate, custom));
+      custom.getFolders = function() { return [dirName]; };
+      check(await Scanner.findDuplicates(storageDelegate, custom));
+    });
+
+    it('Should ignore removed files which are not marked as vanished yet', async function() {
+      fse.copySync(__dirname + "/data/certificate.png", dirName + "/removed.png");
+      await Scanner.scan(storageDelegate, progressDelegate, Scanner.newFilesScope([dirName + "/removed.png"]), [], {});
+      fse.removeSync(dirName + "/removed.png");
+      // Custom scope which checks files by name only
+      var child = Scanner.newDirectoryScope(dirName);
+      var scope = {
+        getName: function() { return "Names"; },
+        getFolders: function() { return [dirName]; },
+        startReverseScan: function(delegate) { return child.startReverseScan(delegate); },
+        nextFingerprint: function() { return child.nextFingerprint(); },
+        isInScope: function(longFilename) { return Promise.resolve(child.contains(longFilename)); }
+      };
+      check(await Scanner.findDuplicates(storageDelegate, scope));
+      check(await Scanner.findDuplicates(withoutGrouping(storageDelegate), scope));
+    });
+
+    it('Should export the report as JSON', async function() {
+      var report = await Scanner.findDuplicates(storageDelegate, Scanner.newDirectoryScope(dirName), { keeper: "shortestPath" });
+      var json = JSON.parse(JSON.stringify(report));
+      assert.equal(json.totalWasted, report.totalWasted);
+      assert.equal(json.groups[0].keeper.longFilename, dirName + "/a/certificate.png");
+      assert.deepEqual(json.groups[0].duplicates.map(function(file) { return file.longFilename; }),
+                       [dirName + "/b/c/certificate.png", dirName + "/b/certificate copy.png"]);
+    });
+  });
+
+});